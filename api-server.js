@@ -0,0 +1,355 @@
+/**
+ * Local HTTP control API and status dashboard for OKX Scalping Bot
+ * Opt-in with API_SERVER_ENABLED. Every request must carry the token from the
+ * API_SERVER_TOKEN environment variable, either as "Authorization: Bearer <token>"
+ * or as "?token=<token>" (browsers cannot set headers on an EventSource).
+ *
+ * Routes:
+ *   GET  /             - HTML dashboard
+ *   GET  /api/status   - Status snapshot
+ *   GET  /api/events   - Server-Sent Events: "status" snapshots and bot events
+ *   POST /api/pause    - Stop acting on signals
+ *   POST /api/resume   - Act on signals again
+ *   POST /api/flatten  - Close all open positions, reporting { closed, failed }
+ *   POST /api/reload   - Reload config.js
+ *   POST /api/rearm    - Re-arm trading after a risk halt
+ *   GET  /metrics      - Prometheus metrics
+ */
+require("dotenv").config();
+const http = require("http");
+const crypto = require("crypto");
+const config = require("./config");
+const { renderMetrics } = require("./metrics");
+const { createLogger } = require("./logger");
+
+const log = createLogger("api-server");
+
+// Connected dashboard (SSE) responses
+const clients = new Set();
+
+let server = null;
+let pushInterval = null;
+let handlers = {};
+
+/**
+ * Check the request token in constant time
+ * @param {http.IncomingMessage} req - Request
+ * @param {URL} url - Parsed request URL
+ * @returns {boolean} True if the token matches API_SERVER_TOKEN
+ */
+function isAuthorized(req, url) {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : url.searchParams.get("token");
+
+  if (!token) {
+    return false;
+  }
+
+  // Compare digests so the comparison does not leak the token length
+  const expected = crypto.createHash("sha256").update(process.env.API_SERVER_TOKEN).digest();
+  const actual = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send an event to every connected dashboard
+ * @param {string} event - Event name (e.g. "status", "signal")
+ * @param {Object} data - Event data
+ */
+function publish(event, data) {
+  if (!clients.size) {
+    return;
+  }
+
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of clients) {
+    res.write(message);
+  }
+}
+
+/**
+ * Send the current status to every connected dashboard
+ */
+function publishStatus() {
+  if (!clients.size || !handlers.getStatus) {
+    return;
+  }
+
+  try {
+    publish("status", handlers.getStatus());
+  } catch (error) {
+    log.error("Failed to build status", { error });
+  }
+}
+
+/**
+ * Open a Server-Sent Events stream and send the current status right away
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    "Connection": "keep-alive"
+  });
+  res.write(": connected\n\n");
+
+  clients.add(res);
+  req.on("close", () => {
+    clients.delete(res);
+  });
+
+  publishStatus();
+}
+
+/**
+ * Run a control action and answer with its result
+ * @param {http.ServerResponse} res - Response
+ * @param {string} action - Action name, used for logging and the "control" event
+ * @param {Function} handler - Action handler (may be async)
+ */
+async function runAction(res, action, handler) {
+  if (!handler) {
+    sendJson(res, 501, { error: `${action} is not supported` });
+    return;
+  }
+
+  log.info("Control action requested", { action });
+
+  try {
+    const result = await handler();
+    publish("control", { action, result, timestamp: Date.now() });
+    publishStatus();
+    sendJson(res, 200, { ok: true, action, result: result === undefined ? null : result });
+  } catch (error) {
+    log.error("Control action failed", { action, error });
+    sendJson(res, 500, { ok: false, action, error: error.message });
+  }
+}
+
+/**
+ * Route a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  if (!isAuthorized(req, url)) {
+    sendJson(res, 401, { error: "Unauthorized" });
+    return;
+  }
+
+  const actions = {
+    "/api/pause": handlers.pause,
+    "/api/resume": handlers.resume,
+    "/api/flatten": handlers.flattenAll,
+    "/api/reload": handlers.reloadConfig,
+    "/api/rearm": handlers.rearm
+  };
+
+  if (req.method === "GET" && url.pathname === "/") {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+    res.end(DASHBOARD_HTML);
+  } else if (req.method === "GET" && url.pathname === "/api/status") {
+    try {
+      sendJson(res, 200, handlers.getStatus());
+    } catch (error) {
+      sendJson(res, 500, { error: error.message });
+    }
+  } else if (req.method === "GET" && url.pathname === "/metrics") {
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4", "Cache-Control": "no-store" });
+    res.end(renderMetrics());
+  } else if (req.method === "GET" && url.pathname === "/api/events") {
+    openEventStream(req, res);
+  } else if (url.pathname in actions) {
+    if (req.method !== "POST") {
+      sendJson(res, 405, { error: "Use POST" });
+      return;
+    }
+    runAction(res, url.pathname.slice("/api/".length), actions[url.pathname]);
+  } else {
+    sendJson(res, 404, { error: "Not found" });
+  }
+}
+
+/**
+ * Start the control API
+ * @param {Object} controlHandlers - Bot callbacks
+ * @param {Function} controlHandlers.getStatus - Returns the status snapshot
+ * @param {Function} controlHandlers.pause - Pauses trading
+ * @param {Function} controlHandlers.resume - Resumes trading
+ * @param {Function} controlHandlers.flattenAll - Closes all positions (may be async)
+ * @param {Function} controlHandlers.reloadConfig - Reloads config.js
+ * @param {Function} controlHandlers.rearm - Re-arms trading after a risk halt
+ * @returns {http.Server} The listening server
+ * @throws {Error} If API_SERVER_TOKEN is not set
+ */
+function startApiServer(controlHandlers) {
+  if (!process.env.API_SERVER_TOKEN) {
+    log.error("API_SERVER_ENABLED is set but API_SERVER_TOKEN is missing from the .env file");
+    throw new Error("Missing API_SERVER_TOKEN");
+  }
+
+  handlers = controlHandlers;
+
+  server = http.createServer(handleRequest);
+  server.on("error", (error) => {
+    log.error("Control API error", { error });
+  });
+  server.listen(config.API_SERVER_PORT, config.API_SERVER_HOST, () => {
+    log.info("Control API listening", { url: `http://${config.API_SERVER_HOST}:${config.API_SERVER_PORT}` });
+  });
+
+  pushInterval = setInterval(publishStatus, config.API_SERVER_PUSH_INTERVAL);
+  pushInterval.unref();
+
+  return server;
+}
+
+/**
+ * Stop the control API and disconnect dashboards
+ */
+function stopApiServer() {
+  clearInterval(pushInterval);
+  pushInterval = null;
+
+  for (const res of clients) {
+    res.end();
+  }
+  clients.clear();
+
+  if (server) {
+    server.close();
+    server = null;
+  }
+}
+
+const DASHBOARD_HTML = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>OKX Scalping Bot</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; background: #111; color: #ddd; }
+  h1 { font-size: 1.4em; }
+  h2 { font-size: 1.1em; margin-top: 1.5em; }
+  table { border-collapse: collapse; }
+  td, th { padding: 4px 12px; border-bottom: 1px solid #333; text-align: left; vertical-align: top; }
+  button { margin-right: 8px; padding: 6px 14px; }
+  .up, .long { color: #4c4; }
+  .down, .short { color: #e55; }
+  .warn { color: #fb3; }
+  pre { margin: 0; }
+</style>
+</head>
+<body>
+<h1>🤖 OKX Scalping Bot</h1>
+<p id="summary">Connecting...</p>
+<p>
+  <button data-action="pause">⏸️ Pause</button>
+  <button data-action="resume">▶️ Resume</button>
+  <button data-action="flatten">🏁 Flatten all</button>
+  <button data-action="reload">🔄 Reload config</button>
+  <button data-action="rearm">🔓 Re-arm</button>
+  <span id="result"></span>
+</p>
+<h2>📊 Instruments</h2>
+<table id="instruments"></table>
+<h2>⛔ Risk</h2>
+<table id="risk"></table>
+<h2>🔔 Events</h2>
+<table id="events"></table>
+<script>
+  const token = new URLSearchParams(location.search).get("token") || "";
+  const $ = (id) => document.getElementById(id);
+  const fmt = (value) => value === null || value === undefined ? "-" : typeof value === "number" ? +value.toFixed(4) : value;
+  const esc = (value) => String(fmt(value)).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+  function render(status) {
+    $("summary").innerHTML = "Mode: <b>" + esc(status.mode) + "</b> · Trading: " +
+      (status.paused ? '<b class="warn">paused</b>' : "<b>active</b>") +
+      " · Public WS: " + esc(status.connection.public) + " · Private WS: " + esc(status.connection.private) +
+      " · " + new Date(status.timestamp).toLocaleTimeString();
+
+    const rows = ["<tr><th>Instrument</th><th>Price</th><th>Last candle</th><th>Supertrend</th><th>TrendLine</th><th>Position</th><th>Last signal</th></tr>"];
+    for (const item of status.instruments) {
+      const candle = item.lastCandle;
+      const st = item.indicators.supertrend;
+      const tl = item.indicators.trendLine;
+      const position = item.position || {};
+      const signal = item.lastSignal;
+      rows.push("<tr>" +
+        "<td>" + esc(item.instId) + "<br>" + esc(item.timeframe) + " · " + esc(item.strategy) + "</td>" +
+        "<td>" + esc(item.price) + "</td>" +
+        "<td>" + (candle ? new Date(candle.timestamp).toISOString().slice(0, 16) + "<br>O " + esc(candle.open) + " H " + esc(candle.high) + " L " + esc(candle.low) + " C " + esc(candle.close) : "-") + "</td>" +
+        "<td>" + (st ? '<span class="' + esc(st.trend) + '">' + esc(st.trend) + "</span><br>" + esc(st.lowerBand) + " / " + esc(st.upperBand) : "-") + "</td>" +
+        "<td>" + (tl ? esc(tl.trend) + "<br>" + esc(tl.swingLow) + " / " + esc(tl.swingHigh) : "-") + "</td>" +
+        "<td>" + (position.side ? '<span class="' + esc(position.side) + '">' + esc(position.side) + "</span> " + esc(position.size) + " @ " + esc(position.avgPrice) + "<br>uPnL " + esc(position.unrealizedPnl) : "flat") + "</td>" +
+        "<td>" + (signal ? esc(signal.action) + " @ " + esc(signal.price) + "<br>" + esc(signal.reason) : "-") + "</td>" +
+        "</tr>");
+    }
+    $("instruments").innerHTML = rows.join("");
+
+    const risk = status.risk;
+    $("risk").innerHTML =
+      "<tr><td>Halted</td><td>" + (risk.halted ? '<b class="down">' + esc(risk.haltReason) + "</b>" : "no") + "</td></tr>" +
+      "<tr><td>Daily PnL</td><td>" + esc(risk.dailyPnl) + "</td></tr>" +
+      "<tr><td>Consecutive losses</td><td>" + esc(risk.consecutiveLosses) + "</td></tr>" +
+      "<tr><td>Entries in the last hour</td><td>" + esc(risk.tradeTimestamps.length) + "</td></tr>";
+  }
+
+  function addEvent(name, data) {
+    const row = document.createElement("tr");
+    row.innerHTML = "<td>" + new Date().toLocaleTimeString() + "</td><td>" + esc(name) + "</td><td><pre>" + esc(JSON.stringify(data)) + "</pre></td>";
+    $("events").prepend(row);
+    while ($("events").rows.length > 50) {
+      $("events").deleteRow(-1);
+    }
+  }
+
+  const events = new EventSource("/api/events?token=" + encodeURIComponent(token));
+  events.addEventListener("status", (event) => render(JSON.parse(event.data)));
+  for (const name of ["signal", "control"]) {
+    events.addEventListener(name, (event) => addEvent(name, JSON.parse(event.data)));
+  }
+  events.onerror = () => { $("summary").textContent = "Disconnected, retrying..."; };
+
+  for (const button of document.querySelectorAll("button[data-action]")) {
+    button.onclick = async () => {
+      const action = button.dataset.action;
+      if (action === "flatten" && !confirm("Close all open positions?")) {
+        return;
+      }
+      if (action === "rearm" && !confirm("Allow new entries after the risk halt?")) {
+        return;
+      }
+      const response = await fetch("/api/" + action, { method: "POST", headers: { Authorization: "Bearer " + token } });
+      const body = await response.json();
+      const failed = body.result && body.result.failed ? body.result.failed : [];
+      $("result").textContent = !body.ok ? "❌ " + (body.error || response.status)
+        : failed.length ? "❌ " + action + " failed for " + failed.map(item => item.instId).join(", ") : "✅ " + action;
+    };
+  }
+</script>
+</body>
+</html>
+`;
+
+module.exports = {
+  startApiServer,
+  stopApiServer,
+  publish
+};
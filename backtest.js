@@ -0,0 +1,451 @@
+/**
+ * Backtesting engine for OKX Scalping Bot
+ * Replays historical candles through the strategy and simulates fills offline
+ *
+ * Usage: node backtest.js --file candles.csv [--balance 1000] [--fee 0.05] [--inst BTC-USDT-SWAP] [--journal trades.jsonl]
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { processCandle, resetStrategy, validateConfig, signalEmitter } = require("./strategy");
+const { getStopSettings, calculateExitLevels } = require("./stops");
+const { calculatePositionSize } = require("./sizing");
+const { timeframeToMs, resampleCandles, parseArgs } = require("./utils");
+const { getInstrumentConfig, getInstrumentTimeframes } = require("./portfolio");
+
+/**
+ * Parse a single candle record from a JSON file or CSV row
+ * @param {Array|Object} record - OKX-style array [ts, o, h, l, c, vol] or object with named fields
+ * @returns {Object} Candle object
+ */
+function parseCandle(record) {
+  if (Array.isArray(record)) {
+    return {
+      timestamp: parseInt(record[0]),
+      open: parseFloat(record[1]),
+      high: parseFloat(record[2]),
+      low: parseFloat(record[3]),
+      close: parseFloat(record[4]),
+      volume: parseFloat(record[5] || 0)
+    };
+  }
+
+  const timestamp = record.timestamp !== undefined ? record.timestamp : record.ts;
+
+  return {
+    timestamp: isNaN(Number(timestamp)) ? Date.parse(timestamp) : parseInt(timestamp),
+    open: parseFloat(record.open),
+    high: parseFloat(record.high),
+    low: parseFloat(record.low),
+    close: parseFloat(record.close),
+    volume: parseFloat(record.volume || record.vol || 0)
+  };
+}
+
+/**
+ * Load OHLC history from a CSV or JSON file
+ * @param {string} filePath - Path to a .csv or .json file
+ * @returns {Array} Candles sorted by ascending timestamp
+ */
+function loadCandles(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  let records;
+
+  if (path.extname(filePath).toLowerCase() === ".json") {
+    const json = JSON.parse(raw);
+    // Accept both a plain array and a saved OKX REST response
+    records = Array.isArray(json) ? json : json.data;
+  } else {
+    const lines = raw.split(/\r?\n/).filter(line => line.trim() !== "");
+    const firstRow = lines[0].split(",").map(cell => cell.trim());
+
+    if (isNaN(Number(firstRow[0]))) {
+      // Header row: map columns by name
+      const header = firstRow.map(name => name.toLowerCase());
+      records = lines.slice(1).map(line => {
+        const cells = line.split(",");
+        const record = {};
+        header.forEach((name, i) => { record[name] = cells[i] && cells[i].trim(); });
+        return record;
+      });
+    } else {
+      records = lines.map(line => line.split(","));
+    }
+  }
+
+  const candles = records
+    .map(parseCandle)
+    .filter(candle => !isNaN(candle.timestamp) && !isNaN(candle.close));
+
+  return candles.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Calculate summary statistics for a backtest run
+ * @param {Array} trades - Closed trades
+ * @param {Array} equityCurve - Equity value at each candle close
+ * @param {number} initialBalance - Starting balance
+ * @param {number} barsPerYear - Number of candles in a year, for annualizing Sharpe
+ * @returns {Object} Performance statistics
+ */
+function calculateStats(trades, equityCurve, initialBalance, barsPerYear) {
+  const wins = trades.filter(trade => trade.pnl > 0);
+  const netPnl = trades.reduce((sum, trade) => sum + trade.pnl, 0);
+  const fees = trades.reduce((sum, trade) => sum + trade.fees, 0);
+
+  // Max drawdown from running equity peak
+  let peak = initialBalance;
+  let maxDrawdown = 0;
+  let maxDrawdownPercentage = 0;
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    const drawdown = peak - point.equity;
+    if (drawdown > maxDrawdown) {
+      maxDrawdown = drawdown;
+      maxDrawdownPercentage = (drawdown / peak) * 100;
+    }
+  }
+
+  // Annualized Sharpe ratio from per-bar equity returns (risk-free rate of zero)
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    returns.push(equityCurve[i].equity / equityCurve[i - 1].equity - 1);
+  }
+  let sharpe = 0;
+  if (returns.length > 1) {
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+    const stdDev = Math.sqrt(variance);
+    sharpe = stdDev > 0 ? (mean / stdDev) * Math.sqrt(barsPerYear) : 0;
+  }
+
+  const finalBalance = initialBalance + netPnl;
+
+  return {
+    totalTrades: trades.length,
+    wins: wins.length,
+    losses: trades.length - wins.length,
+    winRate: trades.length ? (wins.length / trades.length) * 100 : 0,
+    netPnl,
+    fees,
+    initialBalance,
+    finalBalance,
+    returnPercentage: (netPnl / initialBalance) * 100,
+    maxDrawdown,
+    maxDrawdownPercentage,
+    sharpe
+  };
+}
+
+/**
+ * Replay candles through the strategy and simulate trading
+ *
+ * Signals are filled at the next candle's open. Every signal is treated as an
+ * entry, as placeOrder does: an opposing position is closed first. Stop-loss
+ * and take-profit use the strategy's stop settings and are checked against each
+ * candle's high/low; when both are touched in the same candle the stop-loss is
+ * assumed to trigger first. Trailing stops are ratcheted after each candle.
+ *
+ * The candles must be of the instrument's TIMEFRAME. Additional timeframes the
+ * strategy declares are aggregated from them, and each aggregated candle is only
+ * passed to the strategy once the candle that completes it has been replayed.
+ *
+ * @param {Array} candles - Candles sorted by ascending timestamp
+ * @param {Object} options - Simulation options
+ * @param {number} options.initialBalance - Starting balance in quote currency
+ * @param {number} options.feePercentage - Taker fee charged on entry and exit notional
+ * @param {string} options.instId - Instrument whose settings (strategy, timeframe, stops, sizing) are used
+ * @returns {Object} Trades, equity curve and statistics
+ */
+function runBacktest(candles, options = {}) {
+  const instId = options.instId || config.TRADING_PAIR;
+  const settings = getInstrumentConfig(instId);
+  const initialBalance = options.initialBalance || config.BACKTEST_INITIAL_BALANCE;
+  const feeRate = (options.feePercentage !== undefined ? options.feePercentage : config.BACKTEST_FEE_PERCENTAGE) / 100;
+  const leverage = parseFloat(settings.LEVERAGE);
+  const stopSettings = getStopSettings(settings.STRATEGY, settings);
+
+  let balance = initialBalance;
+  let position = null;
+  let pendingSignal = null;
+  let lastTradeTime = -Infinity;
+  const trades = [];
+  const equityCurve = [];
+
+  function openPosition(signal, price, timestamp) {
+    const side = signal.action === "BUY" ? "long" : "short";
+    const exits = calculateExitLevels(side, price, signal.indicators, stopSettings, {
+      stop: signal.stop,
+      target: signal.target
+    });
+    const { notional } = calculatePositionSize({
+      equity: balance,
+      available: balance,
+      entryPrice: price,
+      stopLoss: exits.stopLoss,
+      atr: signal.indicators ? signal.indicators.atr : null,
+      leverage,
+      settings
+    });
+
+    position = {
+      side,
+      entryPrice: price,
+      entryTime: timestamp,
+      quantity: notional / price,
+      stopLoss: exits.stopLoss,
+      initialStopLoss: exits.stopLoss,
+      takeProfit: exits.takeProfit,
+      trailing: exits.trailing,
+      entryFee: notional * feeRate
+    };
+  }
+
+  // A fraction below 1 closes that share of the position as a trade of its own
+  function closePosition(price, timestamp, reason, fraction = 1) {
+    const direction = position.side === "long" ? 1 : -1;
+    const quantity = position.quantity * fraction;
+    const entryFee = position.entryFee * fraction;
+    const grossPnl = (price - position.entryPrice) * quantity * direction;
+    const exitFee = price * quantity * feeRate;
+    const fees = entryFee + exitFee;
+    const pnl = grossPnl - fees;
+
+    balance += pnl;
+    trades.push({
+      instId,
+      strategy: settings.STRATEGY,
+      side: position.side,
+      entryTime: position.entryTime,
+      entryPrice: position.entryPrice,
+      exitTime: timestamp,
+      exitPrice: price,
+      stopLoss: position.initialStopLoss,
+      takeProfit: position.takeProfit,
+      quantity,
+      fees,
+      pnl,
+      reason
+    });
+
+    if (fraction < 1) {
+      position.quantity -= quantity;
+      position.entryFee -= entryFee;
+    } else {
+      position = null;
+    }
+  }
+
+  function onSignal(signal) {
+    pendingSignal = signal;
+  }
+
+  // Higher timeframe candles, replayed in order of their close time
+  const timeframeDuration = timeframeToMs(settings.TIMEFRAME);
+  const contextCandles = getInstrumentTimeframes(instId).slice(1)
+    .flatMap(bar => resampleCandles(candles, settings.TIMEFRAME, bar).map(candle => ({
+      ...candle,
+      instId,
+      closeTime: candle.timestamp + timeframeToMs(bar)
+    })))
+    .sort((a, b) => a.closeTime - b.closeTime);
+  let contextIndex = 0;
+
+  resetStrategy();
+  signalEmitter.on("signal", onSignal);
+
+  try {
+    for (const candle of candles) {
+      // Fill the signal raised on the previous candle at this candle's open
+      if (pendingSignal) {
+        const signal = pendingSignal;
+        pendingSignal = null;
+
+        // Same rules as the live bot: closes act on a position on the other side and skip
+        // the cooldown, only a reverse closes that position before opening
+        const side = signal.action === "BUY" ? "long" : "short";
+        if (signal.intent === "close" || signal.intent === "reduce") {
+          if (position && position.side !== side) {
+            closePosition(candle.open, candle.timestamp, "signal", signal.intent === "reduce" ? signal.fraction : 1);
+          }
+        } else if (candle.timestamp - lastTradeTime >= settings.TRADE_COOLDOWN) {
+          if (position && position.side !== side && signal.intent === "reverse") {
+            closePosition(candle.open, candle.timestamp, "signal");
+          }
+          if (!position) {
+            openPosition(signal, candle.open, candle.timestamp);
+            lastTradeTime = candle.timestamp;
+          }
+        }
+      }
+
+      // Check protective exits against the candle range
+      if (position) {
+        const isLong = position.side === "long";
+        const stopHit = isLong ? candle.low <= position.stopLoss : candle.high >= position.stopLoss;
+        const targetHit = isLong ? candle.high >= position.takeProfit : candle.low <= position.takeProfit;
+
+        if (stopHit) {
+          // A gap through the stop fills at the open
+          const gapped = isLong ? candle.open < position.stopLoss : candle.open > position.stopLoss;
+          closePosition(gapped ? candle.open : position.stopLoss, candle.timestamp, "stop_loss");
+        } else if (targetHit) {
+          const gapped = isLong ? candle.open > position.takeProfit : candle.open < position.takeProfit;
+          closePosition(gapped ? candle.open : position.takeProfit, candle.timestamp, "take_profit");
+        } else if (position.trailing) {
+          // Trail the stop behind the best price of this candle
+          const callback = position.trailing.callbackRatio;
+          position.stopLoss = isLong
+            ? Math.max(position.stopLoss, candle.high * (1 - callback))
+            : Math.min(position.stopLoss, candle.low * (1 + callback));
+        }
+      }
+
+      while (contextIndex < contextCandles.length && contextCandles[contextIndex].closeTime <= candle.timestamp + timeframeDuration) {
+        processCandle(contextCandles[contextIndex++]);
+      }
+      processCandle({ ...candle, instId });
+
+      // Mark open position to market at the close
+      let equity = balance;
+      if (position) {
+        const direction = position.side === "long" ? 1 : -1;
+        equity += (candle.close - position.entryPrice) * position.quantity * direction;
+      }
+      equityCurve.push({ timestamp: candle.timestamp, equity });
+    }
+
+    if (position) {
+      const lastCandle = candles[candles.length - 1];
+      closePosition(lastCandle.close, lastCandle.timestamp, "end_of_data");
+      equityCurve[equityCurve.length - 1].equity = balance;
+    }
+  } finally {
+    signalEmitter.removeListener("signal", onSignal);
+  }
+
+  const barsPerYear = (365 * 24 * 60 * 60 * 1000) / timeframeToMs(settings.TIMEFRAME);
+
+  return {
+    trades,
+    equityCurve,
+    stats: calculateStats(trades, equityCurve, initialBalance, barsPerYear)
+  };
+}
+
+/**
+ * Print a backtest report to the console
+ * @param {Object} result - Result from runBacktest
+ */
+function printReport(result) {
+  const { trades, stats } = result;
+
+  console.log("==============================");
+  console.log("📜 Trades");
+  console.log("==============================");
+  for (const trade of trades) {
+    const icon = trade.pnl > 0 ? "✅" : "❌";
+    console.log(
+      `${icon} ${trade.side.toUpperCase()} ${new Date(trade.entryTime).toISOString()} @ ${trade.entryPrice.toFixed(2)}` +
+      ` → ${new Date(trade.exitTime).toISOString()} @ ${trade.exitPrice.toFixed(2)}` +
+      ` (${trade.reason}) PnL: ${trade.pnl.toFixed(2)}`
+    );
+  }
+
+  console.log("==============================");
+  console.log("📊 Backtest Results");
+  console.log("==============================");
+  console.log(`🔢 Trades: ${stats.totalTrades} (${stats.wins} wins / ${stats.losses} losses)`);
+  console.log(`🏆 Win Rate: ${stats.winRate.toFixed(2)}%`);
+  console.log(`💰 Net PnL: ${stats.netPnl.toFixed(2)} (${stats.returnPercentage.toFixed(2)}%)`);
+  console.log(`💸 Fees: ${stats.fees.toFixed(2)}`);
+  console.log(`🏦 Balance: ${stats.initialBalance.toFixed(2)} → ${stats.finalBalance.toFixed(2)}`);
+  console.log(`📉 Max Drawdown: ${stats.maxDrawdown.toFixed(2)} (${stats.maxDrawdownPercentage.toFixed(2)}%)`);
+  console.log(`📐 Sharpe Ratio: ${stats.sharpe.toFixed(2)}`);
+}
+
+/**
+ * Convert backtest trades to trade journal entries, so report.js can analyse them
+ * like trades of the live bot or the paper broker
+ * @param {Array} trades - Trades from runBacktest
+ * @returns {Array} Journal entries (order and close)
+ */
+function toJournalEntries(trades) {
+  const entries = [];
+
+  trades.forEach((trade, index) => {
+    const tradeId = `backtest${index + 1}`;
+    entries.push({
+      type: "order",
+      timestamp: trade.entryTime,
+      instId: trade.instId,
+      orderId: tradeId,
+      side: trade.side === "long" ? "BUY" : "SELL",
+      size: trade.quantity,
+      price: trade.entryPrice,
+      stopLoss: trade.stopLoss,
+      takeProfit: trade.takeProfit,
+      strategy: trade.strategy
+    });
+    entries.push({
+      type: "close",
+      timestamp: trade.exitTime,
+      instId: trade.instId,
+      tradeId,
+      side: trade.side,
+      size: trade.quantity,
+      realizedPnl: trade.pnl,
+      fees: trade.fees,
+      funding: 0,
+      closePrice: trade.exitPrice,
+      closedAt: trade.exitTime,
+      reason: trade.reason
+    });
+  });
+
+  return entries;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    console.error("Usage: node backtest.js --file <candles.csv|candles.json> [--balance 1000] [--fee 0.05] [--inst BTC-USDT-SWAP] [--journal trades.jsonl]");
+    process.exit(1);
+  }
+
+  try {
+    validateConfig();
+
+    const instId = args.inst || config.TRADING_PAIR;
+    const settings = getInstrumentConfig(instId);
+    const candles = loadCandles(args.file);
+    console.log(`📂 Loaded ${candles.length} candles from ${args.file}`);
+    console.log(`📊 Instrument: ${instId} | 🔧 Strategy: ${settings.STRATEGY} | ⏱️ Timeframe: ${settings.TIMEFRAME} | 📈 Leverage: ${settings.LEVERAGE}x`);
+
+    const result = runBacktest(candles, {
+      instId,
+      initialBalance: args.balance ? parseFloat(args.balance) : undefined,
+      feePercentage: args.fee !== undefined ? parseFloat(args.fee) : undefined
+    });
+
+    printReport(result);
+
+    if (args.journal) {
+      const lines = toJournalEntries(result.trades).map(entry => JSON.stringify(entry));
+      fs.writeFileSync(args.journal, lines.join("\n") + (lines.length ? "\n" : ""));
+      console.log(`📓 Trades written to ${args.journal} (use report.js --file ${args.journal})`);
+    }
+  } catch (error) {
+    console.error("❌ Backtest error:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  loadCandles,
+  runBacktest,
+  calculateStats,
+  printReport,
+  toJournalEntries
+};
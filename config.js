@@ -3,33 +3,98 @@
  */
 module.exports = {
   // Trading settings
-  TRADING_PAIR: "BTC-USDT-SWAP",  // Using perpetual futures contract
-  TRADE_SIZE: "0.001",            // Default trade size if dynamic sizing fails
-  TRADE_COOLDOWN: 60000,          // 1 minute cooldown between trades
+  TRADING_PAIR: "BTC-USDT-SWAP",  // Default instrument (used when INSTRUMENTS is empty)
+  TRADE_SIZE: "0.1",              // Default trade size in contracts if dynamic sizing fails (0.1 x 0.01 BTC)
+  TRADE_COOLDOWN: 60000,          // 1 minute cooldown between trades (per instrument)
+
+  // Instruments traded by this process. Each entry can override any setting below
+  // for that instrument, e.g. { instId: "ETH-USDT-SWAP", TIMEFRAME: "1H", STRATEGY: "EMA", LEVERAGE: "2" }
+  INSTRUMENTS: [
+    { instId: "BTC-USDT-SWAP" }
+  ],
   
   // Dynamic position sizing
   USE_PERCENTAGE_OF_BALANCE: 10,       // Use 10% of available balance for each trade
   USE_PERCENTAGE_OF_BALANCE_CURRENCY: "USDT", // Currency to check balance
+  SIZING_MODE: "balance_percentage",   // Options: "balance_percentage", "risk" (fixed % of equity to the stop), "volatility" (ATR-based)
+  RISK_PER_TRADE_PERCENTAGE: 1,        // "risk" mode: lose 1% of equity if the stop is hit
+  VOLATILITY_TARGET_PERCENTAGE: 0.5,   // "volatility" mode: a 1 ATR move changes equity by 0.5%
+  MAX_NOTIONAL: 10000,                 // Maximum position notional in USDT (0 to disable)
+  MARGIN_ALLOCATION_PERCENTAGE: 100,   // Share of account equity one instrument may use as margin
   
   // Risk management
   STOP_LOSS_PERCENTAGE: 1.5,      // Stop loss percentage from entry price
   TAKE_PROFIT_PERCENTAGE: 3,      // Take profit percentage from entry price
+  ATR_MULTIPLIER: 2,              // Stop distance in ATRs for the "atr" stop mode
+  TRAILING_CALLBACK_PERCENTAGE: 1, // Trailing distance for the "trailing" stop mode
+  TAKE_PROFIT_R: 2,               // Take profit as a multiple of initial risk for the "r_multiple" mode
+  // Stop-loss / take-profit modes per strategy (any of the settings above can also be overridden here)
+  // STOP_MODE: "percentage", "atr" (ATR_MULTIPLIER x ATR), "supertrend" (Supertrend band)
+  //            or "trailing" (TRAILING_CALLBACK_PERCENTAGE, exchange-managed)
+  // TAKE_PROFIT_MODE: "percentage" or "r_multiple" (TAKE_PROFIT_R x initial risk)
+  STOP_SETTINGS: {
+    EMA: { STOP_MODE: "percentage", TAKE_PROFIT_MODE: "percentage" },
+    COMBINED: { STOP_MODE: "percentage", TAKE_PROFIT_MODE: "percentage" }
+  },
+  // Entry execution (any of these can be overridden per strategy inside EXECUTION_SETTINGS)
+  // EXECUTION_MODE: "market", "post_only" (maker limit at the best bid/ask, chased up to EXECUTION_CHASE_TICKS),
+  //                 "ioc" (limit at most EXECUTION_MAX_SLIPPAGE_PERCENTAGE through the best bid/ask)
+  //                 or "twap" (EXECUTION_TWAP_SLICES IOC slices over EXECUTION_TWAP_DURATION)
+  EXECUTION_MODE: "market",
+  EXECUTION_TIMEOUT: 10000,                // post_only: stop chasing after 10 seconds
+  EXECUTION_CHASE_TICKS: 5,                // post_only: reprice at most 5 ticks away from the first quote
+  EXECUTION_CHASE_INTERVAL: 1000,          // post_only: check the order and the quote every second
+  EXECUTION_MAX_SLIPPAGE_PERCENTAGE: 0.05, // ioc/twap: worst accepted price relative to the best bid/ask
+  EXECUTION_TWAP_SLICES: 5,                // twap: number of slices
+  EXECUTION_TWAP_DURATION: 60000,          // twap: spread the slices over 60 seconds
+  EXECUTION_TWAP_MIN_NOTIONAL: 1000,       // twap: orders below 1000 USDT are sent as one slice
+  EXECUTION_MARKET_FALLBACK: true,         // Send the unfilled remainder at market when an algorithm ends
+  EXECUTION_CANCEL_TIMEOUT: 30000,         // Keep canceling and checking an order still live after a cancel for up to 30 seconds
+  EXECUTION_SETTINGS: {
+    EMA: { EXECUTION_MODE: "market" },
+    COMBINED: { EXECUTION_MODE: "market" }
+  },
+  PROTECTION_VERIFY_ATTEMPTS: 5,  // Times to check that SL/TP exist before flattening the position
+  PROTECTION_VERIFY_DELAY: 1000,  // Delay between SL/TP checks in milliseconds
   
+  // Account-level guardrails (0 disables a limit)
+  MAX_DAILY_LOSS: 100,            // Halt after losing 100 USDT in a UTC day
+  MAX_CONSECUTIVE_LOSSES: 4,      // Halt after 4 losing trades in a row
+  MAX_OPEN_NOTIONAL: 20000,       // Block entries beyond 20000 USDT of open notional
+  MAX_LEVERAGE: 5,                // Halt if configured leverage exceeds 5x
+  MAX_TRADES_PER_HOUR: 6,         // Halt after 6 entries within one hour
+  RISK_FLATTEN_ON_HALT: false,    // Also close open positions when trading is halted
+  RISK_STATE_FILE: "risk-state.json", // Persisted halt state (re-arm with POST /api/rearm, or `npm run rearm` while the bot is stopped)
+  JOURNAL_FILE: "journal.jsonl",  // Append-only trade journal (signals, orders, fills, closes, state)
+
   // Futures specific settings
   TRADE_MODE: "cross",    // Options: "cross" or "isolated"
   LEVERAGE: "3",          // Leverage multiplier (3x)
   POSITION_MODE: "net_mode", // Options: "net_mode" (buy/sell) or "long_short_mode" (long/short)
+  POSITION_SYNC_INTERVAL: 30000, // Reconcile positions with the exchange every 30 seconds
+  CLOSED_POSITION_LOOKUP_ATTEMPTS: 5,  // Look for a closed position's PnL this many times (OKX records it with a delay)
+  CLOSED_POSITION_LOOKUP_DELAY: 1000,  // Delay before the second lookup in milliseconds, doubled after each one
   
   // Simulated trading (Demo mode)
   USE_SIMULATED_TRADING: true,    // Set to true to use simulated trading (demo)
+
+  // Paper trading (local exchange simulator; no API keys needed, no orders sent to OKX)
+  PAPER_TRADING: false,                      // Route orders to paper-broker.js instead of trader.js
+  PAPER_INITIAL_BALANCE: 1000,               // Starting balance in USDT
+  PAPER_SLIPPAGE_PERCENTAGE: 0.02,           // Market fills are this much worse than the last price
+  PAPER_TAKER_FEE_PERCENTAGE: 0.05,          // Fee for market orders, stop-losses and trailing stops
+  PAPER_MAKER_FEE_PERCENTAGE: 0.02,          // Fee for take-profits (filled as resting limit orders)
+  PAPER_MAINTENANCE_MARGIN_PERCENTAGE: 0.4,  // Maintenance margin used for the liquidation price
   
   // Strategy settings
-  STRATEGY: "COMBINED",   // Options: "EMA", "COMBINED"
+  STRATEGY: "COMBINED",   // Name of a strategy in strategies/ (built-in: "EMA", "COMBINED")
   TIMEFRAME: "4h",        // 4-hour candles (optimized timeframe)
+  EVALUATE_INTRABAR: false, // Only evaluate on closed candles; set true to also evaluate on forming-candle updates
   
   // EMA Strategy Config
   EMA_SHORT_PERIOD: 9,
   EMA_LONG_PERIOD: 21,
+  EMA_TREND_TIMEFRAME: null,   // Higher timeframe whose Supertrend must agree with entries (e.g. "1D"), null to disable
   
   // Combined Strategy Config
   // Trend Line & BB Settings
@@ -41,9 +106,20 @@ module.exports = {
   ST_PERIOD: 10,
   ST_MULTIPLIER: 3.0,
 
+  // Order book and trades feeds (microstructure features for scalping strategies)
+  // ORDER_BOOK_CHANNEL: null (off), "books5" (5 levels every 100ms), "books" (400 levels, 100ms updates),
+  // "books50-l2-tbt" or "books-l2-tbt" (tick-by-tick; needs API keys and an eligible OKX VIP tier)
+  ORDER_BOOK_CHANNEL: null,
+  ORDER_BOOK_IMBALANCE_LEVELS: 1,   // Levels per side in the book imbalance (1 = top of book)
+  ORDER_BOOK_EVENT_INTERVAL: 100,   // Emit book features at most every 100ms per instrument (0 for every push)
+  TRADES_FEED: false,               // Subscribe to the trades channel
+  TRADE_FLOW_WINDOW: 60000,         // Trade flow delta over the last 60 seconds
+
   // WebSocket settings
   OKX_WS_URL: "wss://ws.okx.com:8443/ws/v5/public",
   OKX_WS_URL_SIMULATED: "wss://wspap.okx.com:8443/ws/v5/public",  // Simulated WebSocket URL
+  OKX_WS_PRIVATE_URL: "wss://ws.okx.com:8443/ws/v5/private",
+  OKX_WS_PRIVATE_URL_SIMULATED: "wss://wspap.okx.com:8443/ws/v5/private",  // Simulated private WebSocket URL
   MAX_RECONNECT_ATTEMPTS: 10,
   INITIAL_RECONNECT_DELAY: 1000,
   RECONNECT_MULTIPLIER: 1.5,
@@ -51,7 +127,35 @@ module.exports = {
   
   // API settings
   OKX_API_URL: "https://www.okx.com",
+  REST_TIMEOUT: 10000,            // Give up on a REST request after 10 seconds
+  REST_MAX_RETRIES: 3,            // Retries for rate-limited requests, and for GETs after timeouts or outages
+  REST_RETRY_DELAY: 500,          // First retry delay in milliseconds, doubled on every retry
+  REST_TIME_SYNC_INTERVAL: 300000, // Re-sync the signing timestamp with OKX server time every 5 minutes
+
+  // Local HTTP control API and dashboard (token in the API_SERVER_TOKEN environment variable)
+  API_SERVER_ENABLED: false,        // Start the control API with the bot
+  API_SERVER_HOST: "127.0.0.1",     // Only accept local connections
+  API_SERVER_PORT: 8080,
+  API_SERVER_PUSH_INTERVAL: 1000,   // Send a status update to dashboards every second
+
+  // Notifications. Each entry is a transport from notifiers/ with its own event filter
+  // ("*" or a list of: signal, order_filled, order_failed, protection_triggered,
+  // protection_failed, connection_lost, risk_halted, alert). Credentials go in .env, e.g.
+  // { type: "telegram", events: ["order_filled", "order_failed", "risk_halted", "connection_lost"] },
+  // { type: "discord", events: "*" }, { type: "slack" }, { type: "webhook", url: "http://127.0.0.1:9000/notify" }
+  NOTIFICATIONS: [],
+  NOTIFY_BATCH_INTERVAL: 5000,      // Collect messages for 5 seconds and send them together
+  NOTIFY_RATE_LIMIT: 20,            // At most 20 sends per transport per minute (0 to disable)
+  NOTIFY_MAX_QUEUE: 100,            // Drop the oldest queued messages beyond this
   
+  // Logging
+  LOG_LEVEL: "info",      // Options: "debug", "info", "warn", "error"
+  LOG_FORMAT: "json",     // "json" (one JSON object per line) or "pretty" (readable lines)
+
+  // Backtest settings
+  BACKTEST_INITIAL_BALANCE: 1000,   // Starting balance in USDT for backtests
+  BACKTEST_FEE_PERCENTAGE: 0.05,    // Taker fee charged on entry and exit notional
+
   // Memory Management
   MAX_PRICE_HISTORY: 1000,
   MAX_OHLC_HISTORY: 500
@@ -0,0 +1,468 @@
+/**
+ * Entry execution algorithms for OKX Scalping Bot
+ * Works an entry order as a post-only limit that chases the best bid/ask, an IOC
+ * limit with a slippage bound, or a TWAP of IOC slices, and sends whatever is left
+ * at market once the algorithm ends (EXECUTION_MARKET_FALLBACK).
+ *
+ * Orders go through an exchange adapter, so the algorithms do not depend on how
+ * orders reach OKX. Child orders use the entry's client order ID with a sequence
+ * suffix, so every fill can be traced back to the signal's correlation ID.
+ */
+const config = require("./config");
+const { roundPrice, roundToStep } = require("./instruments");
+const { createLogger } = require("./logger");
+
+const logger = createLogger("execution");
+
+const EXECUTION_MODES = ["market", "post_only", "ioc", "twap"];
+
+// Order states after which an order cannot fill any more
+const FINAL_STATES = ["filled", "canceled", "mmp_canceled"];
+
+// Polls while waiting for an IOC, market or canceled order to reach a final state
+const FINAL_STATE_ATTEMPTS = 10;
+const FINAL_STATE_DELAY = 200;
+
+// Child orders still live after EXECUTION_CANCEL_TIMEOUT: they may fill at any time
+class UnresolvedExecutionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { clOrdIds, filled }
+   */
+  constructor(message, { clOrdIds = [], filled = 0 } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = "EXECUTION_UNRESOLVED";
+    this.clOrdIds = clOrdIds;
+    this.filled = filled;
+  }
+}
+
+/**
+ * Get the execution settings for a strategy (global defaults overridden by EXECUTION_SETTINGS[strategy])
+ * @param {string} strategy - Strategy name
+ * @param {Object} base - Settings to read the defaults from (e.g. an instrument's settings)
+ * @returns {Object} Execution settings
+ */
+function getExecutionSettings(strategy = config.STRATEGY, base = config) {
+  const settings = {
+    EXECUTION_MODE: base.EXECUTION_MODE || "market",
+    EXECUTION_TIMEOUT: base.EXECUTION_TIMEOUT,
+    EXECUTION_CHASE_TICKS: base.EXECUTION_CHASE_TICKS,
+    EXECUTION_CHASE_INTERVAL: base.EXECUTION_CHASE_INTERVAL,
+    EXECUTION_MAX_SLIPPAGE_PERCENTAGE: base.EXECUTION_MAX_SLIPPAGE_PERCENTAGE,
+    EXECUTION_TWAP_SLICES: base.EXECUTION_TWAP_SLICES,
+    EXECUTION_TWAP_DURATION: base.EXECUTION_TWAP_DURATION,
+    EXECUTION_TWAP_MIN_NOTIONAL: base.EXECUTION_TWAP_MIN_NOTIONAL,
+    EXECUTION_MARKET_FALLBACK: base.EXECUTION_MARKET_FALLBACK,
+    EXECUTION_CANCEL_TIMEOUT: base.EXECUTION_CANCEL_TIMEOUT,
+    ...((base.EXECUTION_SETTINGS && base.EXECUTION_SETTINGS[strategy]) || {})
+  };
+
+  if (!EXECUTION_MODES.includes(settings.EXECUTION_MODE)) {
+    throw new Error(`Unknown execution mode for ${strategy}: ${settings.EXECUTION_MODE}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Get the client order ID of an entry's child order
+ * The first order is "entry" + correlation ID, later ones add "x" + sequence number.
+ * OKX allows up to 32 alphanumeric characters.
+ * @param {string} correlationId - Correlation ID of the signal
+ * @param {number} sequence - Child order number, from 0
+ * @returns {string} Client order ID
+ */
+function getEntryClOrdId(correlationId, sequence = 0) {
+  return sequence === 0 ? `entry${correlationId}` : `entry${correlationId}x${sequence}`;
+}
+
+/**
+ * Get the correlation ID from an entry's client order ID
+ * Correlation IDs end in six hex digits, so a trailing "x" + up to three digits is
+ * always the sequence suffix.
+ * @param {string} clOrdId - Client order ID
+ * @returns {string|null} Correlation ID, or null if this is not an entry order
+ */
+function parseEntryClOrdId(clOrdId) {
+  if (!clOrdId || !clOrdId.startsWith("entry")) {
+    return null;
+  }
+  return clOrdId.slice("entry".length).replace(/x\d{1,3}$/, "");
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Contracts filled so far by all child orders
+ * @param {Object} run - Execution run
+ * @returns {number} Contracts
+ */
+function filledContracts(run) {
+  return run.orders.reduce((sum, child) => sum + child.filled, 0);
+}
+
+/**
+ * Contracts still to fill, rounded down to the lot size
+ * @param {Object} run - Execution run
+ * @returns {number} Contracts
+ */
+function remainingContracts(run) {
+  return parseFloat(roundToStep(Math.max(0, run.requested - filledContracts(run)), run.instrument.lotSz, "floor"));
+}
+
+/**
+ * Check whether a size can be sent as an order
+ * @param {Object} run - Execution run
+ * @param {number} contracts - Contracts
+ * @returns {boolean} True if at least the instrument's minimum order size
+ */
+function isTradable(run, contracts) {
+  return contracts > 0 && contracts >= parseFloat(run.instrument.minSz);
+}
+
+/**
+ * Send a child order
+ * @param {Object} run - Execution run
+ * @param {Object} fields - Order fields { ordType, px, sz }
+ * @returns {Promise<Object>} Child order { clOrdId, ordId, ordType, price, size, filled, averagePrice, state }
+ */
+async function sendOrder(run, fields) {
+  const clOrdId = getEntryClOrdId(run.correlationId, run.orders.length);
+  const child = {
+    clOrdId,
+    ordId: null,
+    ordType: fields.ordType,
+    price: fields.px ? parseFloat(fields.px) : null,
+    size: parseFloat(fields.sz),
+    filled: 0,
+    averagePrice: null,
+    state: "live"
+  };
+  run.orders.push(child);
+
+  try {
+    const result = await run.exchange.submitOrder({ ...run.order, ...fields, clOrdId });
+    child.ordId = result.ordId;
+  } catch (error) {
+    child.state = "rejected";
+    throw error;
+  }
+
+  run.log.info("Execution order placed", { clOrdId, orderId: child.ordId, ordType: child.ordType, price: child.price, size: child.size });
+  return child;
+}
+
+/**
+ * Refresh a child order's fills and state from the exchange
+ * @param {Object} run - Execution run
+ * @param {Object} child - Child order
+ * @returns {Promise<Object>} The child order
+ */
+async function refreshOrder(run, child) {
+  const row = await run.exchange.getOrder(run.order.instId, child.clOrdId);
+  if (row) {
+    child.filled = parseFloat(row.accFillSz) || 0;
+    child.averagePrice = parseFloat(row.avgPx) || null;
+    child.state = row.state;
+  }
+  return child;
+}
+
+/**
+ * Poll a child order until it can no longer fill
+ * @param {Object} run - Execution run
+ * @param {Object} child - Child order
+ * @returns {Promise<boolean>} True once the order is filled or canceled
+ */
+async function waitForFinalState(run, child) {
+  for (let attempt = 1; attempt <= FINAL_STATE_ATTEMPTS; attempt++) {
+    await refreshOrder(run, child);
+    if (FINAL_STATES.includes(child.state)) {
+      return true;
+    }
+    await sleep(FINAL_STATE_DELAY);
+  }
+  return false;
+}
+
+/**
+ * Wait for a market order to fill (or be canceled by the exchange)
+ * @param {Object} run - Execution run
+ * @param {Object} child - Market child order
+ * @returns {Promise<boolean>} True once the order is final with its final filled size
+ */
+async function waitForMarketOrder(run, child) {
+  try {
+    return await waitForFinalState(run, child);
+  } catch (error) {
+    run.log.warn("Could not confirm the market order", { clOrdId: child.clOrdId, error });
+    return false;
+  }
+}
+
+/**
+ * Cancel a resting child order and record its final fills
+ * A cancel that fails because the order just filled is fine; the refresh picks up the fill.
+ * An order still live after the cancel is canceled and polled again until it is final
+ * or EXECUTION_CANCEL_TIMEOUT has passed; it is then marked unresolved.
+ * @param {Object} run - Execution run
+ * @param {Object} child - Child order
+ * @returns {Promise<boolean>} True once the order is final
+ */
+async function cancelOrder(run, child) {
+  const deadline = Date.now() + (run.settings.EXECUTION_CANCEL_TIMEOUT || 0);
+
+  for (let round = 1; ; round++) {
+    try {
+      await run.exchange.cancelOrder(run.order.instId, child.clOrdId);
+    } catch (error) {
+      run.log.warn("Could not cancel execution order", { clOrdId: child.clOrdId, round, error });
+    }
+
+    try {
+      if (await waitForFinalState(run, child)) {
+        return true;
+      }
+    } catch (error) {
+      run.log.warn("Could not confirm the canceled execution order", { clOrdId: child.clOrdId, round, error });
+    }
+
+    if (Date.now() >= deadline) {
+      break;
+    }
+    run.log.warn("Execution order still live after cancel, canceling it again", { clOrdId: child.clOrdId, state: child.state, round });
+  }
+
+  child.unresolved = true;
+  run.log.error("Execution order still live after cancel, it may fill later", { clOrdId: child.clOrdId, state: child.state, filled: child.filled });
+  return false;
+}
+
+/**
+ * Post-only limit at the best bid (buy) or ask (sell), repriced as the quote moves
+ * The price never moves more than EXECUTION_CHASE_TICKS ticks from the first quote.
+ * OKX cancels a post-only order that would take liquidity; it is then placed again
+ * at the new quote. Whatever is resting at EXECUTION_TIMEOUT is canceled.
+ * @param {Object} run - Execution run
+ */
+async function chasePostOnly(run) {
+  const { exchange, instrument, order, settings, log } = run;
+  const buy = order.side === "buy";
+  const tick = parseFloat(instrument.tickSz);
+  const deadline = Date.now() + settings.EXECUTION_TIMEOUT;
+
+  const firstQuote = await exchange.getQuote(order.instId);
+  const start = buy ? firstQuote.bid : firstQuote.ask;
+  const limit = buy ? start + settings.EXECUTION_CHASE_TICKS * tick : start - settings.EXECUTION_CHASE_TICKS * tick;
+  const priceFor = quote => {
+    const best = buy ? quote.bid : quote.ask;
+    return roundPrice(instrument, buy ? Math.min(best, limit) : Math.max(best, limit), buy ? "floor" : "ceil");
+  };
+
+  let price = priceFor(firstQuote);
+  let child = null;
+
+  try {
+    child = await sendOrder(run, { ordType: "post_only", px: price, sz: roundToStep(remainingContracts(run), instrument.lotSz, "floor") });
+
+    while (Date.now() < deadline) {
+      await sleep(Math.min(settings.EXECUTION_CHASE_INTERVAL, deadline - Date.now()));
+      await refreshOrder(run, child);
+
+      if (child.state === "filled") {
+        return;
+      }
+
+      const next = priceFor(await exchange.getQuote(order.instId));
+
+      if (FINAL_STATES.includes(child.state)) {
+        const remaining = remainingContracts(run);
+        if (!isTradable(run, remaining) || Date.now() >= deadline) {
+          return;
+        }
+        log.info("Post-only order canceled by the exchange, placing it again", { clOrdId: child.clOrdId, price: next });
+        child = await sendOrder(run, { ordType: "post_only", px: next, sz: roundToStep(remaining, instrument.lotSz, "floor") });
+        price = next;
+      } else if (next !== price) {
+        try {
+          await exchange.amendOrder(order.instId, child.clOrdId, next);
+          log.info("Post-only order repriced", { clOrdId: child.clOrdId, from: price, to: next });
+          price = next;
+        } catch (error) {
+          // Usually filled or canceled in the meantime; the next refresh shows which
+          log.warn("Could not reprice post-only order", { clOrdId: child.clOrdId, error });
+        }
+      }
+    }
+  } finally {
+    if (child && !FINAL_STATES.includes(child.state) && child.state !== "rejected") {
+      await cancelOrder(run, child);
+    }
+  }
+}
+
+/**
+ * IOC limit at most EXECUTION_MAX_SLIPPAGE_PERCENTAGE through the best ask (buy) or bid (sell)
+ * Fills what the book offers up to that price; the rest is canceled by the exchange.
+ * @param {Object} run - Execution run
+ * @param {number} contracts - Contracts to send
+ */
+async function sendIoc(run, contracts) {
+  const { exchange, instrument, order, settings, log } = run;
+  const quote = await exchange.getQuote(order.instId);
+  const slippage = settings.EXECUTION_MAX_SLIPPAGE_PERCENTAGE / 100;
+  const px = order.side === "buy"
+    ? roundPrice(instrument, quote.ask * (1 + slippage), "floor")
+    : roundPrice(instrument, quote.bid * (1 - slippage), "ceil");
+
+  const child = await sendOrder(run, { ordType: "ioc", px, sz: roundToStep(contracts, instrument.lotSz, "floor") });
+  if (!(await waitForFinalState(run, child))) {
+    log.warn("IOC order not final yet, canceling it", { clOrdId: child.clOrdId, state: child.state });
+    if (!(await cancelOrder(run, child))) {
+      throw new Error(`IOC order ${child.clOrdId} could not be canceled`);
+    }
+  }
+}
+
+/**
+ * TWAP: EXECUTION_TWAP_SLICES IOC slices spread evenly over EXECUTION_TWAP_DURATION
+ * Each slice tops the filled size up to its share of the order, so whatever a slice
+ * misses rolls into the next one. Orders below EXECUTION_TWAP_MIN_NOTIONAL are a single slice.
+ * @param {Object} run - Execution run
+ */
+async function runTwap(run) {
+  const { exchange, instrument, order, settings, log } = run;
+  const quote = await exchange.getQuote(order.instId);
+  const notional = run.requested * instrument.ctVal * instrument.ctMult * (quote.bid + quote.ask) / 2;
+  const slices = notional < settings.EXECUTION_TWAP_MIN_NOTIONAL ? 1 : Math.max(1, settings.EXECUTION_TWAP_SLICES);
+  const interval = settings.EXECUTION_TWAP_DURATION / slices;
+
+  for (let slice = 1; slice <= slices; slice++) {
+    const target = slice === slices ? run.requested : run.requested * slice / slices;
+    const contracts = parseFloat(roundToStep(target - filledContracts(run), instrument.lotSz, "floor"));
+
+    if (isTradable(run, contracts)) {
+      log.info("TWAP slice", { slice, slices, contracts });
+      await sendIoc(run, contracts);
+    }
+
+    if (slice < slices) {
+      await sleep(interval);
+    }
+  }
+}
+
+/**
+ * Execute an entry order with the selected algorithm
+ * The unfilled remainder is sent at market when the algorithm ends, unless
+ * EXECUTION_MARKET_FALLBACK is off; the result then reports a partial fill.
+ * If a child order could not be canceled, the filled size is unknown: nothing more
+ * is sent and UnresolvedExecutionError is thrown for the caller to flatten. The same
+ * goes for a market order that is not final after FINAL_STATE_ATTEMPTS polls.
+ * @param {Object} params - Execution parameters
+ * @param {Object} params.exchange - Adapter { getQuote(instId) -> { bid, ask }, submitOrder(body),
+ * getOrder(instId, clOrdId), amendOrder(instId, clOrdId, price), cancelOrder(instId, clOrdId) }
+ * @param {Object} params.instrument - Instrument metadata
+ * @param {Object} params.order - Fields shared by all child orders { instId, tdMode, side, posSide }
+ * @param {string} params.size - Contracts to fill
+ * @param {string} params.correlationId - Correlation ID of the signal
+ * @param {Object} params.settings - Execution settings from getExecutionSettings
+ * @param {Object} params.log - Logger carrying the trade's correlation ID
+ * @returns {Promise<Object>} { mode, requested, filled, averagePrice, remaining, fellBack, orders }
+ * @throws {UnresolvedExecutionError} If a child order is still live after its cancel, or the market order is not final
+ * @throws {Error} If nothing could be filled
+ */
+async function executeEntry({ exchange, instrument, order, size, correlationId, settings, log = logger }) {
+  const mode = settings.EXECUTION_MODE;
+  const run = { exchange, instrument, order, correlationId, settings, log, requested: parseFloat(size), orders: [] };
+
+  log.info("Executing entry", { mode, side: order.side, size });
+
+  try {
+    if (mode === "post_only") {
+      await chasePostOnly(run);
+    } else if (mode === "ioc") {
+      await sendIoc(run, run.requested);
+    } else if (mode === "twap") {
+      await runTwap(run);
+    }
+  } catch (error) {
+    log.error("Execution algorithm failed", { mode, filled: filledContracts(run), error });
+  }
+
+  const unresolved = run.orders.filter(child => child.unresolved).map(child => child.clOrdId);
+  if (unresolved.length) {
+    throw new UnresolvedExecutionError(`Entry order for ${order.instId} has live orders that could not be canceled: ${unresolved.join(", ")}`,
+      { clOrdIds: unresolved, filled: filledContracts(run) });
+  }
+
+  let fellBack = false;
+  const remaining = remainingContracts(run);
+
+  if (isTradable(run, remaining) && (mode === "market" || settings.EXECUTION_MARKET_FALLBACK)) {
+    if (mode !== "market") {
+      log.info("Sending the unfilled remainder at market", { mode, remaining });
+      fellBack = true;
+    }
+
+    let child = null;
+    try {
+      child = await sendOrder(run, { ordType: "market", sz: roundToStep(remaining, instrument.lotSz, "floor") });
+    } catch (error) {
+      if (!filledContracts(run)) {
+        throw error;
+      }
+      log.error("Market fallback failed, keeping the partial fill", { filled: filledContracts(run), error });
+    }
+
+    // Its fill only counts once it is final; until then the position size is unknown
+    if (child && !(await waitForMarketOrder(run, child))) {
+      child.unresolved = true;
+      log.error("Market order not final, it may still fill", { clOrdId: child.clOrdId, state: child.state, filled: child.filled });
+      throw new UnresolvedExecutionError(`Market order ${child.clOrdId} for ${order.instId} is not final (${child.state})`,
+        { clOrdIds: [child.clOrdId], filled: filledContracts(run) });
+    }
+  }
+
+  const filled = parseFloat(roundToStep(filledContracts(run), instrument.lotSz, "round"));
+  if (!filled) {
+    throw new Error(`Entry order for ${order.instId} was not filled (${mode})`);
+  }
+
+  const cost = run.orders.reduce((sum, child) => sum + child.filled * (child.averagePrice || 0), 0);
+  const result = {
+    mode,
+    requested: run.requested,
+    filled,
+    averagePrice: cost / filledContracts(run),
+    remaining: parseFloat(roundToStep(Math.max(0, run.requested - filled), instrument.lotSz, "round")),
+    fellBack,
+    orders: run.orders
+  };
+
+  if (result.remaining > 0) {
+    log.warn("Entry partially filled", { mode, requested: result.requested, filled, averagePrice: result.averagePrice });
+  } else {
+    log.info("Entry filled", { mode, filled, averagePrice: result.averagePrice, orders: run.orders.length, fellBack });
+  }
+
+  return result;
+}
+
+module.exports = {
+  EXECUTION_MODES,
+  UnresolvedExecutionError,
+  getExecutionSettings,
+  getEntryClOrdId,
+  parseEntryClOrdId,
+  executeEntry
+};
@@ -1,94 +1,757 @@
 require("dotenv").config();
 const config = require("./config");
-const { connectWebSocket, marketDataEmitter } = require("./okx-client");
-const { processCandle } = require("./strategy");
-const { placeOrder, setLeverage, getTradeSize } = require("./trader");
+const { connectWebSocket, connectPrivateWebSocket, fetchHistoryCandles, getFormingCandle, getConnectionState, shutdown: closeConnections, marketDataEmitter, accountEmitter } = require("./okx-client");
+const { startStrategy, validateConfig, loadHistory, getLastCandleTimestamp, syncPosition, refreshConfig, getStrategyStatus } = require("./strategy");
+// Orders go to the local paper broker or to OKX; both expose the same API
+const broker = config.PAPER_TRADING ? require("./paper-broker") : require("./trader");
+const { placeOrder, closePosition, reducePosition, reversePosition, cancelProtection, setLeverage, validateCredentials } = broker;
+const { positionEmitter, startPositionSync, stopPositionSync, getPosition, getOpenNotional, getLastClosedPosition } = require("./position-manager");
+const { riskEmitter, loadRiskState, checkEntry, recordEntry, recordTradeResult, getRiskState, rearm } = require("./risk-manager");
+const { getStopSettings } = require("./stops");
+const { getExecutionSettings, parseEntryClOrdId } = require("./execution");
+const journal = require("./journal");
+const { getInstrumentIds, getInstrumentConfig, getInstrumentConfigs, getInstrumentTimeframes } = require("./portfolio");
+const apiServer = require("./api-server");
+const { startTimeSync, stopTimeSync, serverTime } = require("./okx-rest");
+const { startNotifier, notify, flushNotifications } = require("./notifier");
+const { createLogger } = require("./logger");
+const metrics = require("./metrics");
+
+const log = createLogger("bot");
+
+// Settings that need a restart (subscriptions, connections, files) and are not hot-reloaded
+const RESTART_ONLY_SETTINGS = [
+  "TRADING_PAIR", "INSTRUMENTS", "TIMEFRAME", "EMA_TREND_TIMEFRAME", "PAPER_TRADING", "USE_SIMULATED_TRADING",
+  "OKX_WS_URL", "OKX_WS_URL_SIMULATED", "OKX_WS_PRIVATE_URL", "OKX_WS_PRIVATE_URL_SIMULATED", "OKX_API_URL",
+  "RISK_STATE_FILE", "JOURNAL_FILE", "NOTIFICATIONS", "API_SERVER_ENABLED", "API_SERVER_HOST", "API_SERVER_PORT", "API_SERVER_PUSH_INTERVAL"
+];
 
 // Global variables
-let lastTradeTime = 0;
-let isTrading = false;
+const lastTradeTimes = new Map(); // Cooldowns are tracked per instrument
+const orderLocks = new Map(); // instId -> time its order started; one order at a time per instrument
+let isPaused = false; // Set from the control API; signals are ignored while paused
+let isShuttingDown = false;
+const correlationIds = new Map(); // Order and algo IDs -> correlation ID of the signal that placed them
+
+/**
+ * Remember the correlation ID of an order and its protective orders
+ * @param {Object} order - Order (or journaled order entry) with orderId, algoId and trailingAlgoId
+ * @param {string} correlationId - Correlation ID of the signal
+ */
+function trackCorrelationId(order, correlationId) {
+  if (!correlationId) {
+    return;
+  }
+  for (const id of [order.orderId, order.algoId, order.trailingAlgoId]) {
+    if (id) {
+      correlationIds.set(id, correlationId);
+    }
+  }
+}
+
+/**
+ * Find the correlation ID of an order or algo order update
+ * SL/TP orders carry it in their algoClOrdId ("sltp" + correlation ID), entry orders
+ * (including every child order of an execution algorithm) and reduce orders
+ * ("reduce" + correlation ID) in their clOrdId.
+ * @param {Object} row - OKX order or algo order row
+ * @returns {string|null} Correlation ID
+ */
+function findCorrelationId(row) {
+  if (row.algoClOrdId && row.algoClOrdId.startsWith("sltp")) {
+    return row.algoClOrdId.slice(4);
+  }
+  if (row.clOrdId && row.clOrdId.startsWith("reduce")) {
+    return row.clOrdId.slice(6);
+  }
+  return parseEntryClOrdId(row.clOrdId) || correlationIds.get(row.ordId) || correlationIds.get(row.algoId) || null;
+}
+
+/**
+ * Journal the current bot state (trade cooldowns)
+ */
+function recordState() {
+  journal.record("state", { lastTradeTimes: Object.fromEntries(lastTradeTimes) });
+}
+
+/**
+ * Stop the bot and exit
+ * Journals the state, closes the WebSocket connections and sends pending notifications
+ * before exiting. A second call while shutting down exits right away.
+ * @param {number} exitCode - Process exit code
+ */
+async function shutdownBot(exitCode) {
+  if (isShuttingDown) {
+    process.exit(exitCode);
+  }
+  isShuttingDown = true;
+  log.info("Shutting down");
+
+  try {
+    stopPositionSync();
+    stopTimeSync();
+    apiServer.stopApiServer();
+    recordState();
+    await closeConnections();
+    await flushNotifications();
+  } catch (error) {
+    log.error("Error during shutdown", { error });
+  }
+
+  log.info("Goodbye");
+  // Let log lines still buffered for stdout/stderr go out first
+  await Promise.all([process.stdout, process.stderr].map(stream => new Promise(resolve => stream.write("", resolve))));
+  process.exit(exitCode);
+}
+
+/**
+ * Journal a reduction of the open trade and feed its realized PnL into the risk limits
+ * @param {string} instId - Instrument ID
+ * @param {Object} order - Result of reducePosition
+ */
+function recordReduce(instId, order) {
+  const trade = journal.getOpenTrade(instId);
+
+  journal.record("reduce", {
+    instId,
+    tradeId: trade ? trade.orderId : null,
+    correlationId: order.correlationId,
+    orderId: order.orderId,
+    side: order.side,
+    size: order.size,
+    remaining: order.remaining,
+    price: order.price,
+    realizedPnl: order.realizedPnl,
+    fees: order.fees
+  });
+
+  if (order.realizedPnl !== null) {
+    recordTradeResult(order.realizedPnl);
+  }
+}
+
+/**
+ * Journal the close of a position with its realized PnL and fees
+ * The closed position is looked up by the ID and open time of the position and the time
+ * its trade was journaled. If the exchange has not recorded it, the close is journaled
+ * as unresolved, without PnL, rather than with another position's result.
+ * @param {string} instId - Instrument ID
+ * @param {Object} previous - Position record before the close
+ * @param {string} reason - Why the close is recorded
+ * @returns {Promise<Object|null>} Closed position from the exchange, with the PnL its reductions
+ *   already recorded (reducedPnl), or null if it was not found
+ */
+async function recordClose(instId, previous, reason = null) {
+  // Look up the trade first: a reversing order may journal the next trade meanwhile
+  const trade = journal.getOpenTrade(instId);
+  const closed = await getLastClosedPosition(instId, {
+    posId: previous.posId || null,
+    openedAt: previous.openedAt || null,
+    // The journal uses the local clock, closed positions OKX server time
+    since: trade ? trade.timestamp + serverTime() - Date.now() : null
+  });
+
+  if (!closed) {
+    log.warn("Realized PnL of the closed position not found, journaling the close as unresolved", { instId, tradeId: trade ? trade.orderId : null });
+    notify("alert", `Realized PnL of the closed ${previous.side} position on ${instId} could not be found; it is not counted in the risk limits`, {
+      type: "close_unresolved",
+      instId,
+      tradeId: trade ? trade.orderId : null
+    });
+  }
+
+  journal.record("close", {
+    instId,
+    tradeId: trade ? trade.orderId : null,
+    correlationId: trade ? trade.correlationId : null,
+    side: previous.side,
+    size: previous.size,
+    realizedPnl: closed ? closed.realizedPnl : null,
+    fees: closed ? closed.fees : null,
+    funding: closed ? closed.funding : null,
+    closePrice: closed ? closed.closePrice : null,
+    closedAt: closed ? closed.closedAt : Date.now(),
+    reason: reason || (closed && closed.reason) || null,
+    unresolved: !closed
+  });
+
+  return closed ? { ...closed, reducedPnl: (trade && trade.reducedPnl) || 0 } : null;
+}
+
+/**
+ * Close the open position of every instrument
+ * A close OKX rejects or whose outcome is unknown is logged, notified and reported in failed.
+ * @param {string} reason - Why positions are flattened (for logging)
+ * @returns {Promise<Object>} { closed, failed } - closed instruments, and { instId, error } of the others
+ */
+async function flattenAll(reason) {
+  const closed = [];
+  const failed = [];
+
+  for (const instId of getInstrumentIds()) {
+    const position = getPosition(instId);
+    if (!position.side) {
+      continue;
+    }
+
+    try {
+      if (await closePosition(instId, position.side)) {
+        closed.push(instId);
+      } else {
+        failed.push({ instId, error: "Close rejected by the exchange" });
+      }
+    } catch (error) {
+      failed.push({ instId, error: error.message });
+    }
+  }
+
+  for (const { instId, error } of failed) {
+    log.error("Failed to flatten position", { instId, reason, error });
+    notify("order_failed", `Flattening ${instId} (${reason}) failed: ${error}`, { instId, reason, error });
+  }
+
+  return { closed, failed };
+}
+
+/**
+ * Reload config.js and apply the new settings to the running bot
+ * Modules share the same config object, so the new values are copied into it.
+ * Settings in RESTART_ONLY_SETTINGS keep their current value. If the new
+ * configuration does not validate, the previous one is restored.
+ * @returns {Object} { changed, needsRestart } - names of the applied and the skipped settings
+ */
+function reloadConfig() {
+  const configPath = require.resolve("./config");
+  const cached = require.cache[configPath];
+  let fresh;
+
+  delete require.cache[configPath];
+  try {
+    fresh = require("./config");
+  } finally {
+    require.cache[configPath] = cached;
+  }
+
+  const previous = { ...config };
+  const changed = [];
+  const needsRestart = [];
+
+  for (const [key, value] of Object.entries(fresh)) {
+    if (JSON.stringify(value) === JSON.stringify(config[key])) {
+      continue;
+    }
+    if (RESTART_ONLY_SETTINGS.includes(key)) {
+      needsRestart.push(key);
+    } else {
+      config[key] = value;
+      changed.push(key);
+    }
+  }
+
+  try {
+    refreshConfig();
+    validateConfig();
+  } catch (error) {
+    Object.assign(config, previous);
+    refreshConfig();
+    throw new Error(`Invalid configuration, keeping the previous settings: ${error.message}`);
+  }
+
+  log.info("Configuration reloaded", { changed });
+  if (needsRestart.length) {
+    log.warn("Restart the bot to apply these settings", { needsRestart });
+  }
+
+  return { changed, needsRestart };
+}
+
+/**
+ * Build the status snapshot served by the control API
+ * @returns {Object} Status
+ */
+function getStatus() {
+  return {
+    timestamp: Date.now(),
+    mode: config.PAPER_TRADING ? "paper" : config.USE_SIMULATED_TRADING ? "demo" : "live",
+    paused: isPaused,
+    connection: getConnectionState(),
+    instruments: getInstrumentIds().map(instId => {
+      const status = getStrategyStatus(instId);
+      return {
+        ...status,
+        formingCandle: getFormingCandle(instId, status.timeframe),
+        position: getPosition(instId)
+      };
+    }),
+    risk: getRiskState()
+  };
+}
+
+/**
+ * Backfill closed candles from the REST API into the strategy history of every
+ * instrument and timeframe
+ * On startup this loads up to MAX_OHLC_HISTORY candles; afterwards only
+ * candles newer than the latest one in history are fetched.
+ */
+async function backfillHistory() {
+  for (const instrument of getInstrumentConfigs()) {
+    const instId = instrument.TRADING_PAIR;
+    for (const timeframe of getInstrumentTimeframes(instId)) {
+      try {
+        const since = getLastCandleTimestamp(instId, timeframe);
+        const candles = await fetchHistoryCandles(instId, timeframe, instrument.MAX_OHLC_HISTORY, since);
+        const total = loadHistory(candles, instId, timeframe);
+        log.info("Backfilled candles from REST", { instId, timeframe, candles: candles.length, history: total });
+      } catch (error) {
+        log.error("Failed to backfill candle history", { instId, timeframe, error });
+      }
+    }
+  }
+}
 
 // Initialize the bot
 async function initBot() {
   try {
-    console.log("🤖 OKX Scalping Bot for Futures");
-    console.log("==============================");
-    console.log(`📊 Trading Pair: ${config.TRADING_PAIR}`);
-    console.log(`⏱️ Timeframe: ${config.TIMEFRAME}`);
-    console.log(`🔧 Strategy: ${config.STRATEGY}`);
-    console.log(`⚙️ Mode: ${config.TRADE_MODE}`);
-    console.log(`📈 Leverage: ${config.LEVERAGE}x`);
-    console.log(`💰 Using ${config.USE_PERCENTAGE_OF_BALANCE}% of ${config.USE_PERCENTAGE_OF_BALANCE_CURRENCY} balance per trade`);
-    console.log(`🛑 Stop Loss: ${config.STOP_LOSS_PERCENTAGE}% from entry price`);
-    console.log(`🎯 Take Profit: ${config.TAKE_PROFIT_PERCENTAGE}% from entry price`);
-    if (config.USE_SIMULATED_TRADING) {
-      console.log(`🧪 SIMULATED TRADING MODE ENABLED (Demo)`);
-    }
-    console.log("==============================");
+    const mode = config.PAPER_TRADING ? "paper" : config.USE_SIMULATED_TRADING ? "demo" : "live";
+    log.info("OKX Scalping Bot for Futures starting", {
+      mode,
+      paperBalance: config.PAPER_TRADING ? config.PAPER_INITIAL_BALANCE : undefined
+    });
+    for (const instrument of getInstrumentConfigs()) {
+      const stopSettings = getStopSettings(instrument.STRATEGY, instrument);
+      const executionSettings = getExecutionSettings(instrument.STRATEGY, instrument);
+      log.info("Instrument configured", {
+        instId: instrument.TRADING_PAIR,
+        timeframe: instrument.TIMEFRAME,
+        strategy: instrument.STRATEGY,
+        tradeMode: instrument.TRADE_MODE,
+        leverage: instrument.LEVERAGE,
+        balancePercentage: instrument.USE_PERCENTAGE_OF_BALANCE,
+        balanceCurrency: instrument.USE_PERCENTAGE_OF_BALANCE_CURRENCY,
+        stopMode: stopSettings.STOP_MODE,
+        stopLossPercentage: stopSettings.STOP_LOSS_PERCENTAGE,
+        takeProfit: stopSettings.TAKE_PROFIT_MODE === "r_multiple" ? `${stopSettings.TAKE_PROFIT_R}R` : `${stopSettings.TAKE_PROFIT_PERCENTAGE}%`,
+        executionMode: executionSettings.EXECUTION_MODE
+      });
+    }
+
+    validateCredentials();
+    startNotifier();
+    loadRiskState();
+
+    // Restore cooldowns and open trades from the journal
+    const restored = journal.restoreState();
+    if (restored.state && restored.state.lastTradeTimes) {
+      for (const [instId, time] of Object.entries(restored.state.lastTradeTimes)) {
+        lastTradeTimes.set(instId, time);
+      }
+    }
+    for (const trade of restored.openTrades.values()) {
+      trackCorrelationId(trade, trade.correlationId);
+    }
+
+    startStrategy();
+    if (config.PAPER_TRADING) {
+      broker.startPaperBroker();
+    }
+
+    if (config.API_SERVER_ENABLED) {
+      apiServer.startApiServer({
+        getStatus,
+        pause: () => {
+          isPaused = true;
+          log.info("Trading paused, signals will be ignored");
+          return { paused: true };
+        },
+        resume: () => {
+          isPaused = false;
+          log.info("Trading resumed");
+          return { paused: false };
+        },
+        flattenAll: () => flattenAll("control API"),
+        reloadConfig,
+        rearm
+      });
+    }
   } catch (error) {
-    console.error("❌ Initialization error:", error.message);
+    log.error("Initialization error", { error });
     process.exit(1);
   }
 
+  // Shut down cleanly on Ctrl+C or a supervisor's stop
+  for (const signalName of ["SIGINT", "SIGTERM"]) {
+    process.on(signalName, () => shutdownBot(0));
+  }
+
   // Setup error handling
   process.on("uncaughtException", (error) => {
-    console.error("🔥 CRITICAL ERROR:", error);
+    log.error("Uncaught exception", { error: error.stack || error.message });
     // Attempt graceful shutdown
     process.exit(1);
   });
   
   process.on("unhandledRejection", (reason, promise) => {
-    console.error("🔥 Unhandled Promise Rejection:", reason);
+    log.error("Unhandled promise rejection", { error: reason instanceof Error ? reason.stack : reason });
   });
   
-  // Connect to the OKX WebSocket
-  connectWebSocket();
+  // Sign REST requests and the private WebSocket login with OKX server time
+  if (!config.PAPER_TRADING) {
+    await startTimeSync();
+  }
+
+  // Warm up indicator history before live candles arrive
+  await backfillHistory();
+
+  // Connect to the OKX WebSocket; a failed connection is retried when its socket closes
+  connectWebSocket().catch(error => {
+    log.error("Failed to connect public WebSocket", { error });
+  });
+
+  // Connect to the private WebSocket for order, position and balance updates
+  // (the paper broker publishes its own updates)
+  if (!config.PAPER_TRADING) {
+    try {
+      await connectPrivateWebSocket();
+    } catch (error) {
+      log.error("Failed to connect private WebSocket", { error });
+    }
+  }
   
   // Initialize leverage
-  try {
-    await setLeverage();
-    console.log("✅ Leverage set successfully");
-  } catch (error) {
-    console.error("❌ Failed to set leverage:", error.message);
+  for (const instrument of getInstrumentConfigs()) {
+    try {
+      await setLeverage(instrument.TRADING_PAIR, instrument.LEVERAGE);
+      log.info("Leverage set", { instId: instrument.TRADING_PAIR, leverage: instrument.LEVERAGE });
+    } catch (error) {
+      log.error("Failed to set leverage", { instId: instrument.TRADING_PAIR, error });
+    }
   }
   
-  // Get dynamic trade size
+  // Reconcile strategy state with the actual exchange positions
   try {
-    await getTradeSize(config.USE_PERCENTAGE_OF_BALANCE_CURRENCY, config.USE_PERCENTAGE_OF_BALANCE);
+    const positions = await startPositionSync();
+    for (const position of positions) {
+      syncPosition(position);
+      log.info("Current position", { instId: position.instId, side: position.side || "flat", size: position.size, avgPrice: position.avgPrice });
+
+      // Journaled trades that were closed while the bot was not running
+      const trade = journal.getOpenTrade(position.instId);
+      if (trade && !position.side) {
+        log.info("Trade was closed while the bot was offline", { instId: trade.instId, tradeId: trade.orderId, correlationId: trade.correlationId });
+        await recordClose(position.instId, { side: trade.side === "BUY" ? "long" : "short", size: trade.size }, "closed_offline");
+      }
+    }
   } catch (error) {
-    console.error("❌ Failed to get trade size:", error.message);
+    log.error("Failed to sync positions", { error });
   }
 }
 
-// Handle trading signals
-marketDataEmitter.on("signal", async (signal) => {
-  console.log(`🔔 Received signal: ${signal.action} at $${signal.price}`);
-  
-  // Check if trading is allowed (cooldown period)
-  const now = Date.now();
-  if (now - lastTradeTime < config.TRADE_COOLDOWN) {
-    console.log("⏳ Trade cooldown in effect, skipping this signal...");
+// Refresh the position gauges on every /metrics scrape
+metrics.addCollector(() => {
+  for (const instId of getInstrumentIds()) {
+    const position = getPosition(instId);
+    metrics.positionSize.set({ instId }, position.side === "short" ? -position.size : position.size || 0);
+    metrics.unrealizedPnl.set({ instId }, position.unrealizedPnl || 0);
+  }
+});
+
+// Fill candles missed while the WebSocket was disconnected
+marketDataEmitter.on("reconnected", backfillHistory);
+
+// Reconnects gave up: notify, then exit so a supervisor can restart the bot
+marketDataEmitter.on("connectionLost", async ({ connection, attempts }) => {
+  notify("connection_lost", `${connection === "private" ? "Private" : "Public"} WebSocket lost after ${attempts} reconnect attempts, the bot is exiting`, { connection, attempts });
+  await shutdownBot(1);
+});
+
+// Alerts that need operator attention (unprotected positions, liquidations, ...)
+broker.tradeEmitter.on("alert", ({ type, message, details }) => {
+  notify("alert", message, { type, ...details });
+});
+
+// Keep strategy position state in line with the exchange
+positionEmitter.on("positionChanged", ({ current }) => {
+  syncPosition(current);
+});
+
+// Every reconciliation, changed or not, so a runner that assumed a fill that never came recovers
+positionEmitter.on("positionsSynced", positions => {
+  for (const position of positions) {
+    syncPosition(position);
+  }
+});
+
+positionEmitter.on("positionClosed", async ({ instId, previous }) => {
+  log.info("Position closed on the exchange", { instId, side: previous.side, size: previous.size });
+
+  // Protective orders of the closed position are stale (e.g. a trailing stop after the
+  // SL fired). Orders the bot is placing on this instrument meanwhile clean up themselves,
+  // so skip then.
+  if (!orderLocks.has(instId) && !getPosition(instId).side) {
+    orderLocks.set(instId, Date.now());
+    try {
+      await cancelProtection(instId, previous.side);
+    } catch (error) {
+      log.error("Failed to cancel protective orders of the closed position", { instId, error });
+    } finally {
+      orderLocks.delete(instId);
+    }
+  }
+
+  // Journal the close and feed the realized result into the risk limits (less what
+  // reductions of the position already fed in)
+  try {
+    const closed = await recordClose(instId, previous);
+    if (closed) {
+      recordTradeResult(closed.realizedPnl - closed.reducedPnl);
+    }
+  } catch (error) {
+    log.error("Failed to fetch realized PnL", { instId, error });
+  }
+});
+
+// Optionally flatten everything when a risk limit halts trading
+riskEmitter.on("halted", async ({ reason, flatten }) => {
+  notify("risk_halted", `Trading halted: ${reason}${flatten ? " (flattening positions)" : ""}`, { reason, flatten });
+
+  if (!flatten) {
     return;
   }
+
+  await flattenAll("risk halt");
+});
+
+// Confirm fills from the private orders channel
+accountEmitter.on("orders", (orders) => {
+  for (const order of orders) {
+    const correlationId = findCorrelationId(order);
+    if (order.state === "filled" || order.state === "partially_filled") {
+      journal.record("fill", {
+        correlationId,
+        instId: order.instId,
+        ordId: order.ordId,
+        side: order.side,
+        size: order.accFillSz,
+        price: order.avgPx,
+        fee: order.fee,
+        state: order.state
+      });
+      log.info("Order filled", {
+        correlationId,
+        instId: order.instId,
+        ordId: order.ordId,
+        state: order.state,
+        side: order.side,
+        filled: order.accFillSz,
+        size: order.sz,
+        price: order.avgPx
+      });
+      notify("order_filled", `${order.instId} ${order.side} ${order.accFillSz}/${order.sz} @ $${order.avgPx} (${order.state})`, {
+        instId: order.instId,
+        ordId: order.ordId,
+        side: order.side,
+        size: order.accFillSz,
+        price: order.avgPx,
+        state: order.state
+      });
+    } else if (order.state === "canceled") {
+      log.info("Order canceled", { correlationId, instId: order.instId, ordId: order.ordId, side: order.side, size: order.sz });
+    }
+  }
+});
+
+// Report triggered or failed protective (algo) orders
+accountEmitter.on("algoOrders", (algoOrders) => {
+  for (const algo of algoOrders) {
+    const correlationId = findCorrelationId(algo);
+    const algoLog = log.child({ correlationId, instId: algo.instId, algoId: algo.algoId, ordType: algo.ordType });
+
+    if (algo.state === "effective" || algo.state === "order_failed") {
+      journal.record("protection", { correlationId, instId: algo.instId, algoId: algo.algoId, ordType: algo.ordType, state: algo.state });
+    }
+
+    if (algo.state === "effective") {
+      algoLog.info("Algo order triggered");
+      notify("protection_triggered", `${algo.ordType} order ${algo.algoId} triggered on ${algo.instId}`, { instId: algo.instId, algoId: algo.algoId, ordType: algo.ordType });
+    } else if (algo.state === "order_failed") {
+      algoLog.error("Algo order failed");
+      notify("protection_failed", `${algo.ordType} order ${algo.algoId} FAILED on ${algo.instId}`, { instId: algo.instId, algoId: algo.algoId, ordType: algo.ordType });
+    }
+  }
+});
+
+/**
+ * Act on a trading signal: open, close, reduce or reverse the instrument's position
+ * @param {Object} signal - Signal emitted by the strategy runner
+ * @returns {Promise<boolean>} True if an order was placed, false if the signal was skipped or failed
+ */
+async function handleSignal(signal) {
+  const instId = signal.instId || config.TRADING_PAIR;
+  const settings = getInstrumentConfig(instId);
+  const { correlationId } = signal;
+  const signalLog = log.child({ correlationId, instId });
+  signalLog.info("Received signal", { action: signal.action, price: signal.price, strategy: signal.strategy });
+  metrics.signals.inc({ instId, action: signal.action, strategy: signal.strategy });
+  journal.record("signal", {
+    correlationId,
+    instId,
+    action: signal.action,
+    price: signal.price,
+    stop: signal.stop,
+    target: signal.target,
+    reason: signal.reason,
+    intent: signal.intent,
+    fraction: signal.fraction,
+    strategy: signal.strategy
+  });
+  apiServer.publish("signal", signal);
+  notify("signal", `${signal.action} ${instId} at $${signal.price}${signal.reason ? ` (${signal.reason})` : ""}`, {
+    instId,
+    action: signal.action,
+    price: signal.price,
+    strategy: signal.strategy,
+    intent: signal.intent
+  });
+
+  if (isPaused) {
+    signalLog.info("Trading paused, skipping this signal");
+    return false;
+  }
   
-  if (!isTrading) {
-    isTrading = true;
+  const intent = signal.intent || "open";
+  const position = getPosition(instId);
+  const signalSide = signal.action === "BUY" ? "long" : "short";
+  const closing = intent === "close" || intent === "reduce";
+  const reversing = intent === "reverse" && Boolean(position.side) && position.side !== signalSide;
+
+  // Closes and reductions act on a position on the other side of the signal
+  if (closing && (!position.side || position.side === signalSide)) {
+    signalLog.info("No position to close, skipping this signal", { intent, side: position.side || "flat" });
+    return false;
+  }
+
+  // Skip signals that would add to an existing position in the same direction
+  if (!closing && position.side === signalSide) {
+    signalLog.info("Already in a position on this side, skipping this signal", { side: position.side, size: position.size });
+    return false;
+  }
+
+  // Only a reverse may close the opposite position before opening
+  if (intent === "open" && position.side) {
+    signalLog.info("Signal would open against the open position, skipping it", { side: position.side, size: position.size });
+    return false;
+  }
+
+  // Check if trading is allowed (cooldown period); closing a position is never delayed
+  const now = Date.now();
+  if (!closing && now - (lastTradeTimes.get(instId) || 0) < settings.TRADE_COOLDOWN) {
+    signalLog.info("Trade cooldown in effect, skipping this signal");
+    return false;
+  }
+
+  // Account-level risk limits across all instruments, for entries only; the position a
+  // reverse closes no longer counts. While halted, a reverse still closes the position.
+  let risk = null;
+  if (!closing) {
+    risk = checkEntry({ openNotional: getOpenNotional() - (reversing ? position.notional : 0), leverage: settings.LEVERAGE });
+    if (!risk.allowed) {
+      signalLog.warn("Entry blocked by risk manager", { reason: risk.reason });
+      if (reversing && !orderLocks.has(instId)) {
+        orderLocks.set(instId, Date.now());
+        try {
+          await closePosition(instId, position.side);
+        } catch (error) {
+          signalLog.error("Error closing position", { side: position.side, error });
+          notify("order_failed", `Closing ${position.side} position on ${instId} failed: ${error.message}`, { instId, side: position.side, error: error.message });
+        } finally {
+          orderLocks.delete(instId);
+        }
+      }
+      return false;
+    }
+  }
+
+  if (!orderLocks.has(instId)) {
+    orderLocks.set(instId, Date.now());
+    const side = signal.action.toLowerCase();
+    const startedAt = Date.now();
     try {
-      // Place order with dynamic size (passing null tells the trader to calculate size)
-      await placeOrder(config.TRADING_PAIR, signal.action, null);
-      lastTradeTime = Date.now();
+      if (intent === "close") {
+        if (!await closePosition(instId, position.side)) {
+          throw new Error(`Closing the ${position.side} position was rejected`);
+        }
+        signalLog.info("Position closed by signal", { side: position.side, size: position.size });
+      } else if (intent === "reduce") {
+        const order = await reducePosition(instId, position.side, position.size * signal.fraction, {
+          correlationId,
+          positionSize: position.size
+        });
+        trackCorrelationId(order, correlationId);
+        // A reduction that closed the whole position is journaled as its close
+        if (order.orderId) {
+          recordReduce(instId, order);
+        }
+        signalLog.info("Position reduced by signal", { side: position.side, size: order.size, remaining: order.remaining, realizedPnl: order.realizedPnl });
+      } else {
+        // Place order with dynamic size (passing null tells the trader to calculate size)
+        const options = {
+          correlationId,
+          strategy: signal.strategy,
+          indicators: signal.indicators,
+          stop: signal.stop,
+          target: signal.target,
+          maxNotional: risk.maxNotional
+        };
+        const order = reversing
+          ? await reversePosition(instId, signal.action, null, options)
+          : await placeOrder(instId, signal.action, null, options);
+        trackCorrelationId(order, correlationId);
+        lastTradeTimes.set(instId, Date.now());
+        journal.record("order", {
+          correlationId,
+          instId,
+          orderId: order.orderId,
+          algoId: order.algoId,
+          trailingAlgoId: order.trailingAlgoId,
+          side: order.side,
+          size: order.size,
+          price: order.price,
+          stopLoss: order.stopLoss,
+          takeProfit: order.takeProfit,
+          sizing: order.sizing,
+          execution: order.execution || null,
+          strategy: signal.strategy,
+          reason: signal.reason
+        });
+        recordState();
+        recordEntry();
+      }
+      metrics.orderLatency.observe({ instId }, (Date.now() - startedAt) / 1000);
+      metrics.orders.inc({ instId, side, result: "placed" });
+      return true;
     } catch (error) {
-      console.error("❌ Error executing trade:", error.message);
+      metrics.orders.inc({ instId, side, result: "failed" });
+      signalLog.error("Error executing trade", { action: signal.action, intent, error });
+      notify("order_failed", `${signal.action} (${intent}) order for ${instId} failed: ${error.message}`, { instId, action: signal.action, intent, error: error.message });
     } finally {
-      isTrading = false;
+      orderLocks.delete(instId);
     }
   } else {
-    console.log("🔒 Trading in progress, skipping this signal...");
+    signalLog.info("Order in progress on this instrument, skipping this signal", { since: orderLocks.get(instId) });
+  }
+  return false;
+}
+
+// Handle trading signals. The strategy runner assumes the position its signal leads to;
+// when nothing was placed, put it back in line with the exchange.
+marketDataEmitter.on("signal", async (signal) => {
+  if (!await handleSignal(signal)) {
+    syncPosition(getPosition(signal.instId || config.TRADING_PAIR));
   }
 });
 
 // Start the bot
 initBot().catch(error => {
-  console.error("❌ Initialization error:", error.message);
+  log.error("Initialization error", { error });
   process.exit(1);
 });
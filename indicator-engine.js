@@ -0,0 +1,600 @@
+/**
+ * Streaming indicators for OKX Scalping Bot
+ * Each indicator keeps a constant amount of state and is fed one bar at a time:
+ *
+ *   update(input) - Value as if the forming bar closed at `input`; the committed state is not changed
+ *   commit(input) - Close the bar: advance the state and return the new value
+ *
+ * `value` is the latest value (including the forming bar after an update) and
+ * `previous` the value of the bar before it. Values are null until an indicator has
+ * enough bars. Feeding every bar of a series through commit() gives exactly the
+ * series of the batch functions in indicators.js, which are built on these objects.
+ *
+ * EMA, SMA, StdDev, Bollinger Bands and RSI take a price; ATR, VWAP, Supertrend and
+ * TrendLine take a candle ({ high, low, close, volume, timestamp }).
+ *
+ * An indicator engine shares indicator instances between strategies, the status API
+ * and the signal's stop levels for one instrument:
+ *
+ *   const ema = context.indicators.get("ema", 9);
+ *   if (ema.previous < longEma.previous && ema.value > longEma.value) { ... }
+ */
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Wrap a step function into a streaming indicator
+ * @param {Function} initialState - Returns a fresh state
+ * @param {Function} next - (state, input, commit) => next state with a `value` field; it may only
+ * mutate shared buffers in the state when `commit` is true
+ * @returns {Object} { update(input), commit(input), reset(), value, previous, ready }
+ */
+function createIndicator(initialState, next) {
+  let state = initialState();
+  let forming = null;
+  let previous = null;
+
+  return {
+    update(input) {
+      forming = next(state, input, false);
+      return forming.value;
+    },
+    commit(input) {
+      previous = state.value;
+      state = next(state, input, true);
+      forming = null;
+      return state.value;
+    },
+    reset() {
+      state = initialState();
+      forming = null;
+      previous = null;
+    },
+    get value() {
+      return forming ? forming.value : state.value;
+    },
+    get previous() {
+      return forming ? state.value : previous;
+    },
+    get ready() {
+      return this.value !== null;
+    }
+  };
+}
+
+/**
+ * EMA step, seeded with the simple average of the first `period` prices (as ta.js does)
+ * @param {number} period - EMA period
+ * @returns {Function} Step function
+ */
+function emaStep(period) {
+  const weight = 2 / (period + 1);
+  return (state, price) => {
+    const count = state.count + 1;
+    if (count < period) {
+      return { count, sum: state.sum + price, value: null };
+    }
+    if (count === period) {
+      return { count, sum: 0, value: (state.sum + price) / period };
+    }
+    return { count, sum: 0, value: (price - state.value) * weight + state.value };
+  };
+}
+
+/**
+ * Create a streaming exponential moving average
+ * @param {number} period - EMA period
+ * @returns {Object} Streaming indicator (price input, number value)
+ */
+function createEMA(period) {
+  return createIndicator(() => ({ count: 0, sum: 0, value: null }), emaStep(period));
+}
+
+/**
+ * Rolling window step: running mean and sum of squared deviations (Welford's method,
+ * with the oldest price removed once the window is full)
+ * The window is a ring buffer that is only written on commit.
+ * @param {number} length - Window length
+ * @returns {Function} Step function; the state carries mean and variance (population)
+ */
+function windowStep(length) {
+  return (state, price, commit) => {
+    const full = state.count >= length;
+    let mean;
+    let m2;
+
+    if (full) {
+      const removed = state.window[state.head];
+      mean = state.mean + (price - removed) / length;
+      m2 = state.m2 + (price - removed) * (price - mean + removed - state.mean);
+    } else {
+      const delta = price - state.mean;
+      mean = state.mean + delta / (state.count + 1);
+      m2 = state.m2 + delta * (price - mean);
+    }
+
+    const count = Math.min(state.count + 1, length);
+    let head = state.head;
+    if (commit) {
+      state.window[head] = price;
+      head = (head + 1) % length;
+    }
+
+    const ready = count === length;
+    return {
+      window: state.window,
+      head,
+      count,
+      mean,
+      m2,
+      variance: ready ? Math.max(0, m2) / length : null,
+      value: ready ? mean : null
+    };
+  };
+}
+
+/**
+ * Initial state of a rolling window
+ * @param {number} length - Window length
+ * @returns {Function} Returns a fresh state
+ */
+function windowState(length) {
+  return () => ({ window: new Array(length), head: 0, count: 0, mean: 0, m2: 0, variance: null, value: null });
+}
+
+/**
+ * Create a streaming simple moving average
+ * @param {number} length - Window length
+ * @returns {Object} Streaming indicator (price input, number value)
+ */
+function createSMA(length) {
+  return createIndicator(windowState(length), windowStep(length));
+}
+
+/**
+ * Create a streaming (population) standard deviation
+ * @param {number} length - Window length
+ * @returns {Object} Streaming indicator (price input, number value)
+ */
+function createStdDev(length) {
+  const step = windowStep(length);
+  return createIndicator(windowState(length), (state, price, commit) => {
+    const next = step(state, price, commit);
+    return { ...next, value: next.variance === null ? null : Math.sqrt(next.variance) };
+  });
+}
+
+/**
+ * Create streaming Bollinger Bands (SMA +/- deviation x population standard deviation)
+ * @param {number} length - Window length
+ * @param {number} deviation - Standard deviation multiplier
+ * @returns {Object} Streaming indicator (price input, { upper, middle, lower } value)
+ */
+function createBollingerBands(length, deviation) {
+  return createIndicator(windowState(length), bollingerStep(length, deviation));
+}
+
+/**
+ * Bollinger Bands step on top of the rolling window step
+ * @param {number} length - Window length
+ * @param {number} deviation - Standard deviation multiplier
+ * @returns {Function} Step function; the value is { upper, middle, lower } or null
+ */
+function bollingerStep(length, deviation) {
+  const step = windowStep(length);
+  return (state, price, commit) => {
+    const next = step(state, price, commit);
+    if (next.variance === null) {
+      return { ...next, value: null };
+    }
+    const stdDev = Math.sqrt(next.variance);
+    return {
+      ...next,
+      middle: next.mean,
+      value: { upper: next.mean + stdDev * deviation, middle: next.mean, lower: next.mean - stdDev * deviation }
+    };
+  };
+}
+
+/**
+ * ATR step (Wilder's smoothing)
+ * The first candle has no previous close, so the first ATR is the simple average of
+ * the true ranges of candles 2..period+1.
+ * @param {number} period - ATR period
+ * @returns {Function} Step function
+ */
+function atrStep(period) {
+  return (state, candle) => {
+    if (state.previousClose === null) {
+      return { count: 0, sum: 0, previousClose: candle.close, value: null };
+    }
+
+    const { high, low } = candle;
+    const trueRange = Math.max(high - low, Math.abs(high - state.previousClose), Math.abs(low - state.previousClose));
+    const count = state.count + 1;
+    let value = null;
+    let sum = state.sum;
+
+    if (count < period) {
+      sum += trueRange;
+    } else if (count === period) {
+      value = (sum + trueRange) / period;
+    } else {
+      value = (state.value * (period - 1) + trueRange) / period;
+    }
+
+    return { count, sum, previousClose: candle.close, value };
+  };
+}
+
+/**
+ * Initial ATR state
+ * @returns {Object} State
+ */
+function atrState() {
+  return { count: 0, sum: 0, previousClose: null, value: null };
+}
+
+/**
+ * Create a streaming Average True Range
+ * @param {number} period - ATR period
+ * @returns {Object} Streaming indicator (candle input, number value)
+ */
+function createATR(period) {
+  return createIndicator(atrState, atrStep(period));
+}
+
+/**
+ * Create a streaming Relative Strength Index (Wilder's smoothing)
+ * The first RSI uses the simple average gain and loss of the first `period` changes.
+ * @param {number} period - RSI period
+ * @returns {Object} Streaming indicator (price input, number value from 0 to 100)
+ */
+function createRSI(period) {
+  const initialState = () => ({ count: 0, previousPrice: null, gain: 0, loss: 0, value: null });
+
+  return createIndicator(initialState, (state, price) => {
+    if (state.previousPrice === null) {
+      return { ...state, previousPrice: price };
+    }
+
+    const change = price - state.previousPrice;
+    const count = state.count + 1;
+    let gain;
+    let loss;
+
+    if (count <= period) {
+      gain = state.gain + Math.max(change, 0) / period;
+      loss = state.loss + Math.max(-change, 0) / period;
+    } else {
+      gain = (state.gain * (period - 1) + Math.max(change, 0)) / period;
+      loss = (state.loss * (period - 1) + Math.max(-change, 0)) / period;
+    }
+
+    let value = null;
+    if (count >= period) {
+      value = loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss);
+    }
+
+    return { count, previousPrice: price, gain, loss, value };
+  });
+}
+
+/**
+ * Create a streaming Volume Weighted Average Price of the typical price (high + low + close) / 3
+ * @param {string} anchor - "day" to restart at every UTC day, or "none" for a running VWAP
+ * @returns {Object} Streaming indicator (candle input, number value)
+ */
+function createVWAP(anchor = "day") {
+  const initialState = () => ({ session: null, volume: 0, priceVolume: 0, value: null });
+
+  return createIndicator(initialState, (state, candle) => {
+    const session = anchor === "day" ? Math.floor(candle.timestamp / ONE_DAY) : 0;
+    const carry = session === state.session;
+    const volume = (carry ? state.volume : 0) + (candle.volume || 0);
+    const priceVolume = (carry ? state.priceVolume : 0) + ((candle.high + candle.low + candle.close) / 3) * (candle.volume || 0);
+
+    return {
+      session,
+      volume,
+      priceVolume,
+      value: volume > 0 ? priceVolume / volume : (carry ? state.value : null)
+    };
+  });
+}
+
+/**
+ * Create a streaming Supertrend
+ * Bands are hl2 +/- multiplier x ATR. The final lower band only rises and the final
+ * upper band only falls, unless the previous close crossed them. The trend starts
+ * "up" on the first candle with an ATR and flips when a close breaks the previous
+ * final band on the other side.
+ * @param {number} period - ATR period
+ * @param {number} multiplier - ATR multiplier
+ * @returns {Object} Streaming indicator (candle input, { trend, value, atr, upperBand, lowerBand, flipped } value)
+ */
+function createSupertrend(period, multiplier) {
+  const nextAtr = atrStep(period);
+  const initialState = () => ({ atr: atrState(), previousClose: null, upperBand: null, lowerBand: null, trend: null, value: null });
+
+  return createIndicator(initialState, (state, candle) => {
+    const atr = nextAtr(state.atr, candle);
+    if (atr.value === null) {
+      return { ...state, atr, previousClose: candle.close };
+    }
+
+    const hl2 = (candle.high + candle.low) / 2;
+    const basicUpper = hl2 + multiplier * atr.value;
+    const basicLower = hl2 - multiplier * atr.value;
+    let upperBand = basicUpper;
+    let lowerBand = basicLower;
+    let trend = "up";
+
+    if (state.trend) {
+      if (!(basicUpper < state.upperBand || state.previousClose > state.upperBand)) {
+        upperBand = state.upperBand;
+      }
+      if (!(basicLower > state.lowerBand || state.previousClose < state.lowerBand)) {
+        lowerBand = state.lowerBand;
+      }
+
+      trend = state.trend;
+      if (state.trend === "down" && candle.close > state.upperBand) {
+        trend = "up";
+      } else if (state.trend === "up" && candle.close < state.lowerBand) {
+        trend = "down";
+      }
+    }
+
+    return {
+      atr,
+      previousClose: candle.close,
+      upperBand,
+      lowerBand,
+      trend,
+      value: {
+        trend,
+        value: trend === "up" ? lowerBand : upperBand,
+        atr: atr.value,
+        upperBand,
+        lowerBand,
+        flipped: Boolean(state.trend) && trend !== state.trend
+      }
+    };
+  });
+}
+
+/**
+ * Check whether the middle candle of a window is a fractal high and/or low
+ * Same rule as detectFractals in indicators.js: above (below) the candles to its left
+ * and at least as high (low) as the candles to its right.
+ * @param {Array} window - 2 x wings + 1 candles, oldest first
+ * @param {number} wings - Candles on each side of the middle one
+ * @returns {Object} { isHigh, isLow }
+ */
+function checkFractal(window, wings) {
+  const middle = window[wings];
+  let isHigh = true;
+  let isLow = true;
+
+  for (let j = 1; j <= wings && (isHigh || isLow); j++) {
+    const left = window[wings - j];
+    const right = window[wings + j];
+    if (!(middle.high > left.high && middle.high >= right.high)) {
+      isHigh = false;
+    }
+    if (!(middle.low < left.low && middle.low <= right.low)) {
+      isLow = false;
+    }
+  }
+
+  return { isHigh, isLow };
+}
+
+/**
+ * Project the line through the last two pivots to a bar
+ * @param {Array} pivots - Up to two pivots { index, price, timestamp }, oldest first
+ * @param {number} index - Bar index to project to
+ * @returns {Object|null} { from, to, slope, value }, null with fewer than two pivots
+ */
+function projectTrendLine(pivots, index) {
+  if (pivots.length < 2) {
+    return null;
+  }
+  const [from, to] = pivots;
+  const slope = (to.price - from.price) / (to.index - from.index);
+  return { from, to, slope, value: from.price + slope * (index - from.index) };
+}
+
+/**
+ * Create a streaming TrendLine indicator (fractal trend lines and Bollinger Bands)
+ * Keeps the last candles of one fractal window and the last two fractal highs and lows,
+ * and classifies the trend like calculateTrendLine in indicators.js. Pivot indexes count
+ * candles since the indicator started (or was reset).
+ * @param {number} fractalsPeriod - Fractal window length (TLBB_FRACTALS_PERIOD)
+ * @param {number} bbLength - Bollinger Band length
+ * @param {number} bbDeviation - Bollinger Band standard deviation multiplier
+ * @returns {Object} Streaming indicator (candle input, { trend, swingHigh, swingLow, resistance, support, bb } value)
+ */
+function createTrendLine(fractalsPeriod, bbLength, bbDeviation) {
+  const wings = Math.max(1, Math.floor(fractalsPeriod / 2));
+  const size = Math.max(fractalsPeriod, 2 * wings + 1);
+  const nextBands = bollingerStep(bbLength, bbDeviation);
+  const initialState = () => ({ bb: windowState(bbLength)(), index: -1, window: [], highs: [], lows: [], value: null });
+
+  return createIndicator(initialState, (state, candle, commit) => {
+    const bb = nextBands(state.bb, candle.close, commit);
+    const index = state.index + 1;
+    const window = state.window.concat([{ ...candle, index }]).slice(-size);
+    let highs = state.highs;
+    let lows = state.lows;
+
+    // The candle confirms the pivot `wings` candles before it
+    if (window.length >= 2 * wings + 1) {
+      const fractal = window.slice(-(2 * wings + 1));
+      const { isHigh, isLow } = checkFractal(fractal, wings);
+      const { index: pivotIndex, timestamp } = fractal[wings];
+      if (isHigh) {
+        highs = highs.concat([{ index: pivotIndex, price: fractal[wings].high, timestamp }]).slice(-2);
+      }
+      if (isLow) {
+        lows = lows.concat([{ index: pivotIndex, price: fractal[wings].low, timestamp }]).slice(-2);
+      }
+    }
+
+    const next = { bb, index, window, highs, lows, value: null };
+    if (index + 1 < fractalsPeriod || !bb.value) {
+      return next;
+    }
+
+    const resistance = projectTrendLine(highs, index);
+    const support = projectTrendLine(lows, index);
+    const recent = window.slice(-fractalsPeriod);
+    const swingHigh = highs.length ? highs[highs.length - 1].price : Math.max(...recent.map(bar => bar.high));
+    const swingLow = lows.length ? lows[lows.length - 1].price : Math.min(...recent.map(bar => bar.low));
+
+    const close = candle.close;
+    const slope = (resistance ? resistance.slope : 0) + (support ? support.slope : 0);
+    let trend;
+
+    if (resistance && close > resistance.value && close > bb.value.middle) {
+      trend = "strongly_bullish";
+    } else if (support && close < support.value && close < bb.value.middle) {
+      trend = "strongly_bearish";
+    } else if (slope > 0) {
+      trend = "moderately_bullish";
+    } else if (slope < 0) {
+      trend = "moderately_bearish";
+    } else {
+      trend = close > bb.value.middle ? "moderately_bullish" : "moderately_bearish";
+    }
+
+    next.value = { trend, swingHigh, swingLow, resistance, support, bb: bb.value };
+    return next;
+  });
+}
+
+// Indicators available from an engine: factory and whether it takes the close or the whole candle
+const INDICATORS = {
+  ema: { create: createEMA, input: "close" },
+  sma: { create: createSMA, input: "close" },
+  stddev: { create: createStdDev, input: "close" },
+  bollinger: { create: createBollingerBands, input: "close" },
+  rsi: { create: createRSI, input: "close" },
+  atr: { create: createATR, input: "candle" },
+  vwap: { create: createVWAP, input: "candle" },
+  supertrend: { create: createSupertrend, input: "candle" },
+  trendline: { create: createTrendLine, input: "candle" }
+};
+
+/**
+ * Feed a series through a streaming indicator
+ * @param {Object} indicator - Streaming indicator (fresh or reset)
+ * @param {Array} inputs - Prices or candles, oldest first
+ * @returns {Array} Value after each input
+ */
+function computeSeries(indicator, inputs) {
+  return inputs.map(input => indicator.commit(input));
+}
+
+/**
+ * Create an indicator engine for one candle series (e.g. an instrument's signal timeframe)
+ * Indicators are created on first use, warmed up from the closed candle history, and
+ * shared by everyone who asks for the same name and parameters.
+ * @param {Function} getHistory - Returns the closed candles, oldest first
+ * @returns {Object} { get(name, ...params), commit(candle), update(candle), reload(), clear() }
+ */
+function createIndicatorEngine(getHistory = () => []) {
+  const instances = new Map();
+  let forming = null;
+
+  const feed = (entry, candle, method) => entry.indicator[method](entry.input === "close" ? candle.close : candle);
+
+  return {
+    /**
+     * Get a shared indicator, e.g. get("ema", 9) or get("supertrend", 10, 3)
+     * @param {string} name - Indicator name (see INDICATORS)
+     * @param {...*} params - Factory parameters
+     * @returns {Object} Streaming indicator
+     */
+    get(name, ...params) {
+      const key = `${name}(${params.join(",")})`;
+      let entry = instances.get(key);
+
+      if (!entry) {
+        const definition = INDICATORS[name];
+        if (!definition) {
+          throw new Error(`Unknown indicator: ${name} (available: ${Object.keys(INDICATORS).join(", ")})`);
+        }
+        entry = { indicator: definition.create(...params), input: definition.input };
+        for (const candle of getHistory()) {
+          feed(entry, candle, "commit");
+        }
+        if (forming) {
+          feed(entry, forming, "update");
+        }
+        instances.set(key, entry);
+      }
+
+      return entry.indicator;
+    },
+
+    /**
+     * Close a bar on every indicator
+     * @param {Object} candle - Closed candle
+     */
+    commit(candle) {
+      forming = null;
+      for (const entry of instances.values()) {
+        feed(entry, candle, "commit");
+      }
+    },
+
+    /**
+     * Evaluate the forming bar on every indicator
+     * @param {Object} candle - Forming candle
+     */
+    update(candle) {
+      forming = candle;
+      for (const entry of instances.values()) {
+        feed(entry, candle, "update");
+      }
+    },
+
+    /**
+     * Rebuild every indicator from the history (after candles were merged into it)
+     */
+    reload() {
+      forming = null;
+      const history = getHistory();
+      for (const entry of instances.values()) {
+        entry.indicator.reset();
+        for (const candle of history) {
+          feed(entry, candle, "commit");
+        }
+      }
+    },
+
+    /**
+     * Drop all indicators; they are recreated from the history on next use
+     */
+    clear() {
+      forming = null;
+      instances.clear();
+    }
+  };
+}
+
+module.exports = {
+  INDICATORS,
+  createEMA,
+  createSMA,
+  createStdDev,
+  createBollingerBands,
+  createATR,
+  createRSI,
+  createVWAP,
+  createSupertrend,
+  createTrendLine,
+  computeSeries,
+  createIndicatorEngine
+};
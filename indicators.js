@@ -0,0 +1,262 @@
+/**
+ * Technical indicators for OKX Scalping Bot
+ * Shared by the strategies in strategies/ and by the strategy runner.
+ *
+ * The calculate* functions return the values of the latest candle plus a `series`
+ * object whose arrays line up with the input candles (null where a value is not
+ * defined yet), so strategies can look back and charts can plot the whole history.
+ *
+ * Bollinger Bands, ATR and Supertrend feed the candles through the streaming
+ * indicators of indicator-engine.js, so a batch series is always identical to
+ * what the strategy runner computes bar by bar.
+ */
+const config = require("./config");
+const { createBollingerBands, createATR, createSupertrend, computeSeries } = require("./indicator-engine");
+const { createLogger } = require("./logger");
+
+const log = createLogger("indicators");
+
+/**
+ * Calculate Bollinger Bands (simple moving average +/- population standard deviation)
+ * @param {Array} prices - Array of price objects with close property
+ * @param {number} length - Bollinger Band length
+ * @param {number} deviation - Standard deviation multiplier
+ * @returns {Object|null} { upper, middle, lower, series: { upper, middle, lower } } or null if there are not enough candles
+ */
+function calculateBollingerBands(prices, length = config.BB_LENGTH, deviation = config.BB_DEVIATION) {
+  if (prices.length < length) {
+    return null;
+  }
+
+  try {
+    const bands = computeSeries(createBollingerBands(length, deviation), prices.map(candle => candle.close));
+    const series = {
+      upper: bands.map(band => band && band.upper),
+      middle: bands.map(band => band && band.middle),
+      lower: bands.map(band => band && band.lower)
+    };
+
+    const last = bands[bands.length - 1];
+    return {
+      upper: last.upper,
+      middle: last.middle,
+      lower: last.lower,
+      series
+    };
+  } catch (error) {
+    log.error("Error calculating Bollinger Bands", { error });
+    return null;
+  }
+}
+
+/**
+ * Calculate the Average True Range of every candle (Wilder's smoothing)
+ * The first value is the simple average of the first `period` true ranges and
+ * belongs to candle `period` (the first candle has no previous close).
+ * @param {Array} candles - Array of OHLC candles
+ * @param {number} period - ATR period
+ * @returns {Array} ATR per candle, null until enough candles are available
+ */
+function calculateATRSeries(candles, period = config.ST_PERIOD) {
+  return computeSeries(createATR(period), candles);
+}
+
+/**
+ * Calculate Average True Range (Wilder's smoothing)
+ * @param {Array} candles - Array of OHLC candles
+ * @param {number} period - ATR period
+ * @returns {number|null} Latest ATR value, or null if there are not enough candles
+ */
+function calculateATR(candles, period = config.ST_PERIOD) {
+  if (candles.length < period + 1) {
+    return null;
+  }
+
+  const series = calculateATRSeries(candles, period);
+  return series[series.length - 1];
+}
+
+/**
+ * Calculate the Supertrend indicator over the whole candle history
+ * Basic bands are hl2 +/- multiplier x ATR. The final bands only ratchet towards
+ * price: the lower band never falls and the upper band never rises, unless the
+ * previous close crossed them. The trend flips up when a close breaks above the
+ * previous final upper band, and down when a close breaks below the previous
+ * final lower band. The trend starts "up" on the first candle with an ATR.
+ * @param {Array} candles - Array of OHLC candles
+ * @param {number} period - ATR period
+ * @param {number} multiplier - ATR multiplier
+ * @returns {Object|null} { trend, value, atr, upperBand, lowerBand, flipped, series } or null if there are not enough candles
+ */
+function calculateSupertrend(candles, period = config.ST_PERIOD, multiplier = config.ST_MULTIPLIER) {
+  if (candles.length < period + 1) {
+    return null;
+  }
+
+  try {
+    const values = computeSeries(createSupertrend(period, multiplier), candles);
+    const pick = field => values.map(value => (value ? value[field] : null));
+    const last = values[values.length - 1];
+
+    return {
+      ...last,
+      series: {
+        trend: pick("trend"),
+        value: pick("value"),
+        upperBand: pick("upperBand"),
+        lowerBand: pick("lowerBand"),
+        atr: pick("atr")
+      }
+    };
+  } catch (error) {
+    log.error("Error calculating Supertrend", { error });
+    return null;
+  }
+}
+
+/**
+ * Find fractal pivots (Bill Williams fractals)
+ * A fractal high is a candle whose high is above the highs of the floor(period / 2)
+ * candles on either side (a 5 candle fractal is period 5); a fractal low likewise
+ * for lows. Of equal highs (or lows) the first one is the pivot. A pivot is only
+ * confirmed once the candles to its right have closed, so the latest
+ * floor(period / 2) candles never contain one.
+ * @param {Array} candles - Array of OHLC candles
+ * @param {number} period - Fractal window length in candles (odd, at least 3)
+ * @returns {Object} { highs, lows } - pivots as { index, price, timestamp }, oldest first
+ */
+function detectFractals(candles, period = config.TLBB_FRACTALS_PERIOD) {
+  const wings = Math.max(1, Math.floor(period / 2));
+  const highs = [];
+  const lows = [];
+
+  for (let i = wings; i < candles.length - wings; i++) {
+    let isHigh = true;
+    let isLow = true;
+
+    for (let j = 1; j <= wings && (isHigh || isLow); j++) {
+      const left = candles[i - j];
+      const right = candles[i + j];
+      if (!(candles[i].high > left.high && candles[i].high >= right.high)) {
+        isHigh = false;
+      }
+      if (!(candles[i].low < left.low && candles[i].low <= right.low)) {
+        isLow = false;
+      }
+    }
+
+    if (isHigh) {
+      highs.push({ index: i, price: candles[i].high, timestamp: candles[i].timestamp });
+    }
+    if (isLow) {
+      lows.push({ index: i, price: candles[i].low, timestamp: candles[i].timestamp });
+    }
+  }
+
+  return { highs, lows };
+}
+
+/**
+ * Fit a trend line through the two most recent pivots and project it over the candles
+ * @param {Array} pivots - Fractal pivots, oldest first
+ * @param {number} length - Number of candles
+ * @returns {Object|null} { from, to, slope, value, series } - slope is the price change
+ * per candle, value the line at the latest candle; null with fewer than two pivots
+ */
+function fitTrendLine(pivots, length) {
+  if (pivots.length < 2) {
+    return null;
+  }
+
+  const from = pivots[pivots.length - 2];
+  const to = pivots[pivots.length - 1];
+  const slope = (to.price - from.price) / (to.index - from.index);
+  const series = [];
+
+  for (let i = 0; i < length; i++) {
+    series.push(i >= from.index ? from.price + slope * (i - from.index) : null);
+  }
+
+  return { from, to, slope, value: series[length - 1], series };
+}
+
+/**
+ * Calculate the TrendLine indicator from fractal trend lines and Bollinger Bands
+ * The resistance line runs through the last two fractal highs and the support line
+ * through the last two fractal lows, both projected to the latest candle.
+ *   strongly_bullish   - close broke above the resistance line and is above the BB middle
+ *   strongly_bearish   - close broke below the support line and is below the BB middle
+ *   moderately_*       - otherwise, by the combined slope of the two lines; when the
+ *                        lines are flat or missing, by the close against the BB middle
+ * @param {Array} candles - Array of OHLC candles
+ * @param {number} fractalsPeriod - Fractal window length (TLBB_FRACTALS_PERIOD)
+ * @param {number} bbLength - Bollinger Band length
+ * @param {number} bbDeviation - Bollinger Band standard deviation multiplier
+ * @returns {Object|null} { trend, swingHigh, swingLow, resistance, support, bb, fractals, series }
+ */
+function calculateTrendLine(candles, fractalsPeriod = config.TLBB_FRACTALS_PERIOD, bbLength = config.BB_LENGTH, bbDeviation = config.BB_DEVIATION) {
+  if (candles.length < fractalsPeriod) {
+    return null;
+  }
+
+  try {
+    const bb = calculateBollingerBands(candles, bbLength, bbDeviation);
+    if (!bb) return null;
+
+    const fractals = detectFractals(candles, fractalsPeriod);
+    const resistance = fitTrendLine(fractals.highs, candles.length);
+    const support = fitTrendLine(fractals.lows, candles.length);
+
+    // Latest confirmed swing points, or the recent range before any fractal is confirmed
+    const recent = candles.slice(-fractalsPeriod);
+    const lastHigh = fractals.highs[fractals.highs.length - 1];
+    const lastLow = fractals.lows[fractals.lows.length - 1];
+    const swingHigh = lastHigh ? lastHigh.price : Math.max(...recent.map(candle => candle.high));
+    const swingLow = lastLow ? lastLow.price : Math.min(...recent.map(candle => candle.low));
+
+    const close = candles[candles.length - 1].close;
+    const slope = (resistance ? resistance.slope : 0) + (support ? support.slope : 0);
+    let trend;
+
+    if (resistance && close > resistance.value && close > bb.middle) {
+      trend = "strongly_bullish";
+    } else if (support && close < support.value && close < bb.middle) {
+      trend = "strongly_bearish";
+    } else if (slope > 0) {
+      trend = "moderately_bullish";
+    } else if (slope < 0) {
+      trend = "moderately_bearish";
+    } else {
+      trend = close > bb.middle ? "moderately_bullish" : "moderately_bearish";
+    }
+
+    return {
+      trend,
+      swingHigh,
+      swingLow,
+      resistance: resistance ? { from: resistance.from, to: resistance.to, slope: resistance.slope, value: resistance.value } : null,
+      support: support ? { from: support.from, to: support.to, slope: support.slope, value: support.value } : null,
+      bb: { upper: bb.upper, middle: bb.middle, lower: bb.lower },
+      fractals,
+      series: {
+        resistance: resistance ? resistance.series : candles.map(() => null),
+        support: support ? support.series : candles.map(() => null),
+        bbUpper: bb.series.upper,
+        bbMiddle: bb.series.middle,
+        bbLower: bb.series.lower
+      }
+    };
+  } catch (error) {
+    log.error("Error calculating TrendLine", { error });
+    return null;
+  }
+}
+
+module.exports = {
+  calculateBollingerBands,
+  calculateATR,
+  calculateATRSeries,
+  calculateSupertrend,
+  detectFractals,
+  calculateTrendLine
+};
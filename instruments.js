@@ -0,0 +1,156 @@
+/**
+ * Instrument metadata cache for OKX Scalping Bot
+ * Converts quantities to contracts and rounds sizes/prices to exchange increments
+ */
+const config = require("./config");
+const rest = require("./okx-rest");
+const { BelowMinSizeError } = require("./okx-errors");
+const { createLogger } = require("./logger");
+
+const log = createLogger("instruments");
+
+// Instrument metadata by instId
+const instruments = new Map();
+
+/**
+ * Count the decimal places of an increment such as "0.01"
+ * @param {string|number} step - Increment
+ * @returns {number} Number of decimals
+ */
+function countDecimals(step) {
+  const text = String(step);
+  return text.includes(".") ? text.split(".")[1].length : 0;
+}
+
+/**
+ * Round a value down (or to nearest) to a multiple of an increment
+ * @param {number} value - Value to round
+ * @param {string} step - Increment as returned by OKX (e.g. "0.1")
+ * @param {string} mode - "floor", "ceil" or "round"
+ * @returns {string} Rounded value formatted with the increment's precision
+ */
+function roundToStep(value, step, mode = "round") {
+  const increment = parseFloat(step);
+  // Small epsilon so values like 0.3 / 0.1 don't floor to 2
+  const ratio = value / increment;
+  let steps;
+  if (mode === "floor") {
+    steps = Math.floor(ratio + 1e-9);
+  } else if (mode === "ceil") {
+    steps = Math.ceil(ratio - 1e-9);
+  } else {
+    steps = Math.round(ratio);
+  }
+  return (steps * increment).toFixed(countDecimals(step));
+}
+
+/**
+ * Fetch and cache instrument metadata from /api/v5/public/instruments
+ * @param {string} instId - Instrument ID
+ * @returns {Promise<Object>} Instrument (instId, ctVal, ctMult, lotSz, minSz, tickSz, ...)
+ */
+async function getInstrument(instId = config.TRADING_PAIR) {
+  if (instruments.has(instId)) {
+    return instruments.get(instId);
+  }
+
+  const instType = instId.endsWith("-SWAP") ? "SWAP" : "FUTURES";
+  const instrumentPath = `/api/v5/public/instruments?instType=${instType}&instId=${instId}`;
+  const [row] = await rest.get(instrumentPath);
+
+  if (!row) {
+    throw new Error(`Failed to load instrument ${instId}: not found`);
+  }
+
+  const instrument = {
+    instId: row.instId,
+    ctVal: parseFloat(row.ctVal),
+    ctMult: parseFloat(row.ctMult || 1),
+    ctValCcy: row.ctValCcy,
+    lotSz: row.lotSz,
+    minSz: row.minSz,
+    tickSz: row.tickSz,
+    maxMktSz: row.maxMktSz ? parseFloat(row.maxMktSz) : Infinity
+  };
+
+  instruments.set(instId, instrument);
+  log.info("Loaded instrument", {
+    instId,
+    ctVal: instrument.ctVal,
+    ctValCcy: instrument.ctValCcy,
+    lotSz: instrument.lotSz,
+    minSz: instrument.minSz,
+    tickSz: instrument.tickSz
+  });
+
+  return instrument;
+}
+
+/**
+ * Validate and round a contract count to the instrument's lot size
+ * @param {Object} instrument - Instrument metadata
+ * @param {number|string} contracts - Number of contracts
+ * @returns {string} Contracts rounded down to lotSz
+ * @throws {BelowMinSizeError} If the rounded size is below minSz (error.code is "BELOW_MIN_SIZE")
+ */
+function formatContracts(instrument, contracts) {
+  const rounded = roundToStep(parseFloat(contracts), instrument.lotSz, "floor");
+
+  if (!(parseFloat(rounded) >= parseFloat(instrument.minSz))) {
+    throw new BelowMinSizeError(`Order size ${contracts} contracts is below the minimum order size of ${instrument.minSz} contracts for ${instrument.instId}`);
+  }
+
+  return rounded;
+}
+
+/**
+ * Convert a base-currency quantity (e.g. BTC) into contracts
+ * @param {Object} instrument - Instrument metadata
+ * @param {number} quantity - Quantity in ctValCcy
+ * @returns {string} Contracts rounded down to lotSz
+ * @throws {Error} If the quantity is below one minimum order size
+ */
+function toContracts(instrument, quantity) {
+  return formatContracts(instrument, quantity / (instrument.ctVal * instrument.ctMult));
+}
+
+/**
+ * Convert a quote-currency notional (e.g. USDT) into contracts at a given price
+ * @param {Object} instrument - Instrument metadata
+ * @param {number} notional - Notional value in quote currency
+ * @param {number} price - Price per unit of ctValCcy
+ * @returns {string} Contracts rounded down to lotSz
+ * @throws {Error} If the notional is below one minimum order size
+ */
+function notionalToContracts(instrument, notional, price) {
+  return toContracts(instrument, notional / price);
+}
+
+/**
+ * Round a price to the instrument's tick size
+ * @param {Object} instrument - Instrument metadata
+ * @param {number} price - Price
+ * @param {string} mode - "floor", "ceil" or "round"
+ * @returns {string} Price rounded to tickSz
+ */
+function roundPrice(instrument, price, mode = "round") {
+  return roundToStep(price, instrument.tickSz, mode);
+}
+
+/**
+ * Add instrument metadata to the cache, e.g. to paper trade offline
+ * @param {Object} instrument - Instrument (instId, ctVal, ctMult, ctValCcy, lotSz, minSz, tickSz)
+ */
+function setInstrument(instrument) {
+  instruments.set(instrument.instId, { ctMult: 1, maxMktSz: Infinity, ...instrument });
+}
+
+module.exports = {
+  getInstrument,
+  setInstrument,
+  formatContracts,
+  toContracts,
+  notionalToContracts,
+  roundPrice,
+  roundToStep
+};
@@ -0,0 +1,260 @@
+/**
+ * Trade journal and state store for OKX Scalping Bot
+ * Appends every signal, order, fill, protective order, reduction, close and bot state snapshot
+ * to a JSONL file (one JSON object per line). On startup the journal is replayed to
+ * restore open trades and cooldowns, and it can be queried for reports.
+ *
+ * Entry types:
+ *   signal     - Signal received from the strategy
+ *   order      - Entry order placed, with its SL/TP and protective order IDs
+ *   fill       - Order fill reported by the exchange
+ *   protection - Protective (algo) order triggered or failed
+ *   reduce     - Part of a position closed by a signal, with its realized PnL and fees
+ *   close      - Position closed, with realized PnL and fees (including any reductions)
+ *   state      - Bot state snapshot (trade cooldowns)
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("journal");
+
+const ENTRY_TYPES = ["signal", "order", "fill", "protection", "reduce", "close", "state"];
+
+// Restored from the journal: open trade by instId, latest state snapshot
+const openTrades = new Map();
+let lastState = null;
+
+/**
+ * Get the absolute path of the journal file
+ * @returns {string} File path
+ */
+function journalFilePath() {
+  return path.resolve(__dirname, config.JOURNAL_FILE);
+}
+
+/**
+ * Update the in-memory view of open trades and state with an entry
+ * @param {Object} entry - Journal entry
+ */
+function applyEntry(entry) {
+  if (entry.type === "order") {
+    openTrades.set(entry.instId, entry);
+  } else if (entry.type === "reduce") {
+    // The open trade keeps the PnL already realized by reductions (reducedPnl)
+    const trade = openTrades.get(entry.instId);
+    if (trade && (!entry.tradeId || trade.orderId === entry.tradeId)) {
+      openTrades.set(entry.instId, { ...trade, reducedPnl: (trade.reducedPnl || 0) + (entry.realizedPnl || 0) });
+    }
+  } else if (entry.type === "close") {
+    const trade = openTrades.get(entry.instId);
+    if (trade && (!entry.tradeId || trade.orderId === entry.tradeId)) {
+      openTrades.delete(entry.instId);
+    }
+  } else if (entry.type === "state") {
+    lastState = entry;
+  }
+}
+
+/**
+ * Append an entry to the journal
+ * @param {string} type - Entry type (see ENTRY_TYPES)
+ * @param {Object} data - Entry data
+ * @returns {Object} The entry as written, with type and timestamp
+ */
+function record(type, data = {}) {
+  if (!ENTRY_TYPES.includes(type)) {
+    throw new Error(`Unknown journal entry type: ${type}`);
+  }
+
+  const entry = { type, timestamp: Date.now(), ...data };
+  applyEntry(entry);
+
+  try {
+    fs.appendFileSync(journalFilePath(), JSON.stringify(entry) + "\n");
+  } catch (error) {
+    log.error("Failed to write trade journal", { error });
+  }
+
+  return entry;
+}
+
+/**
+ * Read journal entries, optionally filtered
+ * Lines that cannot be parsed (e.g. cut short by a crash) are skipped.
+ * @param {Object} filter - Filter options
+ * @param {string|Array} filter.type - Entry type(s)
+ * @param {string} filter.instId - Instrument ID
+ * @param {number} filter.since - Only entries at or after this timestamp
+ * @param {number} filter.until - Only entries before this timestamp
+ * @param {string} filePath - Journal file (defaults to config.JOURNAL_FILE)
+ * @returns {Array} Entries in the order they were written
+ */
+function readJournal(filter = {}, filePath = journalFilePath()) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const types = filter.type ? [].concat(filter.type) : null;
+  const entries = [];
+
+  for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      log.warn("Skipping unreadable journal line");
+      continue;
+    }
+
+    if (types && !types.includes(entry.type)) continue;
+    if (filter.instId && entry.instId !== filter.instId) continue;
+    if (filter.since && entry.timestamp < filter.since) continue;
+    if (filter.until && entry.timestamp >= filter.until) continue;
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Get completed and open trades by pairing entry orders with their closes
+ * Each reduction is a completed trade of its own (reason "reduce"); the trade it was
+ * taken from keeps the remaining size, and its close the PnL and fees not yet reported.
+ * @param {Object} filter - Filter options as for readJournal (type is ignored)
+ * @param {string} filePath - Journal file (defaults to config.JOURNAL_FILE)
+ * @returns {Array} Trades: { instId, tradeId, side, strategy, entryTime, entryPrice, size, stopLoss, takeProfit, exitTime, exitPrice, realizedPnl, fees, funding, reason, unresolved, open }
+ */
+function getTrades(filter = {}, filePath = journalFilePath()) {
+  const entries = readJournal({ ...filter, type: ["order", "reduce", "close"] }, filePath);
+  const trades = [];
+  const open = new Map(); // tradeId -> trade
+  const reduced = new Map(); // tradeId -> { realizedPnl, fees } of its reductions
+
+  // Reductions and closes without a trade ID belong to the latest open trade of the instrument
+  const findOpen = entry => entry.tradeId
+    ? open.get(entry.tradeId)
+    : Array.from(open.values()).reverse().find(item => item.instId === entry.instId);
+
+  for (const entry of entries) {
+    if (entry.type === "order") {
+      const trade = {
+        instId: entry.instId,
+        tradeId: entry.orderId,
+        side: entry.side === "BUY" ? "long" : "short",
+        strategy: entry.strategy || null,
+        entryTime: entry.timestamp,
+        entryPrice: entry.price,
+        size: entry.size,
+        stopLoss: entry.stopLoss,
+        takeProfit: entry.takeProfit,
+        exitTime: null,
+        exitPrice: null,
+        realizedPnl: null,
+        fees: null,
+        funding: null,
+        reason: null,
+        unresolved: false,
+        open: true
+      };
+      open.set(trade.tradeId, trade);
+      trades.push(trade);
+    } else if (entry.type === "reduce") {
+      const trade = findOpen(entry);
+      if (!trade) {
+        continue;
+      }
+
+      const sums = reduced.get(trade.tradeId) || { realizedPnl: 0, fees: 0 };
+      sums.realizedPnl += entry.realizedPnl || 0;
+      sums.fees += entry.fees || 0;
+      reduced.set(trade.tradeId, sums);
+      trade.size = entry.remaining;
+
+      trades.push({
+        ...trade,
+        tradeId: entry.orderId,
+        size: entry.size,
+        exitTime: entry.timestamp,
+        exitPrice: entry.price,
+        realizedPnl: entry.realizedPnl,
+        fees: entry.fees,
+        reason: "reduce",
+        open: false
+      });
+    } else if (entry.type === "close") {
+      const trade = findOpen(entry);
+      if (!trade) {
+        continue;
+      }
+
+      // The exchange reports the position's PnL and fees including its reductions
+      const sums = reduced.get(trade.tradeId) || { realizedPnl: 0, fees: 0 };
+      open.delete(trade.tradeId);
+      Object.assign(trade, {
+        exitTime: entry.closedAt || entry.timestamp,
+        exitPrice: entry.closePrice || null,
+        realizedPnl: entry.realizedPnl == null ? null : entry.realizedPnl - sums.realizedPnl,
+        fees: entry.fees == null ? null : entry.fees - sums.fees,
+        funding: entry.funding,
+        reason: entry.reason || null,
+        unresolved: Boolean(entry.unresolved),
+        open: false
+      });
+    }
+  }
+
+  return trades;
+}
+
+/**
+ * Restore open trades and the latest state snapshot from the journal
+ * @returns {Object} { openTrades, state } - openTrades is a Map of instId to entry order
+ */
+function restoreState() {
+  openTrades.clear();
+  lastState = null;
+
+  for (const entry of readJournal({ type: ["order", "reduce", "close", "state"] })) {
+    applyEntry(entry);
+  }
+
+  for (const trade of openTrades.values()) {
+    log.info("Restored open trade", {
+      instId: trade.instId,
+      correlationId: trade.correlationId,
+      orderId: trade.orderId,
+      side: trade.side,
+      size: trade.size,
+      price: trade.price,
+      stopLoss: trade.stopLoss,
+      takeProfit: trade.takeProfit
+    });
+  }
+
+  return { openTrades: new Map(openTrades), state: lastState };
+}
+
+/**
+ * Get the journaled open trade of an instrument
+ * @param {string} instId - Instrument ID
+ * @returns {Object|null} Entry order (with reducedPnl once reduced), or null when no trade is open
+ */
+function getOpenTrade(instId) {
+  return openTrades.get(instId) || null;
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  record,
+  readJournal,
+  getTrades,
+  restoreState,
+  getOpenTrade
+};
@@ -0,0 +1,93 @@
+/**
+ * Structured logger for OKX Scalping Bot
+ * Writes one JSON object per line: { time, level, component, msg, ...fields }.
+ * Errors are also counted in the bot_errors_total metric. Set LOG_FORMAT to
+ * "pretty" for human-readable lines during development.
+ *
+ * A correlation ID created for each signal is passed along to the order, its SL/TP
+ * and the resulting fills, so one trade can be followed through the log:
+ *
+ *   const log = createLogger("trader").child({ correlationId });
+ */
+const crypto = require("crypto");
+const config = require("./config");
+const metrics = require("./metrics");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Create a correlation ID
+ * @returns {string} ID, unique per process run
+ */
+function createCorrelationId() {
+  return `${Date.now().toString(36)}${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/**
+ * Convert a field value to something JSON can represent
+ * Errors become their message (plus the response body for failed HTTP requests).
+ * @param {*} value - Field value
+ * @returns {*} Serializable value
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    return value.response && value.response.data ? { message: value.message, response: value.response.data } : value.message;
+  }
+  if (value === Infinity || value === -Infinity) {
+    return String(value);
+  }
+  return value;
+}
+
+/**
+ * Format a log entry as a readable line
+ * @param {Object} entry - Log entry
+ * @returns {string} Line
+ */
+function formatPretty({ time, level, component, msg, ...fields }) {
+  const details = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === "object" && value !== null ? JSON.stringify(value) : value}`)
+    .join(" ");
+  return `${time} ${level.toUpperCase().padEnd(5)} [${component}] ${msg}${details ? ` ${details}` : ""}`;
+}
+
+/**
+ * Create a logger for a component
+ * @param {string} component - Component name (e.g. "okx-client", "trader")
+ * @param {Object} context - Fields added to every entry (e.g. { instId, correlationId })
+ * @returns {Object} { debug, info, warn, error, child } - each level takes (msg, fields)
+ */
+function createLogger(component, context = {}) {
+  const write = (level, msg, fields = {}) => {
+    if (level === "error") {
+      metrics.errors.inc({ component });
+    }
+
+    if (LEVELS[level] < (LEVELS[config.LOG_LEVEL] || LEVELS.info)) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, component, msg };
+    for (const [key, value] of Object.entries({ ...context, ...fields })) {
+      if (value !== undefined) {
+        entry[key] = serialize(value);
+      }
+    }
+
+    const line = config.LOG_FORMAT === "pretty" ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+  };
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (fields) => createLogger(component, { ...context, ...fields })
+  };
+}
+
+module.exports = {
+  createLogger,
+  createCorrelationId
+};
@@ -0,0 +1,194 @@
+/**
+ * Prometheus metrics for OKX Scalping Bot
+ * A small in-process registry of counters, gauges and histograms, rendered in the
+ * Prometheus text exposition format by renderMetrics() (served on /metrics by api-server.js).
+ */
+
+// All registered metrics, in registration order
+const registry = [];
+
+// Callbacks run before rendering, to refresh gauges that are read from other modules
+const collectors = [];
+
+/**
+ * Build the label set key of a sample
+ * @param {Array} labelNames - Label names of the metric
+ * @param {Object} labels - Label values
+ * @returns {string} Key
+ */
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] === undefined ? "" : String(labels[name])));
+}
+
+/**
+ * Format a label set in the exposition format
+ * @param {Array} labelNames - Label names
+ * @param {Array} values - Label values in the same order
+ * @param {Object} extra - Additional labels (e.g. histogram "le")
+ * @returns {string} Formatted labels, e.g. {instId="BTC-USDT-SWAP"}
+ */
+function formatLabels(labelNames, values, extra = {}) {
+  const pairs = labelNames.map((name, index) => [name, values[index]]).concat(Object.entries(extra));
+  if (!pairs.length) {
+    return "";
+  }
+  const escape = value => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+  return `{${pairs.map(([name, value]) => `${name}="${escape(value)}"`).join(",")}}`;
+}
+
+/**
+ * Create and register a metric
+ * @param {string} type - "counter", "gauge" or "histogram"
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array} labelNames - Label names
+ * @param {Object} extra - Type specific fields
+ * @returns {Object} Metric
+ */
+function register(type, name, help, labelNames = [], extra = {}) {
+  const metric = { type, name, help, labelNames, samples: new Map(), ...extra };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Create a counter (a value that only goes up)
+ * @param {string} name - Metric name, ending in _total
+ * @param {string} help - Description
+ * @param {Array} labelNames - Label names
+ * @returns {Object} { inc(labels, value) }
+ */
+function counter(name, help, labelNames = []) {
+  const metric = register("counter", name, help, labelNames);
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      metric.samples.set(key, (metric.samples.get(key) || 0) + value);
+    }
+  };
+}
+
+/**
+ * Create a gauge (a value that can go up and down)
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array} labelNames - Label names
+ * @returns {Object} { set(labels, value), remove(labels), reset() }
+ */
+function gauge(name, help, labelNames = []) {
+  const metric = register("gauge", name, help, labelNames);
+  return {
+    set(labels = {}, value) {
+      metric.samples.set(labelKey(labelNames, labels), value);
+    },
+    remove(labels = {}) {
+      metric.samples.delete(labelKey(labelNames, labels));
+    },
+    reset() {
+      metric.samples.clear();
+    }
+  };
+}
+
+/**
+ * Create a histogram (a distribution of observed values)
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array} labelNames - Label names
+ * @param {Array} buckets - Upper bounds, ascending
+ * @returns {Object} { observe(labels, value) }
+ */
+function histogram(name, help, labelNames = [], buckets = [0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const metric = register("histogram", name, help, labelNames, { buckets });
+  return {
+    observe(labels = {}, value) {
+      const key = labelKey(labelNames, labels);
+      let sample = metric.samples.get(key);
+      if (!sample) {
+        sample = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        metric.samples.set(key, sample);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          sample.counts[index]++;
+        }
+      });
+      sample.sum += value;
+      sample.count++;
+    }
+  };
+}
+
+/**
+ * Register a callback that refreshes metrics right before they are rendered
+ * @param {Function} collector - Callback
+ */
+function addCollector(collector) {
+  collectors.push(collector);
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format
+ * @returns {string} Metrics text
+ */
+function renderMetrics() {
+  for (const collector of collectors) {
+    try {
+      collector();
+    } catch (error) {
+      // A failing collector must not break the scrape; its gauges keep their last values
+    }
+  }
+
+  const lines = [];
+
+  for (const metric of registry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const [key, sample] of metric.samples) {
+      const values = JSON.parse(key);
+
+      if (metric.type === "histogram") {
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, { le: bound })} ${sample.counts[index]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, values, { le: "+Inf" })} ${sample.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, values)} ${sample.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(metric.labelNames, values)} ${sample.count}`);
+      } else {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${sample}`);
+      }
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+// Bot metrics
+const wsReconnects = counter("okx_ws_reconnects_total", "WebSocket reconnect attempts", ["connection"]);
+const wsMessageLag = gauge("okx_ws_message_lag_milliseconds", "Local receive time minus OKX server time of the latest ticker", ["instId"]);
+const bookResyncs = counter("okx_order_book_resyncs_total", "Order books resubscribed after a sequence gap or checksum mismatch", ["instId", "reason"]);
+const signals = counter("bot_signals_total", "Signals generated by the strategies", ["instId", "action", "strategy"]);
+const orders = counter("bot_orders_total", "Entry orders by result (placed or failed)", ["instId", "side", "result"]);
+const orderLatency = histogram("bot_order_latency_seconds", "Time to place an entry order with its SL/TP", ["instId"]);
+const errors = counter("bot_errors_total", "Errors logged, by component", ["component"]);
+const positionSize = gauge("bot_position_size_contracts", "Open position size (negative for short)", ["instId"]);
+const unrealizedPnl = gauge("bot_unrealized_pnl_usdt", "Unrealized PnL of the open position", ["instId"]);
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  addCollector,
+  renderMetrics,
+  wsReconnects,
+  wsMessageLag,
+  bookResyncs,
+  signals,
+  orders,
+  orderLatency,
+  errors,
+  positionSize,
+  unrealizedPnl
+};
@@ -0,0 +1,207 @@
+/**
+ * Notifications for OKX Scalping Bot
+ * Sends bot events to the transports in config.NOTIFICATIONS (see notifiers/).
+ * Each transport has its own event filter. Messages are batched for
+ * NOTIFY_BATCH_INTERVAL ms and every transport sends at most NOTIFY_RATE_LIMIT
+ * batches per minute; messages wait in the queue while a transport is rate limited.
+ *
+ * Events:
+ *   signal               - Strategy signal
+ *   order_filled         - Order (partially) filled
+ *   order_failed         - Order could not be placed
+ *   protection_triggered - Stop-loss, take-profit or trailing stop triggered
+ *   protection_failed    - Protective order failed on the exchange
+ *   connection_lost      - WebSocket reconnects gave up, the bot exits
+ *   risk_halted          - A risk limit halted trading
+ *   alert                - Alert raised by the trader or paper broker
+ */
+require("dotenv").config();
+const config = require("./config");
+const { loadTransport } = require("./notifiers");
+const { createLogger } = require("./logger");
+
+const log = createLogger("notifier");
+
+const EVENTS = [
+  "signal",
+  "order_filled",
+  "order_failed",
+  "protection_triggered",
+  "protection_failed",
+  "connection_lost",
+  "risk_halted",
+  "alert"
+];
+
+const EVENT_ICONS = {
+  signal: "🔔",
+  order_filled: "✅",
+  order_failed: "❌",
+  protection_triggered: "🎯",
+  protection_failed: "🚨",
+  connection_lost: "😵",
+  risk_halted: "⛔",
+  alert: "🚨"
+};
+
+const ONE_MINUTE = 60 * 1000;
+
+// One channel per configured transport: its options, queue and send history
+let channels = [];
+
+/**
+ * Set up a channel for every NOTIFICATIONS entry
+ * @param {Array} entries - NOTIFICATIONS entries ({ type, events, ...transport options })
+ * @returns {number} Number of channels
+ * @throws {Error} On an unknown transport or event
+ */
+function startNotifier(entries = config.NOTIFICATIONS) {
+  stopNotifier();
+
+  channels = (entries || []).map(entry => {
+    const events = entry.events && entry.events !== "*" ? [].concat(entry.events) : EVENTS;
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length) {
+      throw new Error(`Unknown notification event(s) for ${entry.type}: ${unknown.join(", ")} (available: ${EVENTS.join(", ")})`);
+    }
+
+    return {
+      transport: loadTransport(entry.type),
+      options: entry,
+      events,
+      queue: [],
+      dropped: 0,
+      sentTimes: [],
+      timer: null,
+      sending: null
+    };
+  });
+
+  for (const channel of channels) {
+    log.info("Notifications enabled", { transport: channel.transport.name, events: channel.events });
+  }
+
+  return channels.length;
+}
+
+/**
+ * Queue a notification for every transport whose filter includes the event
+ * @param {string} event - Event name (see EVENTS)
+ * @param {string} text - Message text
+ * @param {Object} details - Extra context for transports that send structured data
+ */
+function notify(event, text, details = {}) {
+  if (!EVENTS.includes(event)) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+
+  const message = { event, text: `${EVENT_ICONS[event]} ${text}`, details, timestamp: Date.now() };
+
+  for (const channel of channels) {
+    if (!channel.events.includes(event)) {
+      continue;
+    }
+
+    channel.queue.push(message);
+
+    // Never let a dead transport grow the queue without bound
+    if (channel.queue.length > config.NOTIFY_MAX_QUEUE) {
+      channel.queue.shift();
+      channel.dropped++;
+    }
+
+    schedule(channel, config.NOTIFY_BATCH_INTERVAL);
+  }
+}
+
+/**
+ * Schedule a send for a channel unless one is already pending
+ * @param {Object} channel - Channel
+ * @param {number} delay - Delay in milliseconds
+ */
+function schedule(channel, delay) {
+  if (channel.timer) {
+    return;
+  }
+
+  channel.timer = setTimeout(() => {
+    channel.timer = null;
+    sendBatch(channel);
+  }, delay);
+}
+
+/**
+ * Send the queued messages of a channel as one batch, respecting the rate limit
+ * @param {Object} channel - Channel
+ * @param {boolean} force - Ignore the rate limit (used when flushing before exit)
+ * @returns {Promise<void>}
+ */
+async function sendBatch(channel, force = false) {
+  // One request at a time per transport; messages queued meanwhile go in the next batch
+  if (channel.sending) {
+    await channel.sending;
+  }
+
+  if (!channel.queue.length) {
+    return;
+  }
+
+  const now = Date.now();
+  channel.sentTimes = channel.sentTimes.filter(time => now - time < ONE_MINUTE);
+
+  if (!force && config.NOTIFY_RATE_LIMIT && channel.sentTimes.length >= config.NOTIFY_RATE_LIMIT) {
+    schedule(channel, channel.sentTimes[0] + ONE_MINUTE - now);
+    return;
+  }
+
+  const messages = channel.queue.splice(0, channel.queue.length);
+  if (channel.dropped) {
+    messages.push({ event: "alert", text: `⚠️ ${channel.dropped} older notification(s) were dropped`, details: {}, timestamp: now });
+    channel.dropped = 0;
+  }
+
+  channel.sentTimes.push(now);
+  channel.sending = channel.transport.send(messages, channel.options)
+    .catch(error => {
+      log.error("Failed to send notifications", {
+        transport: channel.transport.name,
+        messages: messages.length,
+        error: error.response ? `HTTP ${error.response.status}` : error.message
+      });
+    })
+    .finally(() => {
+      channel.sending = null;
+    });
+
+  await channel.sending;
+}
+
+/**
+ * Send all queued notifications now, e.g. before the process exits
+ * @returns {Promise<void>}
+ */
+async function flushNotifications() {
+  await Promise.all(channels.map(channel => {
+    clearTimeout(channel.timer);
+    channel.timer = null;
+    return sendBatch(channel, true);
+  }));
+}
+
+/**
+ * Drop all channels and pending timers
+ */
+function stopNotifier() {
+  for (const channel of channels) {
+    clearTimeout(channel.timer);
+  }
+  channels = [];
+}
+
+module.exports = {
+  EVENTS,
+  startNotifier,
+  notify,
+  flushNotifications,
+  stopNotifier
+};
@@ -0,0 +1,33 @@
+/**
+ * Discord transport
+ * Posts to a channel webhook. Options: url (defaults to the DISCORD_WEBHOOK_URL
+ * environment variable) and username.
+ */
+const axios = require("axios");
+const { formatBatch } = require("./index");
+
+// Discord rejects message content longer than this
+const MAX_LENGTH = 2000;
+
+module.exports = {
+  name: "discord",
+
+  /**
+   * Send a batch of messages as one Discord message
+   * @param {Array} messages - Messages
+   * @param {Object} options - NOTIFICATIONS entry
+   * @returns {Promise<void>}
+   */
+  async send(messages, options = {}) {
+    const url = options.url || process.env.DISCORD_WEBHOOK_URL;
+
+    if (!url) {
+      throw new Error("DISCORD_WEBHOOK_URL must be set");
+    }
+
+    await axios.post(url, {
+      username: options.username || "OKX Scalping Bot",
+      content: formatBatch(messages, MAX_LENGTH)
+    }, { timeout: 10000 });
+  }
+};
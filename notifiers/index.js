@@ -0,0 +1,66 @@
+/**
+ * Notification transport registry for OKX Scalping Bot
+ *
+ * Every file in this directory (other than this one) is a transport, loaded by
+ * the type of a NOTIFICATIONS entry: { type: "telegram" } loads notifiers/telegram.js.
+ * A transport exports:
+ *
+ *   name                        - Transport name
+ *   send(messages, options)     - Delivers a batch of messages, returns a Promise
+ *
+ * messages is an array of { event, text, details, timestamp }; options is the
+ * NOTIFICATIONS entry, so transports read their URL and credentials from it
+ * before falling back to the environment. Every URL can be pointed at a local
+ * HTTP server for testing.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * List the names of the available transports
+ * @returns {Array} Transport names (lower case, as used in NOTIFICATIONS entries)
+ */
+function listTransports() {
+  return fs.readdirSync(__dirname)
+    .filter(file => file.endsWith(".js") && file !== "index.js")
+    .map(file => path.basename(file, ".js"));
+}
+
+/**
+ * Load a transport by type and check that it implements the interface
+ * @param {string} type - Transport type (case-insensitive)
+ * @returns {Object} Transport module
+ * @throws {Error} If the transport does not exist or is incomplete
+ */
+function loadTransport(type) {
+  const fileName = String(type).toLowerCase();
+
+  if (!listTransports().includes(fileName)) {
+    throw new Error(`Unknown notification transport: ${type} (available: ${listTransports().join(", ")})`);
+  }
+
+  const transport = require(path.join(__dirname, fileName));
+
+  if (typeof transport.send !== "function") {
+    throw new Error(`Notification transport ${type} must export send(messages, options)`);
+  }
+
+  return transport;
+}
+
+/**
+ * Join a batch of messages into one text
+ * @param {Array} messages - Messages
+ * @param {number} maxLength - Maximum text length of the transport
+ * @returns {string} Text, cut to maxLength
+ */
+function formatBatch(messages, maxLength = Infinity) {
+  const text = messages.map(message => message.text).join("\n");
+  return text.length > maxLength ? text.slice(0, maxLength - 1) + "…" : text;
+}
+
+module.exports = {
+  listTransports,
+  loadTransport,
+  formatBatch
+};
@@ -0,0 +1,27 @@
+/**
+ * Slack transport
+ * Posts to an incoming webhook. Options: url (defaults to the SLACK_WEBHOOK_URL
+ * environment variable).
+ */
+const axios = require("axios");
+const { formatBatch } = require("./index");
+
+module.exports = {
+  name: "slack",
+
+  /**
+   * Send a batch of messages as one Slack message
+   * @param {Array} messages - Messages
+   * @param {Object} options - NOTIFICATIONS entry
+   * @returns {Promise<void>}
+   */
+  async send(messages, options = {}) {
+    const url = options.url || process.env.SLACK_WEBHOOK_URL;
+
+    if (!url) {
+      throw new Error("SLACK_WEBHOOK_URL must be set");
+    }
+
+    await axios.post(url, { text: formatBatch(messages) }, { timeout: 10000 });
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Telegram transport
+ * Sends messages through a bot. Options: botToken and chatId (default to the
+ * TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID environment variables) and apiUrl.
+ */
+const axios = require("axios");
+const { formatBatch } = require("./index");
+
+// Telegram rejects messages longer than this
+const MAX_LENGTH = 4096;
+
+module.exports = {
+  name: "telegram",
+
+  /**
+   * Send a batch of messages as one Telegram message
+   * @param {Array} messages - Messages
+   * @param {Object} options - NOTIFICATIONS entry
+   * @returns {Promise<void>}
+   */
+  async send(messages, options = {}) {
+    const botToken = options.botToken || process.env.TELEGRAM_BOT_TOKEN;
+    const chatId = options.chatId || process.env.TELEGRAM_CHAT_ID;
+    const apiUrl = options.apiUrl || "https://api.telegram.org";
+
+    if (!botToken || !chatId) {
+      throw new Error("TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID must be set");
+    }
+
+    await axios.post(`${apiUrl}/bot${botToken}/sendMessage`, {
+      chat_id: chatId,
+      text: formatBatch(messages, MAX_LENGTH),
+      disable_web_page_preview: true
+    }, { timeout: 10000 });
+  }
+};
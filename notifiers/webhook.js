@@ -0,0 +1,30 @@
+/**
+ * Generic webhook transport
+ * POSTs the batch as JSON: { text, messages: [{ event, text, details, timestamp }] }.
+ * Options: url (defaults to the NOTIFY_WEBHOOK_URL environment variable) and headers.
+ */
+const axios = require("axios");
+const { formatBatch } = require("./index");
+
+module.exports = {
+  name: "webhook",
+
+  /**
+   * Send a batch of messages as one JSON request
+   * @param {Array} messages - Messages
+   * @param {Object} options - NOTIFICATIONS entry
+   * @returns {Promise<void>}
+   */
+  async send(messages, options = {}) {
+    const url = options.url || process.env.NOTIFY_WEBHOOK_URL;
+
+    if (!url) {
+      throw new Error("NOTIFY_WEBHOOK_URL must be set");
+    }
+
+    await axios.post(url, { text: formatBatch(messages), messages }, {
+      headers: options.headers || {},
+      timeout: 10000
+    });
+  }
+};
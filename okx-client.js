@@ -1,46 +1,133 @@
 const WebSocket = require("ws");
 const EventEmitter = require("events");
 const config = require("./config");
+const { toOkxBar } = require("./utils");
+const rest = require("./okx-rest");
+const { createLoginArgs } = rest;
+const { getInstrumentConfig, getInstrumentConfigs, getInstrumentTimeframes } = require("./portfolio");
+const { createOrderBook, createTradeFlow } = require("./order-book");
+const { createLogger } = require("./logger");
+const metrics = require("./metrics");
+
+const log = createLogger("okx-client");
 
 let ws;
 let reconnectAttempts = 0;
+let reconnectTimer = null;
+let hasConnected = false;
+
+let privateWs;
+let privateReconnectAttempts = 0;
+let privateReconnectTimer = null;
+
+// Set by shutdown() so closed connections are not reconnected
+let shuttingDown = false;
+
+// How long shutdown() waits for each socket's close handshake (ms)
+const SHUTDOWN_CLOSE_TIMEOUT = 1000;
+
+// Private channels and the event each one is emitted as on accountEmitter
+const PRIVATE_CHANNELS = {
+  "orders": "orders",
+  "positions": "positions",
+  "account": "account",
+  "orders-algo": "algoOrders"
+};
+
+// Subscriptions of the private connection
+const PRIVATE_SUBSCRIPTIONS = [
+  { channel: "orders", instType: "SWAP" },
+  { channel: "positions", instType: "SWAP" },
+  { channel: "account" },
+  { channel: "orders-algo", instType: "SWAP" }
+];
+
+// WebSocket readyState values by name
+const READY_STATES = ["connecting", "open", "closing", "closed"];
+
+// Candle currently forming per instrument and timeframe (latest push for the newest bar)
+const formingCandles = new Map();
+
+// Tick-by-tick order book channels, which OKX only serves after a login on the public connection
+const AUTH_BOOK_CHANNELS = ["books-l2-tbt", "books50-l2-tbt"];
+
+// Local order books, trade flows and the time of the last book event, per instrument
+const orderBooks = new Map();
+const tradeFlows = new Map();
+const lastBookEvents = new Map();
+
+// Book subscriptions waiting for the public connection's login
+let pendingAuthFeeds = [];
+
+// Subscriptions sent on the current public connection, unsubscribed on shutdown
+let publicSubscriptions = [];
 
 class MarketDataEmitter extends EventEmitter {}
 const marketDataEmitter = new MarketDataEmitter();
 
+class AccountEmitter extends EventEmitter {}
+const accountEmitter = new AccountEmitter();
+
 function connectWebSocket() {
   return new Promise((resolve, reject) => {
     try {
       // Use simulated WebSocket URL if simulated trading is enabled
       const wsUrl = config.USE_SIMULATED_TRADING ? config.OKX_WS_URL_SIMULATED : config.OKX_WS_URL;
-      console.log(`🔌 Connecting to WebSocket: ${wsUrl}`);
+      log.info("Connecting to public WebSocket", { url: wsUrl });
       
       ws = new WebSocket(wsUrl);
       
       ws.on("open", function open() {
-        console.log("✅ Connected to OKX WebSocket");
+        log.info("Connected to public WebSocket");
         reconnectAttempts = 0; // Reset reconnect counter
+
+        // Let listeners fill any candles missed while disconnected
+        if (hasConnected) {
+          marketDataEmitter.emit("reconnected");
+        }
+        hasConnected = true;
         
+        const instruments = getInstrumentConfigs();
+
         // Subscribe to ticker updates for futures
-        const subscribeMsg = JSON.stringify({
-          op: "subscribe",
-          args: [{ channel: "tickers", instId: config.TRADING_PAIR }]
-        });
+        const tickerArgs = instruments.map(instrument => ({ channel: "tickers", instId: instrument.TRADING_PAIR }));
         
-        // Subscribe to candlestick data
-        const candleSubscribeMsg = JSON.stringify({
-          op: "subscribe",
-          args: [{ 
-            channel: "candle" + config.TIMEFRAME, 
-            instId: config.TRADING_PAIR 
-          }]
-        });
+        // Subscribe to candlestick data for every timeframe each instrument's strategy uses
+        const candleArgs = instruments.flatMap(instrument => getInstrumentTimeframes(instrument.TRADING_PAIR).map(bar => ({
+          channel: "candle" + bar, 
+          instId: instrument.TRADING_PAIR 
+        })));
         
-        ws.send(subscribeMsg);
-        ws.send(candleSubscribeMsg);
+        ws.send(JSON.stringify({ op: "subscribe", args: tickerArgs }));
+        ws.send(JSON.stringify({ op: "subscribe", args: candleArgs }));
+        publicSubscriptions = [...tickerArgs, ...candleArgs];
+
+        // Order book and trades feeds of the instruments that enable them
+        const feeds = getFeedSubscriptions(instruments);
+        const publicFeeds = feeds.filter(arg => !AUTH_BOOK_CHANNELS.includes(arg.channel));
+        pendingAuthFeeds = feeds.filter(arg => AUTH_BOOK_CHANNELS.includes(arg.channel));
+
+        if (publicFeeds.length) {
+          ws.send(JSON.stringify({ op: "subscribe", args: publicFeeds }));
+          publicSubscriptions.push(...publicFeeds);
+        }
+        if (pendingAuthFeeds.length) {
+          try {
+            ws.send(JSON.stringify({ op: "login", args: [createLoginArgs()] }));
+          } catch (error) {
+            log.error("Cannot log in for tick-by-tick order book channels", { error });
+            pendingAuthFeeds = [];
+          }
+        }
         
-        console.log(`📝 Subscribed to ${config.TRADING_PAIR} futures market data`);
-        console.log(`📊 Timeframe: ${config.TIMEFRAME}`);
+        for (const instrument of instruments) {
+          log.info("Subscribing to market data", {
+            instId: instrument.TRADING_PAIR,
+            timeframes: getInstrumentTimeframes(instrument.TRADING_PAIR),
+            orderBook: instrument.ORDER_BOOK_CHANNEL || null,
+            trades: Boolean(instrument.TRADES_FEED)
+          });
+        }
         resolve();
       });
       
@@ -49,19 +136,31 @@ function connectWebSocket() {
           const json = JSON.parse(data);
           
           if (json.event === "subscribe") {
-            console.log(`✅ Subscribed to channel: ${json.arg.channel}`);
+            log.info("Subscribed to channel", { channel: json.arg.channel, instId: json.arg.instId });
+          } else if (json.event === "login") {
+            if (json.code !== "0") {
+              log.error("Public WebSocket login failed", { code: json.code, okxMsg: json.msg });
+            } else if (pendingAuthFeeds.length) {
+              ws.send(JSON.stringify({ op: "subscribe", args: pendingAuthFeeds }));
+              publicSubscriptions.push(...pendingAuthFeeds);
+              pendingAuthFeeds = [];
+            }
+          } else if (json.event === "error") {
+            log.error("Public WebSocket error", { code: json.code, okxMsg: json.msg });
           } else if (json.data) {
             // Handle ticker updates
             if (json.arg && json.arg.channel === "tickers") {
               const serverTime = parseInt(json.data[0].ts);
               const localTime = Date.now();
+              metrics.wsMessageLag.set({ instId: json.arg.instId }, localTime - serverTime);
               
               // Check time synchronization
               if (Math.abs(serverTime - localTime) > config.TIME_SYNC_THRESHOLD) {
-                console.warn(`⚠️ Time synchronization issue detected! Server-client time difference: ${Math.abs(serverTime - localTime)}ms`);
+                log.warn("Time synchronization issue detected", { instId: json.arg.instId, lagMs: localTime - serverTime });
               }
               
               const marketData = {
+                instId: json.arg.instId,
                 price: parseFloat(json.data[0].last),
                 volume: parseFloat(json.data[0].vol24h),
                 timestamp: localTime,
@@ -73,30 +172,54 @@ function connectWebSocket() {
             
             // Handle candlestick data
             if (json.arg && json.arg.channel.startsWith("candle")) {
-              const candleData = {
-                open: parseFloat(json.data[0][1]),
-                high: parseFloat(json.data[0][2]),
-                low: parseFloat(json.data[0][3]),
-                close: parseFloat(json.data[0][4]),
-                volume: parseFloat(json.data[0][5]),
-                timestamp: parseInt(json.data[0][0])
-              };
-              
-              marketDataEmitter.emit("candle", candleData);
+              for (const row of json.data) {
+                handleCandle({
+                  instId: json.arg.instId,
+                  timeframe: json.arg.channel.slice("candle".length),
+                  open: parseFloat(row[1]),
+                  high: parseFloat(row[2]),
+                  low: parseFloat(row[3]),
+                  close: parseFloat(row[4]),
+                  volume: parseFloat(row[5]),
+                  timestamp: parseInt(row[0]),
+                  confirmed: row[8] === "1"
+                });
+              }
+            }
+
+            // Handle order book and trades data
+            if (json.arg && json.arg.channel.startsWith("books")) {
+              handleBook(json.arg, json.action, json.data);
+            }
+            if (json.arg && json.arg.channel === "trades") {
+              handleTrades(json.arg.instId, json.data);
             }
           }
         } catch (error) {
-          console.error("🚨 WebSocket message parsing error:", error.message);
+          log.error("Public WebSocket message parsing error", { error });
         }
       });
 
       ws.on("error", function error(err) {
-        console.error("🚨 WebSocket Error:", err.message);
+        log.error("Public WebSocket error", { error: err });
         reject(err);
       });
 
       ws.on("close", function close() {
-        console.log("❌ WebSocket connection closed");
+        log.warn("Public WebSocket connection closed");
+        clearInterval(pingInterval);
+
+        // The forming candle may close while we are disconnected; drop it so a stale
+        // bar is never emitted as closed (the REST backfill supplies the real one)
+        formingCandles.clear();
+
+        // Books resume from a fresh snapshot after resubscribing; missed trades would skew the flow
+        for (const book of orderBooks.values()) {
+          book.reset();
+        }
+        for (const flow of tradeFlows.values()) {
+          flow.reset();
+        }
         attemptReconnect();
       });
 
@@ -114,42 +237,451 @@ function connectWebSocket() {
   });
 }
 
+/**
+ * Connect to the OKX private WebSocket, log in and subscribe to account channels
+ * Emits "orders", "positions", "account" and "algoOrders" on accountEmitter with the
+ * raw OKX data rows. Login and subscriptions are repeated after every reconnect.
+ * @returns {Promise<void>} Resolves once logged in
+ */
+function connectPrivateWebSocket() {
+  return new Promise((resolve, reject) => {
+    try {
+      // Use simulated WebSocket URL if simulated trading is enabled
+      const wsUrl = config.USE_SIMULATED_TRADING ? config.OKX_WS_PRIVATE_URL_SIMULATED : config.OKX_WS_PRIVATE_URL;
+      log.info("Connecting to private WebSocket", { url: wsUrl });
+
+      privateWs = new WebSocket(wsUrl);
+
+      privateWs.on("open", function open() {
+        log.info("Connected to private WebSocket, logging in");
+        privateReconnectAttempts = 0; // Reset reconnect counter
+
+        privateWs.send(JSON.stringify({
+          op: "login",
+          args: [createLoginArgs()]
+        }));
+      });
+
+      privateWs.on("message", function incoming(data) {
+        try {
+          // OKX answers our keep-alive "ping" with a plain "pong"
+          if (data.toString() === "pong") {
+            return;
+          }
+
+          const json = JSON.parse(data);
+
+          if (json.event === "login") {
+            if (json.code !== "0") {
+              log.error("Private WebSocket login failed", { code: json.code, okxMsg: json.msg });
+              reject(new Error(`Private WebSocket login failed: ${json.msg}`));
+              return;
+            }
+
+            log.info("Logged in to private WebSocket");
+
+            privateWs.send(JSON.stringify({ op: "subscribe", args: PRIVATE_SUBSCRIPTIONS }));
+
+            accountEmitter.emit("loggedIn");
+            resolve();
+          } else if (json.event === "subscribe") {
+            log.info("Subscribed to private channel", { channel: json.arg.channel });
+          } else if (json.event === "error") {
+            log.error("Private WebSocket error", { code: json.code, okxMsg: json.msg });
+          } else if (json.data && json.arg && PRIVATE_CHANNELS[json.arg.channel]) {
+            accountEmitter.emit(PRIVATE_CHANNELS[json.arg.channel], json.data);
+          }
+        } catch (error) {
+          log.error("Private WebSocket message parsing error", { error });
+        }
+      });
+
+      privateWs.on("error", function error(err) {
+        log.error("Private WebSocket error", { error: err });
+        reject(err);
+      });
+
+      privateWs.on("close", function close() {
+        log.warn("Private WebSocket connection closed");
+        clearInterval(pingInterval);
+        attemptPrivateReconnect();
+      });
+
+      // OKX drops private connections without traffic for 30 seconds
+      const pingInterval = setInterval(() => {
+        if (privateWs.readyState === WebSocket.OPEN) {
+          privateWs.send("ping");
+        } else {
+          clearInterval(pingInterval);
+        }
+      }, 20000); // Send ping every 20 seconds
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Track the forming candle and emit update/close events
+ * Emits "candleUpdate" for every in-progress push and "candleClosed" exactly once per bar,
+ * when OKX marks it confirmed or when a newer bar starts before a confirmation arrived.
+ * Each instrument and timeframe is tracked separately.
+ * @param {Object} candle - Parsed candle with instId, timeframe and confirmed flag
+ */
+function handleCandle(candle) {
+  const key = `${candle.instId}:${candle.timeframe}`;
+  const formingCandle = formingCandles.get(key);
+
+  if (formingCandle) {
+    // Ignore out-of-order pushes for older bars
+    if (candle.timestamp < formingCandle.timestamp) {
+      return;
+    }
+
+    // Bar already closed, ignore repeated confirmations
+    if (candle.timestamp === formingCandle.timestamp && formingCandle.confirmed) {
+      return;
+    }
+
+    // A newer bar started before the previous one was confirmed: close it with its last known values
+    if (candle.timestamp > formingCandle.timestamp && !formingCandle.confirmed) {
+      formingCandle.confirmed = true;
+      marketDataEmitter.emit("candleClosed", formingCandle);
+    }
+  }
+
+  formingCandles.set(key, candle);
+
+  if (candle.confirmed) {
+    marketDataEmitter.emit("candleClosed", candle);
+  } else {
+    marketDataEmitter.emit("candleUpdate", candle);
+  }
+}
+
+/**
+ * Get the candle currently forming for an instrument
+ * @param {string} instId - Instrument ID
+ * @param {string} timeframe - Bar size
+ * @returns {Object|null} Latest candle push, or null before the first one
+ */
+function getFormingCandle(instId = config.TRADING_PAIR, timeframe = config.TIMEFRAME) {
+  return formingCandles.get(`${instId}:${toOkxBar(timeframe)}`) || null;
+}
+
+/**
+ * Get the order book and trades subscriptions of the instruments that enable them
+ * @param {Array} instruments - Instrument settings
+ * @returns {Array} Subscription args
+ */
+function getFeedSubscriptions(instruments) {
+  return instruments.flatMap(instrument => [
+    instrument.ORDER_BOOK_CHANNEL ? { channel: instrument.ORDER_BOOK_CHANNEL, instId: instrument.TRADING_PAIR } : null,
+    instrument.TRADES_FEED ? { channel: "trades", instId: instrument.TRADING_PAIR } : null
+  ].filter(Boolean));
+}
+
+/**
+ * Apply an order book push to the instrument's local book and emit its features
+ * A book that skipped a sequence number or fails OKX's checksum is dropped and
+ * resubscribed, which makes OKX send a fresh snapshot.
+ * @param {Object} arg - Subscription { channel, instId }
+ * @param {string} action - "snapshot" or "update" (absent on books5, which always sends the full depth)
+ * @param {Array} rows - OKX book data
+ */
+function handleBook(arg, action, rows) {
+  const { channel, instId } = arg;
+  let book = orderBooks.get(instId);
+  if (!book) {
+    book = createOrderBook(instId);
+    orderBooks.set(instId, book);
+  }
+
+  for (const data of rows) {
+    const result = book.apply(data, action);
+    if (!result.ok) {
+      // Updates still in flight after a resubscribe are ignored until the snapshot arrives
+      if (result.reason !== "no_snapshot") {
+        resyncBook(channel, instId, result.reason);
+      }
+      return;
+    }
+  }
+
+  emitBookFeatures(book);
+}
+
+/**
+ * Drop an out-of-sync book and resubscribe to its channel
+ * @param {string} channel - Book channel
+ * @param {string} instId - Instrument ID
+ * @param {string} reason - "sequence_gap" or "checksum_mismatch"
+ */
+function resyncBook(channel, instId, reason) {
+  log.warn("Order book out of sync, resubscribing", { instId, channel, reason });
+  metrics.bookResyncs.inc({ instId, reason });
+  orderBooks.get(instId).reset();
+
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ op: "unsubscribe", args: [{ channel, instId }] }));
+    ws.send(JSON.stringify({ op: "subscribe", args: [{ channel, instId }] }));
+  }
+}
+
+/**
+ * Emit "orderBook" with the book's features, at most every ORDER_BOOK_EVENT_INTERVAL
+ * @param {Object} book - Local order book
+ */
+function emitBookFeatures(book) {
+  const settings = getInstrumentConfig(book.instId);
+  const now = Date.now();
+
+  if (now - (lastBookEvents.get(book.instId) || 0) < settings.ORDER_BOOK_EVENT_INTERVAL) {
+    return;
+  }
+
+  const features = book.getFeatures(settings.ORDER_BOOK_IMBALANCE_LEVELS);
+  if (!features) {
+    return;
+  }
+
+  lastBookEvents.set(book.instId, now);
+  const flow = tradeFlows.get(book.instId);
+  marketDataEmitter.emit("orderBook", { ...features, tradeFlow: flow ? flow.getFlow(features.timestamp) : null });
+}
+
+/**
+ * Add trades to the instrument's trade flow and emit a "trade" event for each
+ * @param {string} instId - Instrument ID
+ * @param {Array} rows - OKX trades data { tradeId, px, sz, side, ts }
+ */
+function handleTrades(instId, rows) {
+  let flow = tradeFlows.get(instId);
+  if (!flow) {
+    flow = createTradeFlow(getInstrumentConfig(instId).TRADE_FLOW_WINDOW);
+    tradeFlows.set(instId, flow);
+  }
+
+  for (const row of rows) {
+    const trade = {
+      instId,
+      tradeId: row.tradeId,
+      price: parseFloat(row.px),
+      size: parseFloat(row.sz),
+      side: row.side, // Taker side
+      timestamp: parseInt(row.ts)
+    };
+
+    flow.add(trade);
+    marketDataEmitter.emit("trade", { ...trade, tradeFlow: flow.getFlow(trade.timestamp) });
+  }
+}
+
+/**
+ * Get an instrument's local order book
+ * @param {string} instId - Instrument ID
+ * @param {number} depth - Levels per side
+ * @returns {Object|null} { bids, asks, features, tradeFlow } - [price, size] levels, best first;
+ * null while no book is in sync
+ */
+function getOrderBook(instId = config.TRADING_PAIR, depth = 5) {
+  const book = orderBooks.get(instId);
+  if (!book || !book.ready) {
+    return null;
+  }
+
+  const flow = tradeFlows.get(instId);
+  return {
+    ...book.getLevels(depth),
+    features: book.getFeatures(getInstrumentConfig(instId).ORDER_BOOK_IMBALANCE_LEVELS),
+    tradeFlow: flow ? flow.getFlow() : null
+  };
+}
+
+/**
+ * Fetch confirmed candles from the OKX history-candles REST endpoint
+ * Pages backwards from the newest bar, 100 candles per request.
+ * @param {string} instId - Instrument ID
+ * @param {string} timeframe - Bar size
+ * @param {number} limit - Maximum number of candles to fetch
+ * @param {number} since - Stop once candles at or before this timestamp are reached (0 for no bound)
+ * @returns {Promise<Array>} Confirmed candles sorted by ascending timestamp
+ */
+async function fetchHistoryCandles(instId = config.TRADING_PAIR, timeframe = config.TIMEFRAME, limit = config.MAX_OHLC_HISTORY, since = 0) {
+  const candles = [];
+  const bar = toOkxBar(timeframe);
+  let after = "";
+
+  while (candles.length < limit) {
+    const pageSize = Math.min(100, limit - candles.length);
+    const historyPath = `/api/v5/market/history-candles?instId=${instId}&bar=${bar}&limit=${pageSize}` + (after ? `&after=${after}` : "");
+    const rows = await rest.get(historyPath);
+    if (!rows.length) {
+      break;
+    }
+
+    // Rows are returned newest first
+    for (const row of rows) {
+      const timestamp = parseInt(row[0]);
+      if (timestamp <= since) {
+        break;
+      }
+      if (row[8] !== "1") {
+        continue;
+      }
+      candles.push({
+        instId,
+        timeframe: bar,
+        open: parseFloat(row[1]),
+        high: parseFloat(row[2]),
+        low: parseFloat(row[3]),
+        close: parseFloat(row[4]),
+        volume: parseFloat(row[5]),
+        timestamp,
+        confirmed: true
+      });
+    }
+
+    const oldestTimestamp = parseInt(rows[rows.length - 1][0]);
+    if (oldestTimestamp <= since) {
+      break;
+    }
+    after = oldestTimestamp;
+  }
+
+  return candles.slice(0, limit).reverse();
+}
+
+/**
+ * Get the state of the public and private WebSocket connections
+ * @returns {Object} { public, private, reconnectAttempts, privateReconnectAttempts } - states are
+ * "connecting", "open", "closing", "closed" or "not_connected"
+ */
+function getConnectionState() {
+  return {
+    public: ws ? READY_STATES[ws.readyState] : "not_connected",
+    private: privateWs ? READY_STATES[privateWs.readyState] : "not_connected",
+    reconnectAttempts,
+    privateReconnectAttempts
+  };
+}
+
+/**
+ * Report that a connection could not be re-established
+ * Emits "connectionLost" on marketDataEmitter. A listener takes over the exit
+ * (e.g. to send notifications first); without listeners the process exits right away.
+ * @param {string} connection - "public" or "private"
+ */
+function giveUp(connection) {
+  const handled = marketDataEmitter.emit("connectionLost", { connection, attempts: config.MAX_RECONNECT_ATTEMPTS, timestamp: Date.now() });
+  if (!handled) {
+    process.exit(1);
+  }
+}
+
 function attemptReconnect() {
+  if (shuttingDown) {
+    return;
+  }
   if (reconnectAttempts >= config.MAX_RECONNECT_ATTEMPTS) {
-    console.error(`😵 Maximum reconnection attempts (${config.MAX_RECONNECT_ATTEMPTS}) reached. Giving up.`);
-    process.exit(1);
+    log.error("Maximum public WebSocket reconnect attempts reached, giving up", { attempts: config.MAX_RECONNECT_ATTEMPTS });
+    giveUp("public");
     return;
   }
 
   reconnectAttempts++;
+  metrics.wsReconnects.inc({ connection: "public" });
   
   const delay = config.INITIAL_RECONNECT_DELAY * Math.pow(config.RECONNECT_MULTIPLIER, reconnectAttempts - 1);
   
-  console.log(`🔄 Attempting to reconnect in ${delay / 1000} seconds... (Attempt ${reconnectAttempts}/${config.MAX_RECONNECT_ATTEMPTS})`);
+  log.info("Reconnecting public WebSocket", { delayMs: delay, attempt: reconnectAttempts, maxAttempts: config.MAX_RECONNECT_ATTEMPTS });
   
-  setTimeout(() => {
-    connectWebSocket();
+  reconnectTimer = setTimeout(() => {
+    connectWebSocket().catch(error => {
+      log.error("Public WebSocket reconnect failed", { error });
+    });
   }, delay);
 }
 
-// Graceful shutdown handling
-process.on("SIGINT", gracefulShutdown);
-process.on("SIGTERM", gracefulShutdown);
+function attemptPrivateReconnect() {
+  if (shuttingDown) {
+    return;
+  }
+  if (privateReconnectAttempts >= config.MAX_RECONNECT_ATTEMPTS) {
+    log.error("Maximum private WebSocket reconnect attempts reached, giving up", { attempts: config.MAX_RECONNECT_ATTEMPTS });
+    giveUp("private");
+    return;
+  }
 
-function gracefulShutdown() {
-  console.log("🛑 Shutting down gracefully...");
-  
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.close();
+  privateReconnectAttempts++;
+  metrics.wsReconnects.inc({ connection: "private" });
+
+  const delay = config.INITIAL_RECONNECT_DELAY * Math.pow(config.RECONNECT_MULTIPLIER, privateReconnectAttempts - 1);
+
+  log.info("Reconnecting private WebSocket", { delayMs: delay, attempt: privateReconnectAttempts, maxAttempts: config.MAX_RECONNECT_ATTEMPTS });
+
+  privateReconnectTimer = setTimeout(() => {
+    connectPrivateWebSocket().catch(error => {
+      log.error("Private WebSocket reconnect failed", { error });
+    });
+  }, delay);
+}
+
+/**
+ * Unsubscribe and close a connection
+ * @param {WebSocket} socket - Connection to close (may be undefined)
+ * @param {Array<Object>} subscriptions - Subscription args to unsubscribe first
+ * @returns {Promise<void>} Resolves when the socket is closed, terminating it after SHUTDOWN_CLOSE_TIMEOUT
+ */
+function closeConnection(socket, subscriptions) {
+  if (!socket || socket.readyState === WebSocket.CLOSED) {
+    return Promise.resolve();
   }
-  
-  setTimeout(() => {
-    console.log("👋 Goodbye!");
-    process.exit(0);
-  }, 1000);
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      socket.terminate();
+      resolve();
+    }, SHUTDOWN_CLOSE_TIMEOUT);
+
+    socket.once("close", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+
+    if (socket.readyState === WebSocket.OPEN && subscriptions.length) {
+      socket.send(JSON.stringify({ op: "unsubscribe", args: subscriptions }));
+    }
+    socket.close();
+  });
+}
+
+/**
+ * Shut down both connections for a clean exit
+ * Pending reconnects are canceled and closed connections are no longer reconnected.
+ * Does not exit the process; the caller does once everything else is flushed.
+ * @returns {Promise<void>} Resolves when both connections are closed
+ */
+async function shutdown() {
+  shuttingDown = true;
+  clearTimeout(reconnectTimer);
+  clearTimeout(privateReconnectTimer);
+  log.info("Closing WebSocket connections");
+
+  await Promise.all([
+    closeConnection(ws, publicSubscriptions),
+    closeConnection(privateWs, PRIVATE_SUBSCRIPTIONS)
+  ]);
 }
 
 module.exports = { 
   connectWebSocket,
-  marketDataEmitter
+  connectPrivateWebSocket,
+  fetchHistoryCandles,
+  getFormingCandle,
+  getOrderBook,
+  getConnectionState,
+  shutdown,
+  marketDataEmitter,
+  accountEmitter
 };
\ No newline at end of file
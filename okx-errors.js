@@ -0,0 +1,144 @@
+/**
+ * Typed errors for OKX REST responses
+ * Every error has a stable `code` (e.g. "INSUFFICIENT_MARGIN") and, when OKX
+ * rejected the request, the OKX error code in `okxCode`.
+ */
+
+class OkxError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { okxCode, endpoint, status }
+   */
+  constructor(message, { okxCode = null, endpoint = null, status = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = "OKX_ERROR";
+    this.okxCode = okxCode;
+    this.endpoint = endpoint;
+    this.status = status;
+  }
+}
+
+// Too many requests; OKX did not process the request
+class RateLimitError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "RATE_LIMITED";
+  }
+}
+
+// OKX is busy or unavailable; the request may or may not have been processed
+class ServiceUnavailableError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "SERVICE_UNAVAILABLE";
+  }
+}
+
+// No response (network error or timeout); the outcome of the request is unknown
+class RequestTimeoutError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "REQUEST_TIMEOUT";
+  }
+}
+
+// The signing timestamp was rejected; the local clock is off from OKX server time
+class TimestampError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "TIMESTAMP_REJECTED";
+  }
+}
+
+// Invalid or missing API key, passphrase, signature or permissions
+class AuthError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "AUTH_FAILED";
+  }
+}
+
+class InsufficientMarginError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "INSUFFICIENT_MARGIN";
+  }
+}
+
+// Also thrown locally by instruments.formatContracts before an order is sent
+class BelowMinSizeError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "BELOW_MIN_SIZE";
+  }
+}
+
+// An order with the same clOrdId already exists
+class DuplicateOrderError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "DUPLICATE_ORDER";
+  }
+}
+
+class OrderNotFoundError extends OkxError {
+  constructor(message, details) {
+    super(message, details);
+    this.code = "ORDER_NOT_FOUND";
+  }
+}
+
+// OKX error codes (https://www.okx.com/docs-v5/en/#error-code) mapped to error classes
+const ERROR_CODES = {
+  "50001": ServiceUnavailableError, // Service temporarily unavailable
+  "50004": RequestTimeoutError,     // Endpoint request timeout, the outcome is unknown
+  "50011": RateLimitError,          // Rate limit reached
+  "50013": ServiceUnavailableError, // System busy
+  "50026": ServiceUnavailableError, // System error
+  "50061": RateLimitError,          // Sub-account rate limit reached
+  "50100": AuthError,               // API frozen
+  "50101": AuthError,               // API key does not match the environment (live/demo)
+  "50102": TimestampError,          // Timestamp request expired
+  "50103": AuthError,               // OK-ACCESS-KEY missing
+  "50104": AuthError,               // OK-ACCESS-PASSPHRASE missing
+  "50105": AuthError,               // Incorrect OK-ACCESS-PASSPHRASE
+  "50111": AuthError,               // Invalid OK-ACCESS-KEY
+  "50112": TimestampError,          // Invalid OK-ACCESS-TIMESTAMP
+  "50113": AuthError,               // Invalid signature
+  "50120": AuthError,               // API key has no trade permission
+  "51008": InsufficientMarginError, // Insufficient balance or margin
+  "51016": DuplicateOrderError,     // Duplicated clOrdId
+  "51020": BelowMinSizeError,       // Order amount below the minimum
+  "51119": InsufficientMarginError, // Insufficient balance
+  "51127": InsufficientMarginError, // Available balance is 0
+  "51131": InsufficientMarginError, // Insufficient balance
+  "51603": OrderNotFoundError       // Order does not exist
+};
+
+/**
+ * Create the typed error for an OKX error code
+ * @param {string} okxCode - OKX error code (the top-level code or a row's sCode)
+ * @param {string} message - Error message
+ * @param {Object} details - { endpoint, status }
+ * @returns {OkxError} Error
+ */
+function createOkxError(okxCode, message, details = {}) {
+  const ErrorClass = ERROR_CODES[okxCode] || OkxError;
+  return new ErrorClass(message, { ...details, okxCode });
+}
+
+module.exports = {
+  OkxError,
+  RateLimitError,
+  ServiceUnavailableError,
+  RequestTimeoutError,
+  TimestampError,
+  AuthError,
+  InsufficientMarginError,
+  BelowMinSizeError,
+  DuplicateOrderError,
+  OrderNotFoundError,
+  ERROR_CODES,
+  createOkxError
+};
@@ -0,0 +1,394 @@
+/**
+ * Shared OKX REST client for OKX Scalping Bot
+ * - Signs private requests with a timestamp synced to /api/v5/public/time
+ * - Waits for a free slot under each endpoint's OKX rate limit before sending
+ * - Retries rate-limited requests, and retries idempotent requests (GETs) on
+ *   timeouts and temporary outages, with exponential backoff
+ * - Checks the OKX `code` and per-row `sCode` of every response and throws a
+ *   typed error from okx-errors.js when a request is rejected
+ *
+ *   const rows = await rest.get("/api/v5/account/balance?ccy=USDT", { auth: true });
+ */
+require("dotenv").config();
+const axios = require("axios");
+const crypto = require("crypto");
+const config = require("./config");
+const { createLogger } = require("./logger");
+const {
+  OkxError,
+  RateLimitError,
+  ServiceUnavailableError,
+  RequestTimeoutError,
+  TimestampError,
+  createOkxError
+} = require("./okx-errors");
+
+const log = createLogger("okx-rest");
+
+const apiKey = process.env.OKX_API_KEY;
+const secretKey = process.env.OKX_SECRET_KEY;
+const passphrase = process.env.OKX_PASSPHRASE;
+
+// OKX rate limits per endpoint: at most `requests` within `interval` ms
+const RATE_LIMITS = {
+  "/api/v5/trade/order": { requests: 60, interval: 2000 },
+  "/api/v5/trade/amend-order": { requests: 60, interval: 2000 },
+  "/api/v5/trade/cancel-order": { requests: 60, interval: 2000 },
+  "/api/v5/trade/order-algo": { requests: 20, interval: 2000 },
+  "/api/v5/trade/cancel-algos": { requests: 20, interval: 2000 },
+  "/api/v5/trade/orders-algo-pending": { requests: 20, interval: 2000 },
+  "/api/v5/trade/close-position": { requests: 20, interval: 2000 },
+  "/api/v5/account/balance": { requests: 10, interval: 2000 },
+  "/api/v5/account/positions": { requests: 10, interval: 2000 },
+  "/api/v5/account/positions-history": { requests: 10, interval: 2000 },
+  "/api/v5/account/set-leverage": { requests: 20, interval: 2000 },
+  "/api/v5/market/ticker": { requests: 20, interval: 2000 },
+  "/api/v5/market/history-candles": { requests: 20, interval: 2000 },
+  "/api/v5/public/instruments": { requests: 20, interval: 2000 },
+  "/api/v5/public/time": { requests: 10, interval: 2000 }
+};
+const DEFAULT_RATE_LIMIT = { requests: 10, interval: 2000 };
+
+// Per endpoint: send times within the current window, and the queue of waiting requests
+const limiters = new Map();
+
+let timeOffset = 0;      // OKX server time minus local time, in milliseconds
+let timeSync = null;     // Pending or completed time sync
+let timeSyncTimer = null;
+
+/**
+ * Validate that the required API credentials are present
+ * @throws {Error} If any credential is missing from the environment
+ */
+function validateCredentials() {
+  if (!apiKey || !secretKey || !passphrase) {
+    log.error("Missing required API credentials in .env file, ensure OKX_API_KEY, OKX_SECRET_KEY and OKX_PASSPHRASE are set");
+    throw new Error("Missing required API credentials");
+  }
+}
+
+/**
+ * Get the current OKX server time, estimated from the last time sync
+ * @returns {number} Timestamp in milliseconds
+ */
+function serverTime() {
+  return Date.now() + timeOffset;
+}
+
+/**
+ * Generate OKX API signature
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} method - HTTP method (GET/POST)
+ * @param {string} requestPath - API endpoint path
+ * @param {object|null} body - Request body for POST requests
+ * @returns {string} Base64 encoded HMAC signature
+ */
+function generateSignature(timestamp, method, requestPath, body = null) {
+  const message = timestamp + method + requestPath + (body ? JSON.stringify(body) : '');
+  return crypto.createHmac('sha256', secretKey).update(message).digest('base64');
+}
+
+/**
+ * Create login arguments for the OKX private WebSocket
+ * Signs the fixed "/users/self/verify" path with a Unix timestamp in seconds.
+ * @returns {object} Login args (apiKey, passphrase, timestamp, sign)
+ */
+function createLoginArgs() {
+  validateCredentials();
+
+  const timestamp = (serverTime() / 1000).toFixed(0);
+
+  return {
+    apiKey,
+    passphrase,
+    timestamp,
+    sign: generateSignature(timestamp, "GET", "/users/self/verify")
+  };
+}
+
+/**
+ * Create headers for OKX API requests
+ * @param {string} method - HTTP method (GET/POST)
+ * @param {string} requestPath - API endpoint path
+ * @param {object|null} body - Request body for POST requests
+ * @returns {object} Headers object
+ */
+function createHeaders(method, requestPath, body = null) {
+  validateCredentials();
+
+  const timestamp = new Date(serverTime()).toISOString();
+  const signature = generateSignature(timestamp, method, requestPath, body);
+
+  const headers = {
+    "OK-ACCESS-KEY": apiKey,
+    "OK-ACCESS-SIGN": signature,
+    "OK-ACCESS-TIMESTAMP": timestamp,
+    "OK-ACCESS-PASSPHRASE": passphrase,
+    "Content-Type": "application/json"
+  };
+
+  // Add simulated trading header if enabled
+  if (config.USE_SIMULATED_TRADING) {
+    headers["x-simulated-trading"] = "1";
+  }
+
+  return headers;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until a request to an endpoint fits in its rate limit, then claim the slot
+ * Requests to the same endpoint are released in the order they arrived.
+ * @param {string} endpoint - Endpoint path without the query string
+ * @returns {Promise<void>}
+ */
+function acquireSlot(endpoint) {
+  const limit = RATE_LIMITS[endpoint] || DEFAULT_RATE_LIMIT;
+  let limiter = limiters.get(endpoint);
+  if (!limiter) {
+    limiter = { sentTimes: [], queue: Promise.resolve() };
+    limiters.set(endpoint, limiter);
+  }
+
+  limiter.queue = limiter.queue.then(async () => {
+    let now = Date.now();
+    limiter.sentTimes = limiter.sentTimes.filter(time => now - time < limit.interval);
+
+    if (limiter.sentTimes.length >= limit.requests) {
+      await sleep(limiter.sentTimes[0] + limit.interval - now);
+      now = Date.now();
+      limiter.sentTimes = limiter.sentTimes.filter(time => now - time < limit.interval);
+    }
+
+    limiter.sentTimes.push(now);
+  });
+
+  return limiter.queue;
+}
+
+/**
+ * Check an OKX response and return its data rows
+ * A rejected request has a non-zero `code`; for order endpoints the reason is in
+ * the row's `sCode`/`sMsg`.
+ * @param {Object} payload - Response body
+ * @param {string} endpoint - Endpoint path, for error messages
+ * @returns {Array} Data rows
+ * @throws {OkxError} If the request was rejected
+ */
+function unwrap(payload, endpoint) {
+  if (!payload || typeof payload.code === "undefined") {
+    throw new OkxError(`Invalid response from ${endpoint}`, { endpoint });
+  }
+
+  const rows = Array.isArray(payload.data) ? payload.data : [];
+  if (payload.code === "0") {
+    return rows;
+  }
+
+  const failed = rows.find(row => row && row.sCode && row.sCode !== "0");
+  const okxCode = failed ? failed.sCode : payload.code;
+  const message = (failed && failed.sMsg) || payload.msg || "Request rejected";
+  throw createOkxError(okxCode, `${endpoint}: ${message} (code ${okxCode})`, { endpoint });
+}
+
+/**
+ * Convert an axios error into a typed error
+ * @param {Error} error - axios error
+ * @param {string} endpoint - Endpoint path
+ * @returns {OkxError} Error
+ */
+function fromAxiosError(error, endpoint) {
+  const response = error.response;
+
+  if (!response) {
+    return new RequestTimeoutError(`${endpoint}: no response (${error.code || error.message}), the outcome is unknown`, { endpoint });
+  }
+
+  // Rejections like invalid signatures come with an HTTP error status and an OKX code
+  if (response.data && response.data.code && response.data.code !== "0") {
+    try {
+      unwrap(response.data, endpoint);
+    } catch (okxError) {
+      okxError.status = response.status;
+      return okxError;
+    }
+  }
+
+  if (response.status === 429) {
+    return new RateLimitError(`${endpoint}: HTTP 429 Too Many Requests`, { endpoint, status: 429 });
+  }
+  if (response.status >= 500) {
+    return new ServiceUnavailableError(`${endpoint}: HTTP ${response.status}`, { endpoint, status: response.status });
+  }
+  return new OkxError(`${endpoint}: HTTP ${response.status}`, { endpoint, status: response.status });
+}
+
+/**
+ * Decide whether a failed request may be sent again
+ * Rate limit and timestamp rejections mean OKX did not process the request. After
+ * a timeout or outage the request may have gone through, so only idempotent
+ * requests are retried.
+ * @param {OkxError} error - Error of the failed attempt
+ * @param {boolean} idempotent - Whether repeating the request is safe
+ * @returns {boolean} Whether to retry
+ */
+function isRetryable(error, idempotent) {
+  if (error instanceof RateLimitError || error instanceof TimestampError) {
+    return true;
+  }
+  return idempotent && (error instanceof RequestTimeoutError || error instanceof ServiceUnavailableError);
+}
+
+/**
+ * Send a REST request to OKX
+ * @param {string} method - HTTP method (GET/POST)
+ * @param {string} requestPath - Endpoint path including the query string
+ * @param {Object} options - Request options
+ * @param {Object} options.body - Request body for POST requests
+ * @param {boolean} options.auth - Sign the request with the API credentials
+ * @param {boolean} options.idempotent - Retry on timeouts and outages (defaults to true for GET)
+ * @returns {Promise<Array>} Data rows of the response
+ * @throws {OkxError} Typed error when the request fails after all retries
+ */
+async function request(method, requestPath, { body = null, auth = false, idempotent = method === "GET" } = {}) {
+  const endpoint = requestPath.split("?")[0];
+
+  for (let attempt = 0; ; attempt++) {
+    if (auth) {
+      await ensureTimeSync();
+    }
+    await acquireSlot(endpoint);
+
+    let error;
+    try {
+      const response = await axios({
+        method,
+        url: `${config.OKX_API_URL}${requestPath}`,
+        data: body || undefined,
+        headers: auth ? createHeaders(method, requestPath, body) : undefined,
+        timeout: config.REST_TIMEOUT
+      });
+      return unwrap(response.data, endpoint);
+    } catch (caught) {
+      error = caught instanceof OkxError ? caught : fromAxiosError(caught, endpoint);
+    }
+
+    if (attempt >= config.REST_MAX_RETRIES || !isRetryable(error, idempotent)) {
+      throw error;
+    }
+
+    if (error instanceof TimestampError) {
+      timeSync = null;
+    }
+
+    const delay = config.REST_RETRY_DELAY * Math.pow(2, attempt) + Math.floor(Math.random() * config.REST_RETRY_DELAY);
+    log.warn("Retrying OKX request", { method, endpoint, attempt: attempt + 1, maxRetries: config.REST_MAX_RETRIES, delay, error });
+    await sleep(delay);
+  }
+}
+
+/**
+ * Send a GET request
+ * @param {string} requestPath - Endpoint path including the query string
+ * @param {Object} options - See request()
+ * @returns {Promise<Array>} Data rows
+ */
+function get(requestPath, options = {}) {
+  return request("GET", requestPath, options);
+}
+
+/**
+ * Send a POST request
+ * POSTs are not retried after a timeout unless options.idempotent is set.
+ * @param {string} requestPath - Endpoint path
+ * @param {Object} body - Request body
+ * @param {Object} options - See request()
+ * @returns {Promise<Array>} Data rows
+ */
+function post(requestPath, body, options = {}) {
+  return request("POST", requestPath, { ...options, body });
+}
+
+/**
+ * Measure the offset between the local clock and OKX server time
+ * The round trip is split in half to estimate when the server read its clock.
+ * @returns {Promise<number>} Offset in milliseconds (server minus local)
+ */
+async function syncTime() {
+  const sentAt = Date.now();
+  const rows = await get("/api/v5/public/time");
+  const receivedAt = Date.now();
+
+  timeOffset = parseInt(rows[0].ts) - Math.round((sentAt + receivedAt) / 2);
+
+  if (Math.abs(timeOffset) > config.TIME_SYNC_THRESHOLD) {
+    log.warn("Local clock is off from OKX server time, signing with server time", { offset: timeOffset });
+  } else {
+    log.debug("Synced with OKX server time", { offset: timeOffset, roundTrip: receivedAt - sentAt });
+  }
+
+  return timeOffset;
+}
+
+/**
+ * Sync the signing time once before the first signed request (and after a timestamp rejection)
+ * If the sync fails, requests are signed with the local clock.
+ * @returns {Promise<void>}
+ */
+function ensureTimeSync() {
+  if (!timeSync) {
+    timeSync = syncTime().then(() => {}, error => {
+      log.warn("Time sync failed, signing with the local clock", { error });
+    });
+  }
+  return timeSync;
+}
+
+/**
+ * Sync with OKX server time now and every REST_TIME_SYNC_INTERVAL ms
+ * @param {number} interval - Sync interval in milliseconds
+ * @returns {Promise<void>}
+ */
+function startTimeSync(interval = config.REST_TIME_SYNC_INTERVAL) {
+  stopTimeSync();
+
+  timeSync = null;
+  timeSyncTimer = setInterval(() => {
+    syncTime().catch(error => log.warn("Time sync failed", { error }));
+  }, interval);
+  timeSyncTimer.unref();
+
+  return ensureTimeSync();
+}
+
+/**
+ * Stop the periodic time sync
+ */
+function stopTimeSync() {
+  if (timeSyncTimer) {
+    clearInterval(timeSyncTimer);
+    timeSyncTimer = null;
+  }
+}
+
+module.exports = {
+  RATE_LIMITS,
+  request,
+  get,
+  post,
+  syncTime,
+  startTimeSync,
+  stopTimeSync,
+  serverTime,
+  validateCredentials,
+  createHeaders,
+  createLoginArgs
+};
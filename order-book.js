@@ -0,0 +1,303 @@
+/**
+ * Local order book and trade flow for OKX Scalping Bot
+ * Maintains an instrument's book from OKX `books5`, `books`, `books-l2-tbt` or
+ * `books50-l2-tbt` pushes, validates it against OKX's CRC32 checksum and computes
+ * microstructure features (spread, imbalance, microprice, trade flow delta).
+ */
+
+// Levels of each side included in OKX's checksum string
+const CHECKSUM_LEVELS = 25;
+
+// CRC32 lookup table (IEEE polynomial, as used by OKX)
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * CRC32 of a string, as a signed 32-bit integer (the form OKX sends)
+ * @param {string} text - ASCII text
+ * @returns {number} Signed CRC32
+ */
+function crc32(text) {
+  let crc = -1;
+  for (let i = 0; i < text.length; i++) {
+    crc = CRC_TABLE[(crc ^ text.charCodeAt(i)) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) | 0;
+}
+
+/**
+ * Find the index of a price in a sorted side, or where it would be inserted
+ * @param {Array} levels - Levels sorted best first
+ * @param {number} price - Price
+ * @param {boolean} descending - True for bids
+ * @returns {number} Index
+ */
+function findLevel(levels, price, descending) {
+  let low = 0;
+  let high = levels.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    const better = descending ? levels[mid].price > price : levels[mid].price < price;
+    if (better) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+/**
+ * Parse an OKX book row [px, sz, liquidatedOrders, orders]
+ * Prices and sizes keep their original strings for the checksum.
+ * @param {Array} row - OKX level
+ * @returns {Object} { px, sz, price, size }
+ */
+function parseLevel(row) {
+  return { px: row[0], sz: row[1], price: parseFloat(row[0]), size: parseFloat(row[1]) };
+}
+
+/**
+ * Create a local order book for one instrument
+ * A snapshot replaces the book; an update sets the size of each pushed level and
+ * removes levels whose size is "0". Updates must follow the previous push without a
+ * gap (prevSeqId equals the last seqId) and the result must match the checksum,
+ * otherwise apply() reports the book as out of sync and it must be resubscribed.
+ * @param {string} instId - Instrument ID
+ * @returns {Object} { instId, apply(data, action), checksum(), getLevels(depth), getFeatures(levels), reset(), ready }
+ */
+function createOrderBook(instId) {
+  let bids = [];
+  let asks = [];
+  let seqId = null;
+  let timestamp = 0;
+  let ready = false;
+
+  const applyLevels = (levels, rows, descending) => {
+    for (const row of rows) {
+      const level = parseLevel(row);
+      const index = findLevel(levels, level.price, descending);
+      const exists = index < levels.length && levels[index].price === level.price;
+
+      if (level.size === 0) {
+        if (exists) levels.splice(index, 1);
+      } else if (exists) {
+        levels[index] = level;
+      } else {
+        levels.splice(index, 0, level);
+      }
+    }
+  };
+
+  const book = {
+    instId,
+
+    /**
+     * Apply a book push
+     * @param {Object} data - OKX book data row { asks, bids, ts, checksum, seqId, prevSeqId }
+     * @param {string} action - "snapshot", "update", or undefined for full-depth channels like books5
+     * @returns {Object} { ok, reason } - reason is "sequence_gap" or "checksum_mismatch" when not ok
+     */
+    apply(data, action = "snapshot") {
+      if (action === "update") {
+        if (!ready) {
+          return { ok: false, reason: "no_snapshot" };
+        }
+        if (data.prevSeqId !== undefined && seqId !== null && Number(data.prevSeqId) !== seqId) {
+          ready = false;
+          return { ok: false, reason: "sequence_gap" };
+        }
+        applyLevels(bids, data.bids || [], true);
+        applyLevels(asks, data.asks || [], false);
+      } else {
+        bids = (data.bids || []).map(parseLevel).sort((a, b) => b.price - a.price);
+        asks = (data.asks || []).map(parseLevel).sort((a, b) => a.price - b.price);
+      }
+
+      seqId = data.seqId !== undefined ? Number(data.seqId) : null;
+      timestamp = parseInt(data.ts) || Date.now();
+
+      if (data.checksum !== undefined && book.checksum() !== Number(data.checksum)) {
+        ready = false;
+        return { ok: false, reason: "checksum_mismatch" };
+      }
+
+      ready = true;
+      return { ok: true, reason: null };
+    },
+
+    /**
+     * Calculate OKX's checksum of the local book
+     * CRC32 of "bidPx:bidSz:askPx:askSz:..." over the best 25 levels of each side, with
+     * the remaining levels of the longer side appended once the shorter side runs out.
+     * @returns {number} Signed 32-bit checksum
+     */
+    checksum() {
+      const parts = [];
+      for (let i = 0; i < CHECKSUM_LEVELS; i++) {
+        if (i < bids.length) parts.push(bids[i].px, bids[i].sz);
+        if (i < asks.length) parts.push(asks[i].px, asks[i].sz);
+      }
+      return crc32(parts.join(":"));
+    },
+
+    /**
+     * Get the best levels of each side
+     * @param {number} depth - Levels per side
+     * @returns {Object} { bids, asks } - [price, size] pairs, best first
+     */
+    getLevels(depth = 5) {
+      return {
+        bids: bids.slice(0, depth).map(level => [level.price, level.size]),
+        asks: asks.slice(0, depth).map(level => [level.price, level.size])
+      };
+    },
+
+    /**
+     * Calculate the microstructure features of the current book
+     *   spread           - best ask minus best bid
+     *   spreadPercentage - spread as a percentage of the mid price
+     *   imbalance        - (bid size - ask size) / (bid size + ask size) over the best `levels`
+     *                      levels: +1 when only bids rest there, -1 when only asks do
+     *   microprice       - mid price weighted towards the side with less size at the top of
+     *                      book, (bid x ask size + ask x bid size) / (bid size + ask size)
+     * @param {number} levels - Levels per side used for the imbalance (1 is top of book)
+     * @returns {Object|null} Features, or null when the book is out of sync or one side is empty
+     */
+    getFeatures(levels = 1) {
+      if (!ready || !bids.length || !asks.length) {
+        return null;
+      }
+
+      const bestBid = bids[0];
+      const bestAsk = asks[0];
+      const mid = (bestBid.price + bestAsk.price) / 2;
+      const bidDepth = bids.slice(0, levels).reduce((sum, level) => sum + level.size, 0);
+      const askDepth = asks.slice(0, levels).reduce((sum, level) => sum + level.size, 0);
+      const topSize = bestBid.size + bestAsk.size;
+
+      return {
+        instId,
+        timestamp,
+        bestBid: bestBid.price,
+        bestAsk: bestAsk.price,
+        bidSize: bestBid.size,
+        askSize: bestAsk.size,
+        mid,
+        spread: bestAsk.price - bestBid.price,
+        spreadPercentage: ((bestAsk.price - bestBid.price) / mid) * 100,
+        imbalance: bidDepth + askDepth > 0 ? (bidDepth - askDepth) / (bidDepth + askDepth) : 0,
+        microprice: topSize > 0 ? (bestBid.price * bestAsk.size + bestAsk.price * bestBid.size) / topSize : mid
+      };
+    },
+
+    /**
+     * Drop the book until the next snapshot
+     */
+    reset() {
+      bids = [];
+      asks = [];
+      seqId = null;
+      ready = false;
+    },
+
+    get ready() {
+      return ready;
+    }
+  };
+
+  return book;
+}
+
+/**
+ * Create a rolling trade flow over a time window
+ * Trades are aggressor (taker) sides as reported by OKX's trades channel, so buy
+ * volume lifted offers and sell volume hit bids.
+ * @param {number} windowMs - Window length in milliseconds
+ * @returns {Object} { add(trade), getFlow(now), reset() }
+ */
+function createTradeFlow(windowMs) {
+  let trades = [];
+  let head = 0;
+  let buyVolume = 0;
+  let sellVolume = 0;
+
+  const evict = now => {
+    while (head < trades.length && trades[head].timestamp <= now - windowMs) {
+      const trade = trades[head++];
+      if (trade.side === "buy") {
+        buyVolume -= trade.size;
+      } else {
+        sellVolume -= trade.size;
+      }
+    }
+
+    // Compact once the evicted prefix dominates the array
+    if (head > 1000 && head * 2 > trades.length) {
+      trades = trades.slice(head);
+      head = 0;
+    }
+  };
+
+  return {
+    /**
+     * Add a trade
+     * @param {Object} trade - { side: "buy" | "sell", size, timestamp }
+     */
+    add(trade) {
+      trades.push(trade);
+      if (trade.side === "buy") {
+        buyVolume += trade.size;
+      } else {
+        sellVolume += trade.size;
+      }
+      evict(trade.timestamp);
+    },
+
+    /**
+     * Get the flow of the trades within the window
+     * @param {number} now - End of the window (defaults to the current time)
+     * @returns {Object} { buyVolume, sellVolume, delta, trades, windowMs } - delta is buy minus sell volume
+     */
+    getFlow(now = Date.now()) {
+      evict(now);
+      // Running sums drift by float rounding; an empty window is exactly zero
+      if (head === trades.length) {
+        buyVolume = 0;
+        sellVolume = 0;
+      }
+      return {
+        buyVolume,
+        sellVolume,
+        delta: buyVolume - sellVolume,
+        trades: trades.length - head,
+        windowMs
+      };
+    },
+
+    /**
+     * Forget all trades
+     */
+    reset() {
+      trades = [];
+      head = 0;
+      buyVolume = 0;
+      sellVolume = 0;
+    }
+  };
+}
+
+module.exports = {
+  crc32,
+  createOrderBook,
+  createTradeFlow
+};
@@ -0,0 +1,770 @@
+/**
+ * Paper-trading exchange simulator for OKX Scalping Bot
+ * A local drop-in replacement for trader.js: no API keys are needed and no orders
+ * reach OKX. Market orders fill against the last ticker price with slippage and
+ * fees. Margin, leverage and liquidation are tracked, and SL/TP and trailing stop
+ * orders trigger from the live or replayed ticker stream.
+ *
+ * Positions are netted per instrument, as in OKX net_mode.
+ */
+const EventEmitter = require("events");
+const config = require("./config");
+const rest = require("./okx-rest");
+const { InsufficientMarginError } = require("./okx-errors");
+const { marketDataEmitter, accountEmitter } = require("./okx-client");
+const { getInstrument, notionalToContracts, formatContracts, roundPrice, roundToStep } = require("./instruments");
+const { getStopSettings, calculateExitLevels } = require("./stops");
+const { getExecutionSettings } = require("./execution");
+const { calculatePositionSize } = require("./sizing");
+const { getInstrumentConfig } = require("./portfolio");
+const { createLogger, createCorrelationId } = require("./logger");
+
+const logger = createLogger("paper-broker");
+
+class TradeEmitter extends EventEmitter {}
+const tradeEmitter = new TradeEmitter();
+
+// Simulated account
+let balance = config.PAPER_INITIAL_BALANCE; // Cash balance: realized PnL net of fees
+const positions = new Map();     // instId -> open position
+const algoOrders = new Map();    // algoId -> pending conditional order
+const leverages = new Map();     // instId -> leverage
+const lastPrices = new Map();    // instId -> last traded price
+const closedPositions = [];      // Closed positions with their realized PnL
+let orderSequence = 0;
+let isSubscribed = false;
+
+/**
+ * Generate a simulated order or algo ID
+ * @param {string} prefix - "paper" for orders, "algo" for conditional orders
+ * @returns {string} ID
+ */
+function nextId(prefix) {
+  orderSequence += 1;
+  return `${prefix}${Date.now()}${orderSequence}`;
+}
+
+/**
+ * Raise an alert that needs human attention
+ * @param {string} type - Alert type
+ * @param {string} message - Human-readable description
+ * @param {Object} details - Extra context
+ */
+function raiseAlert(type, message, details = {}) {
+  logger.error("ALERT", { alertType: type, alert: message, ...details });
+  tradeEmitter.emit("alert", { type, message, details, timestamp: Date.now() });
+}
+
+/**
+ * Paper trading needs no credentials
+ */
+function validateCredentials() {
+  logger.info("Paper trading: orders are simulated locally, API credentials are not used");
+}
+
+/**
+ * Get the base-currency quantity of a number of contracts
+ * @param {Object} instrument - Instrument metadata
+ * @param {number} contracts - Number of contracts
+ * @returns {number} Quantity in ctValCcy
+ */
+function contractsToQuantity(instrument, contracts) {
+  return contracts * instrument.ctVal * instrument.ctMult;
+}
+
+/**
+ * Estimate the liquidation price of a position (isolated-margin approximation)
+ * @param {string} side - "long" or "short"
+ * @param {number} avgPrice - Average entry price
+ * @param {number} leverage - Leverage multiplier
+ * @returns {number} Liquidation price
+ */
+function calculateLiquidationPrice(side, avgPrice, leverage) {
+  const maintenance = config.PAPER_MAINTENANCE_MARGIN_PERCENTAGE / 100;
+  return side === "long"
+    ? avgPrice * (1 - 1 / leverage + maintenance)
+    : avgPrice * (1 + 1 / leverage - maintenance);
+}
+
+/**
+ * Get the unrealized PnL of a position at a price
+ * @param {Object} position - Simulated position
+ * @param {number} price - Mark price
+ * @returns {number} Unrealized PnL in quote currency
+ */
+function unrealizedPnl(position, price) {
+  const direction = position.side === "long" ? 1 : -1;
+  return (price - position.avgPrice) * position.quantity * direction;
+}
+
+/**
+ * Get the latest price of an instrument, from the ticker stream or the public REST ticker
+ * @param {string} symbol - Trading pair symbol
+ * @returns {Promise<number>} Last price
+ */
+async function getLastPrice(symbol) {
+  if (lastPrices.has(symbol)) {
+    return lastPrices.get(symbol);
+  }
+
+  const tickers = await rest.get(`/api/v5/market/ticker?instId=${symbol}`);
+
+  if (!tickers.length) {
+    throw new Error("Failed to fetch market data");
+  }
+
+  const price = parseFloat(tickers[0].last);
+  lastPrices.set(symbol, price);
+  return price;
+}
+
+/**
+ * Apply slippage to a market fill
+ * @param {string} side - Order side ("buy" or "sell")
+ * @param {number} price - Reference price
+ * @returns {number} Fill price
+ */
+function applySlippage(side, price) {
+  const slippage = config.PAPER_SLIPPAGE_PERCENTAGE / 100;
+  return side === "buy" ? price * (1 + slippage) : price * (1 - slippage);
+}
+
+/**
+ * Build an OKX-style position row, as pushed on the private positions channel
+ * @param {string} instId - Instrument ID
+ * @returns {Object} Position row
+ */
+function toPositionRow(instId) {
+  const position = positions.get(instId);
+
+  if (!position) {
+    return { instId, pos: "0", posSide: "net", uTime: String(Date.now()) };
+  }
+
+  const price = lastPrices.get(instId) || position.avgPrice;
+
+  return {
+    instId,
+    pos: String(position.side === "long" ? position.contracts : -position.contracts),
+    posSide: "net",
+    avgPx: String(position.avgPrice),
+    lever: String(position.leverage),
+    margin: String(position.margin),
+    liqPx: String(position.liquidationPrice),
+    notionalUsd: String(position.quantity * price),
+    upl: String(unrealizedPnl(position, price)),
+    cTime: String(position.openedAt),
+    uTime: String(position.updatedAt)
+  };
+}
+
+/**
+ * Publish position and order updates the way the private WebSocket would
+ * @param {string} instId - Instrument ID
+ * @param {Object} order - Filled order (optional)
+ */
+function publish(instId, order = null) {
+  if (order) {
+    accountEmitter.emit("orders", [order]);
+  }
+  accountEmitter.emit("positions", [toPositionRow(instId)]);
+}
+
+/**
+ * Cancel all pending conditional orders of an instrument
+ * @param {string} instId - Instrument ID
+ */
+function cancelAlgoOrders(instId) {
+  for (const [algoId, algo] of algoOrders) {
+    if (algo.instId === instId) {
+      algoOrders.delete(algoId);
+    }
+  }
+}
+
+/**
+ * Fill a market order against the simulated position of an instrument
+ * Opposite orders reduce the position first; any remainder opens a position the other way.
+ * @param {Object} params - Fill parameters
+ * @param {Object} params.instrument - Instrument metadata
+ * @param {string} params.side - "buy" or "sell"
+ * @param {number} params.contracts - Number of contracts
+ * @param {number} params.price - Fill price
+ * @param {string} params.liquidity - "taker" or "maker"
+ * @param {number} params.leverage - Leverage for a new position
+ * @param {string} params.reason - Why the order was filled (e.g. "market", "stop_loss")
+ * @returns {Object} OKX-style order record
+ */
+function fill({ instrument, side, contracts, price, liquidity = "taker", leverage, reason = "market" }) {
+  const instId = instrument.instId;
+  const feeRate = (liquidity === "maker" ? config.PAPER_MAKER_FEE_PERCENTAGE : config.PAPER_TAKER_FEE_PERCENTAGE) / 100;
+  const fee = contractsToQuantity(instrument, contracts) * price * feeRate;
+  const direction = side === "buy" ? "long" : "short";
+  let remaining = contracts;
+  let position = positions.get(instId);
+  let closedPnl = 0;
+
+  balance -= fee;
+
+  // Reduce or close an opposite position
+  if (position && position.side !== direction) {
+    const closing = Math.min(remaining, position.contracts);
+    const closingQuantity = contractsToQuantity(instrument, closing);
+    const pnl = unrealizedPnl({ ...position, quantity: closingQuantity }, price);
+
+    closedPnl = pnl;
+    balance += pnl;
+    position.realizedPnl += pnl - fee * (closing / contracts);
+    position.fees += fee * (closing / contracts);
+    position.margin -= position.margin * (closing / position.contracts);
+    position.contracts -= closing;
+    position.quantity = contractsToQuantity(instrument, position.contracts);
+    position.updatedAt = Date.now();
+    remaining -= closing;
+
+    if (position.contracts <= 1e-9) {
+      positions.delete(instId);
+      cancelAlgoOrders(instId);
+      closedPositions.push({
+        instId,
+        side: position.side,
+        openedAt: position.openedAt,
+        realizedPnl: position.realizedPnl,
+        fees: position.fees,
+        funding: 0,
+        closePrice: price,
+        closedAt: Date.now(),
+        reason
+      });
+      logger.info("Paper position closed", { instId, side: position.side, reason, realizedPnl: position.realizedPnl });
+      position = null;
+    }
+  }
+
+  // Open or add to a position in the order's direction
+  if (remaining > 1e-9) {
+    const quantity = contractsToQuantity(instrument, remaining);
+    const openingFee = fee * (remaining / contracts);
+
+    if (position) {
+      const totalQuantity = position.quantity + quantity;
+      position.avgPrice = (position.avgPrice * position.quantity + price * quantity) / totalQuantity;
+      position.contracts += remaining;
+      position.quantity = totalQuantity;
+      position.margin += quantity * price / position.leverage;
+      position.realizedPnl -= openingFee;
+      position.fees += openingFee;
+    } else {
+      position = {
+        instId,
+        side: direction,
+        contracts: remaining,
+        quantity,
+        avgPrice: price,
+        leverage,
+        margin: quantity * price / leverage,
+        realizedPnl: -openingFee,
+        fees: openingFee,
+        openedAt: Date.now()
+      };
+      positions.set(instId, position);
+    }
+
+    position.liquidationPrice = calculateLiquidationPrice(position.side, position.avgPrice, position.leverage);
+    position.updatedAt = Date.now();
+  }
+
+  const order = {
+    instId,
+    ordId: nextId("paper"),
+    side,
+    ordType: "market",
+    sz: String(contracts),
+    accFillSz: String(contracts),
+    avgPx: String(price),
+    fee: String(-fee),
+    pnl: String(closedPnl),
+    state: "filled",
+    source: reason,
+    uTime: String(Date.now())
+  };
+
+  publish(instId, order);
+  return order;
+}
+
+/**
+ * Get simulated account balance
+ * Equity includes unrealized PnL; available is equity minus the margin in use.
+ * @param {string} currency - Currency (only USDT is simulated)
+ * @returns {Promise<Object>} { equity, available }
+ */
+async function getAccountBalance(currency = "USDT") {
+  let upl = 0;
+  let margin = 0;
+  for (const position of positions.values()) {
+    upl += unrealizedPnl(position, lastPrices.get(position.instId) || position.avgPrice);
+    margin += position.margin;
+  }
+
+  const equity = balance + upl;
+  return {
+    equity,
+    available: Math.max(0, equity - margin)
+  };
+}
+
+/**
+ * Calculate trade size as percentage of the simulated balance
+ * @param {string} currency - Currency to check balance for (e.g., "USDT")
+ * @param {number} percentage - Percentage of balance to use for trading
+ * @param {string} symbol - Trading pair symbol
+ * @returns {Promise<string>} Trade size in contracts
+ */
+async function getTradeSize(currency = "USDT", percentage = 10, symbol = config.TRADING_PAIR) {
+  const { available } = await getAccountBalance(currency);
+  const tradeSize = available * (percentage / 100);
+  const price = await getLastPrice(symbol);
+  const instrument = await getInstrument(symbol);
+  const contracts = notionalToContracts(instrument, tradeSize, price);
+
+  logger.info("Trade size from paper balance", { balance: available, currency, percentage, tradeSize, contracts, price });
+
+  return contracts;
+}
+
+/**
+ * Set simulated leverage for an instrument
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} leverage - Leverage value (defaults to the instrument's LEVERAGE)
+ * @returns {Promise<boolean>} Success status
+ */
+async function setLeverage(symbol = config.TRADING_PAIR, leverage = getInstrumentConfig(symbol).LEVERAGE) {
+  leverages.set(symbol, parseFloat(leverage));
+  logger.info("Paper leverage set", { instId: symbol, leverage });
+  return true;
+}
+
+/**
+ * Get pending simulated conditional orders
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} ordType - Algo order type ("oco" or "move_order_stop")
+ * @returns {Promise<Array>} OKX-style algo orders
+ */
+async function getPendingAlgoOrders(symbol = config.TRADING_PAIR, ordType = "oco") {
+  return Array.from(algoOrders.values())
+    .filter(algo => algo.instId === symbol && algo.ordType === ordType)
+    .map(algo => ({
+      algoId: algo.algoId,
+      algoClOrdId: algo.algoClOrdId,
+      instId: algo.instId,
+      ordType: algo.ordType,
+      side: algo.side,
+      sz: String(algo.contracts),
+      slTriggerPx: algo.stopLoss !== null ? String(algo.stopLoss) : "",
+      tpTriggerPx: algo.takeProfit !== null ? String(algo.takeProfit) : "",
+      callbackRatio: algo.callbackRatio ? String(algo.callbackRatio) : "",
+      state: "live"
+    }));
+}
+
+/**
+ * Close the entire simulated position on an instrument at market
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} posSide - Ignored, positions are netted
+ * @returns {Promise<boolean>} Success status
+ */
+async function closePosition(symbol = config.TRADING_PAIR, posSide = null) {
+  const position = positions.get(symbol);
+  cancelAlgoOrders(symbol);
+
+  if (!position) {
+    return true;
+  }
+
+  const instrument = await getInstrument(symbol);
+  const side = position.side === "long" ? "sell" : "buy";
+  const price = applySlippage(side, await getLastPrice(symbol));
+
+  fill({ instrument, side, contracts: position.contracts, price, reason: "close" });
+  logger.info("Paper position closed at market", { instId: symbol });
+  return true;
+}
+
+/**
+ * Place a simulated futures market order with SL & TP
+ * Mirrors trader.placeOrder: exits and sizing use the instrument's settings, the
+ * SL/TP are registered as a conditional order and trailing mode adds a trailing stop.
+ * Every execution mode fills at once as a market order; the simulator has no order book.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} side - Order side (BUY/SELL)
+ * @param {string} size - Order size in contracts
+ * @param {object} options - Signal context (strategy, indicators, stop, target, maxNotional, correlationId)
+ * @returns {Promise<object>} Order details
+ */
+async function placeOrder(symbol = config.TRADING_PAIR, side, size = null, options = {}) {
+  const correlationId = options.correlationId || createCorrelationId();
+  const log = logger.child({ correlationId, instId: symbol });
+
+  try {
+    log.info("Preparing paper order", { side });
+
+    const settings = getInstrumentConfig(symbol);
+    const instrument = await getInstrument(symbol);
+    const leverage = leverages.get(symbol) || parseFloat(settings.LEVERAGE);
+    const lastPrice = await getLastPrice(symbol);
+    const posSide = side.toLowerCase() === "buy" ? "long" : "short";
+
+    const stopSettings = getStopSettings(options.strategy || settings.STRATEGY, settings);
+    const { EXECUTION_MODE: executionMode } = getExecutionSettings(options.strategy || settings.STRATEGY, settings);
+    if (executionMode !== "market") {
+      log.info("Paper trading fills the entry at market", { executionMode });
+    }
+    const exits = calculateExitLevels(posSide, lastPrice, options.indicators || {}, stopSettings, {
+      stop: options.stop,
+      target: options.target
+    });
+    const stopLoss = roundPrice(instrument, exits.stopLoss);
+    const takeProfit = roundPrice(instrument, exits.takeProfit);
+
+    let sizing = null;
+    if (!size) {
+      const { equity, available } = await getAccountBalance(settings.USE_PERCENTAGE_OF_BALANCE_CURRENCY);
+      sizing = calculatePositionSize({
+        equity,
+        available,
+        entryPrice: lastPrice,
+        stopLoss: exits.stopLoss,
+        atr: options.indicators ? options.indicators.atr : null,
+        leverage,
+        instrument,
+        maxNotional: options.maxNotional,
+        settings
+      });
+      size = sizing.contracts;
+    }
+
+    size = formatContracts(instrument, size);
+
+    // Reject orders the simulated account cannot margin, as OKX does
+    const fillPrice = applySlippage(side.toLowerCase(), lastPrice);
+    const notional = contractsToQuantity(instrument, parseFloat(size)) * fillPrice;
+    const existing = positions.get(symbol);
+    const { available } = await getAccountBalance();
+    if (!(existing && existing.side !== posSide) && notional / leverage > available) {
+      throw new InsufficientMarginError(`Order placement failed: Insufficient margin (${(notional / leverage).toFixed(2)} USDT required, ${available.toFixed(2)} USDT available)`);
+    }
+
+    const order = fill({ instrument, side: side.toLowerCase(), contracts: parseFloat(size), price: fillPrice, leverage });
+    log.info("Paper market order filled", { side, size, price: fillPrice, orderId: order.ordId });
+
+    // Protective orders for the resulting position
+    cancelAlgoOrders(symbol);
+    const position = positions.get(symbol);
+    const algoId = nextId("algo");
+    algoOrders.set(algoId, {
+      algoId,
+      algoClOrdId: `sltp${correlationId}`,
+      instId: symbol,
+      ordType: "oco",
+      side: side.toLowerCase() === "buy" ? "sell" : "buy",
+      contracts: position ? position.contracts : parseFloat(size),
+      stopLoss: parseFloat(stopLoss),
+      takeProfit: parseFloat(takeProfit),
+      callbackRatio: null
+    });
+    log.info("Protection set", { orderId: order.ordId, algoId, stopLoss, takeProfit });
+
+    let trailingAlgoId = null;
+    if (exits.trailing) {
+      trailingAlgoId = nextId("algo");
+      algoOrders.set(trailingAlgoId, {
+        algoId: trailingAlgoId,
+        algoClOrdId: `trail${correlationId}`,
+        instId: symbol,
+        ordType: "move_order_stop",
+        side: side.toLowerCase() === "buy" ? "sell" : "buy",
+        contracts: position ? position.contracts : parseFloat(size),
+        stopLoss: null,
+        takeProfit: null,
+        callbackRatio: exits.trailing.callbackRatio,
+        bestPrice: fillPrice
+      });
+      log.info("Paper trailing stop set", { callbackPercentage: exits.trailing.callbackRatio * 100, algoId: trailingAlgoId });
+    }
+
+    return {
+      correlationId,
+      orderId: order.ordId,
+      algoId,
+      trailingAlgoId,
+      symbol,
+      side,
+      size,
+      price: fillPrice,
+      stopLoss,
+      takeProfit,
+      sizing,
+      timestamp: Date.now()
+    };
+  } catch (error) {
+    log.error("Paper order error", { side, error });
+    throw error;
+  }
+}
+
+/**
+ * Cancel the simulated protective orders (SL/TP and trailing stops) of an instrument
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} posSide - Ignored, positions are netted
+ * @returns {Promise<Array>} The cancelled conditional orders
+ */
+async function cancelProtection(symbol = config.TRADING_PAIR, posSide = null) {
+  const stale = Array.from(algoOrders.values()).filter(algo => algo.instId === symbol);
+  cancelAlgoOrders(symbol);
+  return stale;
+}
+
+/**
+ * Reduce a simulated position at market and re-protect the remainder
+ * Mirrors trader.reducePosition: the fill's realized PnL is returned, the SL/TP and
+ * trailing stop are replaced by orders for the remaining size at the same levels, and
+ * a remainder below the minimum order size is closed too.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} posSide - Side of the position, "long" or "short"
+ * @param {number} size - Contracts to close
+ * @param {object} options - Signal context (correlationId)
+ * @returns {Promise<object>} { correlationId, orderId, algoId, trailingAlgoId, symbol, side, size, remaining, price, realizedPnl, fees, stopLoss, takeProfit, timestamp }
+ */
+async function reducePosition(symbol = config.TRADING_PAIR, posSide, size, options = {}) {
+  const correlationId = options.correlationId || createCorrelationId();
+  const log = logger.child({ correlationId, instId: symbol });
+  const side = posSide === "long" ? "SELL" : "BUY";
+
+  try {
+    const position = positions.get(symbol);
+    if (!position || position.side !== posSide) {
+      throw new Error(`No ${posSide} paper position on ${symbol} to reduce`);
+    }
+
+    const instrument = await getInstrument(symbol);
+    size = formatContracts(instrument, Math.min(size, position.contracts));
+    const remaining = roundToStep(position.contracts - parseFloat(size), instrument.lotSz, "round");
+    const result = { correlationId, orderId: null, algoId: null, trailingAlgoId: null, symbol, side, size, remaining, price: null, realizedPnl: null, fees: null, stopLoss: null, takeProfit: null };
+
+    if (parseFloat(remaining) < parseFloat(instrument.minSz)) {
+      const contracts = roundToStep(position.contracts, instrument.lotSz, "round");
+      await closePosition(symbol, posSide);
+      return { ...result, size: contracts, remaining: "0", timestamp: Date.now() };
+    }
+
+    const price = applySlippage(side.toLowerCase(), await getLastPrice(symbol));
+    const stale = Array.from(algoOrders.values()).filter(algo => algo.instId === symbol);
+    const order = fill({ instrument, side: side.toLowerCase(), contracts: parseFloat(size), price, reason: "reduce" });
+    Object.assign(result, {
+      orderId: order.ordId,
+      price,
+      realizedPnl: parseFloat(order.pnl) + parseFloat(order.fee),
+      fees: -parseFloat(order.fee)
+    });
+    log.info("Paper position reduced", { side, size, remaining, price, orderId: order.ordId, realizedPnl: result.realizedPnl });
+
+    // Protective orders for the remaining size are placed before the old ones are removed
+    for (const algo of stale) {
+      const algoId = nextId("algo");
+      const prefix = algo.ordType === "oco" ? "sltp" : "trail";
+      algoOrders.set(algoId, { ...algo, algoId, algoClOrdId: `${prefix}${correlationId}`, contracts: position.contracts });
+      algoOrders.delete(algo.algoId);
+
+      if (algo.ordType === "oco") {
+        Object.assign(result, { algoId, stopLoss: String(algo.stopLoss), takeProfit: String(algo.takeProfit) });
+      } else {
+        result.trailingAlgoId = algoId;
+      }
+    }
+
+    return { ...result, timestamp: Date.now() };
+  } catch (error) {
+    log.error("Paper reduce error", { side, error });
+    throw error;
+  }
+}
+
+/**
+ * Reverse a simulated position: close it, then open one on the other side
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} side - Side of the new position's entry (BUY/SELL)
+ * @param {string} size - Order size in contracts (null to size dynamically)
+ * @param {object} options - Signal context, as for placeOrder
+ * @returns {Promise<object>} Order details of the new position
+ */
+async function reversePosition(symbol = config.TRADING_PAIR, side, size = null, options = {}) {
+  await closePosition(symbol, side.toLowerCase() === "buy" ? "short" : "long");
+  return placeOrder(symbol, side, size, options);
+}
+
+/**
+ * Trigger a conditional order
+ * Stop-loss and trailing stops fill at market with slippage; take-profits fill at
+ * their trigger price as resting limit orders with the maker fee.
+ * @param {Object} algo - Conditional order
+ * @param {Object} instrument - Instrument metadata
+ * @param {number} price - Ticker price that triggered the order
+ * @param {string} reason - "stop_loss", "take_profit" or "trailing_stop"
+ */
+function triggerAlgoOrder(algo, instrument, price, reason) {
+  const position = positions.get(algo.instId);
+  algoOrders.delete(algo.algoId);
+
+  if (!position) {
+    return;
+  }
+
+  const isTakeProfit = reason === "take_profit";
+  fill({
+    instrument,
+    side: algo.side,
+    contracts: Math.min(algo.contracts, position.contracts),
+    price: isTakeProfit ? algo.takeProfit : applySlippage(algo.side, price),
+    liquidity: isTakeProfit ? "maker" : "taker",
+    reason
+  });
+
+  accountEmitter.emit("algoOrders", [{ algoId: algo.algoId, algoClOrdId: algo.algoClOrdId, instId: algo.instId, ordType: algo.ordType, state: "effective" }]);
+}
+
+/**
+ * Process a ticker update: mark positions to market, then check liquidation and
+ * trigger SL/TP and trailing stops
+ * Call directly to replay recorded tickers; startPaperBroker subscribes it to live data.
+ * @param {Object} tick - { instId, price }
+ */
+async function processTicker(tick) {
+  const instId = tick.instId || config.TRADING_PAIR;
+  const price = tick.price;
+  if (!(price > 0)) {
+    return;
+  }
+
+  lastPrices.set(instId, price);
+
+  const position = positions.get(instId);
+  if (!position) {
+    return;
+  }
+
+  const instrument = await getInstrument(instId);
+  const isLong = position.side === "long";
+
+  // Liquidation: the position's margin is lost
+  if (isLong ? price <= position.liquidationPrice : price >= position.liquidationPrice) {
+    const liquidationPrice = position.liquidationPrice;
+    cancelAlgoOrders(instId);
+    fill({ instrument, side: isLong ? "sell" : "buy", contracts: position.contracts, price: liquidationPrice, reason: "liquidation" });
+    raiseAlert("liquidation", `Paper ${position.side} position on ${instId} was liquidated at $${liquidationPrice.toFixed(2)}`,
+      { instId, side: position.side, size: position.contracts, liquidationPrice });
+    return;
+  }
+
+  for (const algo of Array.from(algoOrders.values())) {
+    if (algo.instId !== instId || !positions.has(instId)) {
+      continue;
+    }
+
+    if (algo.ordType === "oco") {
+      if (isLong ? price <= algo.stopLoss : price >= algo.stopLoss) {
+        triggerAlgoOrder(algo, instrument, price, "stop_loss");
+      } else if (isLong ? price >= algo.takeProfit : price <= algo.takeProfit) {
+        triggerAlgoOrder(algo, instrument, price, "take_profit");
+      }
+    } else if (algo.ordType === "move_order_stop") {
+      algo.bestPrice = isLong ? Math.max(algo.bestPrice, price) : Math.min(algo.bestPrice, price);
+      const triggerPrice = isLong
+        ? algo.bestPrice * (1 - algo.callbackRatio)
+        : algo.bestPrice * (1 + algo.callbackRatio);
+      if (isLong ? price <= triggerPrice : price >= triggerPrice) {
+        triggerAlgoOrder(algo, instrument, price, "trailing_stop");
+      }
+    }
+  }
+
+  if (positions.has(instId)) {
+    positions.get(instId).updatedAt = Date.now();
+  }
+}
+
+/**
+ * Get OKX-style position rows for the simulated account (used by the position manager)
+ * @param {Array} instIds - Instrument IDs
+ * @returns {Array} Position rows of open positions
+ */
+function fetchPositions(instIds) {
+  return instIds.filter(instId => positions.has(instId)).map(toPositionRow);
+}
+
+/**
+ * Get the most recently closed simulated position
+ * @param {string} instId - Instrument ID
+ * @param {Object} match - { openedAt, since }: only a position opened at openedAt and closed at or after since
+ * @returns {Object|null} { instId, side, openedAt, realizedPnl, fees, funding, closePrice, closedAt, reason } or null if there is none
+ */
+function getLastClosedPosition(instId = config.TRADING_PAIR, { openedAt = null, since = null } = {}) {
+  for (let i = closedPositions.length - 1; i >= 0; i--) {
+    const closed = closedPositions[i];
+    if (closed.instId === instId && (!openedAt || closed.openedAt === openedAt) && (!since || closed.closedAt >= since)) {
+      return { ...closed };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reset the simulated account
+ * @param {number} initialBalance - Starting balance in USDT
+ */
+function resetPaperBroker(initialBalance = config.PAPER_INITIAL_BALANCE) {
+  balance = initialBalance;
+  positions.clear();
+  algoOrders.clear();
+  leverages.clear();
+  lastPrices.clear();
+  closedPositions.length = 0;
+}
+
+/**
+ * Drive the simulator from a ticker stream
+ * @param {EventEmitter} emitter - Emitter of "marketData" ticker events
+ */
+function startPaperBroker(emitter = marketDataEmitter) {
+  if (isSubscribed) {
+    return;
+  }
+
+  emitter.on("marketData", tick => {
+    processTicker(tick).catch(error => {
+      logger.error("Paper broker ticker error", { instId: tick.instId, error });
+    });
+  });
+  isSubscribed = true;
+
+  logger.info("Paper broker started", { balance });
+}
+
+module.exports = {
+  placeOrder,
+  closePosition,
+  reducePosition,
+  reversePosition,
+  cancelProtection,
+  getPendingAlgoOrders,
+  setLeverage,
+  getAccountBalance,
+  getTradeSize,
+  validateCredentials,
+  tradeEmitter,
+  processTicker,
+  fetchPositions,
+  getLastClosedPosition,
+  resetPaperBroker,
+  startPaperBroker
+};
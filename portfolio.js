@@ -0,0 +1,73 @@
+/**
+ * Portfolio configuration for OKX Scalping Bot
+ * Resolves the per-instrument settings from config.INSTRUMENTS
+ */
+const config = require("./config");
+const { loadStrategy } = require("./strategies");
+const { toOkxBar } = require("./utils");
+
+/**
+ * Get the list of instrument entries, falling back to TRADING_PAIR when INSTRUMENTS is empty
+ * @returns {Array} Instrument entries ({ instId, ...overrides })
+ */
+function getInstrumentEntries() {
+  if (Array.isArray(config.INSTRUMENTS) && config.INSTRUMENTS.length) {
+    return config.INSTRUMENTS;
+  }
+  return [{ instId: config.TRADING_PAIR }];
+}
+
+/**
+ * Get the IDs of all traded instruments
+ * @returns {Array} Instrument IDs
+ */
+function getInstrumentIds() {
+  return getInstrumentEntries().map(entry => entry.instId);
+}
+
+/**
+ * Get the settings for one instrument: the global config with the instrument's
+ * overrides applied (e.g. TIMEFRAME, STRATEGY, LEVERAGE, sizing and strategy parameters)
+ * TRADING_PAIR is set to the instrument, so the result can be used wherever config is.
+ * @param {string} instId - Instrument ID
+ * @returns {Object} Instrument settings
+ */
+function getInstrumentConfig(instId = config.TRADING_PAIR) {
+  const entry = getInstrumentEntries().find(item => item.instId === instId) || {};
+  const { instId: _instId, ...overrides } = entry;
+
+  return {
+    ...config,
+    ...overrides,
+    TRADING_PAIR: instId
+  };
+}
+
+/**
+ * Get the settings of every traded instrument
+ * @returns {Array} Instrument settings
+ */
+function getInstrumentConfigs() {
+  return getInstrumentIds().map(getInstrumentConfig);
+}
+
+/**
+ * Get the timeframes an instrument needs candles for: its TIMEFRAME first, followed
+ * by any additional timeframes its strategy declares with getTimeframes(config)
+ * @param {string} instId - Instrument ID
+ * @returns {Array} OKX bar strings without duplicates, e.g. ["15m", "4H"]
+ */
+function getInstrumentTimeframes(instId = config.TRADING_PAIR) {
+  const settings = getInstrumentConfig(instId);
+  const strategy = loadStrategy(settings.STRATEGY);
+  const extra = strategy.getTimeframes ? strategy.getTimeframes(settings) : [];
+
+  return Array.from(new Set([settings.TIMEFRAME, ...extra].map(toOkxBar)));
+}
+
+module.exports = {
+  getInstrumentIds,
+  getInstrumentConfig,
+  getInstrumentConfigs,
+  getInstrumentTimeframes
+};
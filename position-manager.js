@@ -0,0 +1,306 @@
+/**
+ * Position manager for OKX Scalping Bot
+ * Reconciles the bot's view of open positions with the exchange
+ */
+const EventEmitter = require("events");
+const config = require("./config");
+const rest = require("./okx-rest");
+const { getInstrumentIds } = require("./portfolio");
+const paperBroker = require("./paper-broker");
+const { accountEmitter } = require("./okx-client");
+const { createLogger } = require("./logger");
+
+const log = createLogger("position-manager");
+
+class PositionEmitter extends EventEmitter {}
+const positionEmitter = new PositionEmitter();
+
+// Latest known positions: instId -> Map of position side ("net", or "long" and "short"
+// in long/short mode) -> position record
+const positions = new Map();
+
+// Newest closed positions searched for the one that just closed
+const CLOSED_POSITION_ROWS = 10;
+
+let syncInterval = null;
+let isSubscribed = false;
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Apply pushes from the private positions channel
+ * @param {Array} rows - OKX position rows
+ */
+function handlePositionsPush(rows) {
+  applyPositions(rows);
+}
+
+/**
+ * Build a flat (no position) record for an instrument
+ * @param {string} instId - Instrument ID
+ * @returns {Object} Flat position
+ */
+function flatPosition(instId) {
+  return {
+    instId,
+    side: null,
+    size: 0,
+    avgPrice: 0,
+    notional: 0,
+    unrealizedPnl: 0,
+    posId: null,
+    openedAt: null,
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Parse an OKX position row into a position record
+ * In net mode the sign of "pos" gives the direction; in long/short mode "posSide" does.
+ * @param {Object} row - Position row from REST or the positions channel
+ * @returns {Object} Position record
+ */
+function parsePosition(row) {
+  const pos = parseFloat(row.pos || 0);
+
+  if (!pos) {
+    return flatPosition(row.instId);
+  }
+
+  let side;
+  if (row.posSide === "long" || row.posSide === "short") {
+    side = row.posSide;
+  } else {
+    side = pos > 0 ? "long" : "short";
+  }
+
+  return {
+    instId: row.instId,
+    side,
+    size: Math.abs(pos),
+    avgPrice: parseFloat(row.avgPx || 0),
+    notional: Math.abs(parseFloat(row.notionalUsd || 0)),
+    unrealizedPnl: parseFloat(row.upl || 0),
+    posId: row.posId || null,
+    openedAt: parseInt(row.cTime) || null,
+    updatedAt: parseInt(row.uTime) || Date.now()
+  };
+}
+
+/**
+ * Apply position rows from the exchange and emit change events
+ * Rows update the position side they are for, so in long/short mode a push for one side
+ * leaves the other side as it was. Rows of instruments the bot does not trade are ignored.
+ * Emits "positionChanged" when side or size changes and "positionClosed" when a position goes flat or flips side.
+ * @param {Array} rows - OKX position rows
+ * @param {Array} instIds - Instruments covered by this snapshot; sides missing from rows are treated as flat
+ */
+function applyPositions(rows, instIds = []) {
+  const tracked = new Set(getInstrumentIds());
+  const updates = new Map(instIds.map(instId => [instId, new Map()]));
+
+  for (const row of rows) {
+    if (!tracked.has(row.instId)) {
+      continue;
+    }
+    if (!updates.has(row.instId)) {
+      updates.set(row.instId, new Map(positions.get(row.instId)));
+    }
+    updates.get(row.instId).set(row.posSide || "net", parsePosition(row));
+  }
+
+  for (const [instId, sides] of updates) {
+    const previous = getPosition(instId);
+    positions.set(instId, sides);
+    const current = getPosition(instId);
+
+    if (previous.side !== current.side || previous.size !== current.size) {
+      log.info("Position changed", {
+        instId,
+        previousSide: previous.side || "flat",
+        previousSize: previous.size,
+        side: current.side || "flat",
+        size: current.size
+      });
+      positionEmitter.emit("positionChanged", { instId, previous, current });
+
+      // A flip from long to short (or back) also closes the previous position
+      if (previous.side && previous.side !== current.side) {
+        positionEmitter.emit("positionClosed", { instId, previous });
+      }
+    }
+  }
+}
+
+/**
+ * Fetch open positions from the exchange (or the paper broker when PAPER_TRADING is set)
+ * @param {Array} instIds - Instrument IDs
+ * @returns {Promise<Array>} OKX position rows
+ */
+async function fetchPositions(instIds = getInstrumentIds()) {
+  if (config.PAPER_TRADING) {
+    return paperBroker.fetchPositions(instIds);
+  }
+
+  return rest.get(`/api/v5/account/positions?instId=${instIds.join(",")}`, { auth: true });
+}
+
+/**
+ * Check whether a closed position is the one a lookup is for
+ * @param {Object} closed - Closed position { posId, openedAt, closedAt }
+ * @param {Object} match - { posId, openedAt, since }; criteria left out are not checked
+ * @returns {boolean} True if every given criterion matches
+ */
+function matchesClosedPosition(closed, { posId = null, openedAt = null, since = null } = {}) {
+  return (!posId || !closed.posId || closed.posId === posId)
+    && (!openedAt || !closed.openedAt || closed.openedAt === openedAt)
+    && (!since || closed.closedAt >= since);
+}
+
+/**
+ * Parse an OKX positions-history row
+ * @param {Object} row - Closed position row
+ * @returns {Object} { instId, side, posId, openedAt, realizedPnl, fees, funding, closePrice, closedAt }
+ */
+function parseClosedPosition(row) {
+  return {
+    instId: row.instId,
+    side: row.direction || null,
+    posId: row.posId || null,
+    openedAt: parseInt(row.cTime) || null,
+    realizedPnl: parseFloat(row.realizedPnl || row.pnl || 0),
+    fees: -parseFloat(row.fee || 0),
+    funding: parseFloat(row.fundingFee || 0),
+    closePrice: parseFloat(row.closeAvgPx || 0),
+    closedAt: parseInt(row.uTime)
+  };
+}
+
+/**
+ * Fetch a closed position, including its realized PnL
+ * OKX records closed positions with a delay, so right after a close the newest row
+ * may still be the previous position. Rows must match the position ID and open time
+ * of the closed position and be closed at or after `since` (criteria that are not
+ * known are not checked). The lookup is retried with a doubling delay, up to
+ * CLOSED_POSITION_LOOKUP_ATTEMPTS times.
+ * @param {string} instId - Instrument ID
+ * @param {Object} match - { posId, openedAt, since } of the closed position
+ * @returns {Promise<Object|null>} { instId, side, posId, openedAt, realizedPnl, fees, funding, closePrice, closedAt },
+ *   or null if no matching position was found
+ */
+async function getLastClosedPosition(instId = config.TRADING_PAIR, match = {}) {
+  if (config.PAPER_TRADING) {
+    return paperBroker.getLastClosedPosition(instId, match);
+  }
+
+  let delay = config.CLOSED_POSITION_LOOKUP_DELAY;
+  for (let attempt = 1; attempt <= config.CLOSED_POSITION_LOOKUP_ATTEMPTS; attempt++) {
+    const rows = await rest.get(`/api/v5/account/positions-history?instId=${instId}&limit=${CLOSED_POSITION_ROWS}`, { auth: true });
+    const closed = rows.map(parseClosedPosition).find(row => matchesClosedPosition(row, match));
+    if (closed) {
+      return closed;
+    }
+
+    if (attempt < config.CLOSED_POSITION_LOOKUP_ATTEMPTS) {
+      log.debug("Closed position not recorded yet, retrying", { instId, attempt, delay, ...match });
+      await sleep(delay);
+      delay *= 2;
+    }
+  }
+
+  log.warn("Closed position not found", { instId, ...match });
+  return null;
+}
+
+/**
+ * Get the total notional of all open positions of the traded instruments
+ * @returns {number} Notional in USD
+ */
+function getOpenNotional() {
+  let total = 0;
+  for (const sides of positions.values()) {
+    for (const position of sides.values()) {
+      total += position.notional;
+    }
+  }
+  return total;
+}
+
+/**
+ * Query the exchange and reconcile the local positions
+ * Emits "positionsSynced" with the current position of every instrument, changed or not.
+ * @param {Array} instIds - Instrument IDs
+ * @returns {Promise<Array>} Current position of each instrument
+ */
+async function syncPositions(instIds = getInstrumentIds()) {
+  const rows = await fetchPositions(instIds);
+  applyPositions(rows, instIds);
+  const current = instIds.map(instId => getPosition(instId));
+  positionEmitter.emit("positionsSynced", current);
+  return current;
+}
+
+/**
+ * Reconcile positions now and then periodically
+ * Also applies real-time updates from the private positions channel.
+ * @param {Array} instIds - Instrument IDs
+ * @param {number} interval - Sync interval in milliseconds
+ * @returns {Promise<Array>} Positions after the initial sync
+ */
+async function startPositionSync(instIds = getInstrumentIds(), interval = config.POSITION_SYNC_INTERVAL) {
+  stopPositionSync();
+
+  // Real-time updates from the private positions channel; polling remains as a safety net
+  if (!isSubscribed) {
+    accountEmitter.on("positions", handlePositionsPush);
+    isSubscribed = true;
+  }
+
+  syncInterval = setInterval(() => {
+    syncPositions(instIds).catch(error => {
+      log.error("Position sync failed", { error });
+    });
+  }, interval);
+
+  return syncPositions(instIds);
+}
+
+/**
+ * Stop periodic position reconciliation
+ */
+function stopPositionSync() {
+  if (syncInterval) {
+    clearInterval(syncInterval);
+    syncInterval = null;
+  }
+}
+
+/**
+ * Get the latest known position for an instrument
+ * In long/short mode this is the open side; the bot holds one side at a time.
+ * @param {string} instId - Instrument ID
+ * @returns {Object} Position record (side is null when flat)
+ */
+function getPosition(instId = config.TRADING_PAIR) {
+  const sides = Array.from((positions.get(instId) || new Map()).values());
+  return sides.find(position => position.side) || sides[0] || flatPosition(instId);
+}
+
+module.exports = {
+  positionEmitter,
+  applyPositions,
+  syncPositions,
+  startPositionSync,
+  stopPositionSync,
+  getPosition,
+  getOpenNotional,
+  getLastClosedPosition,
+  matchesClosedPosition
+};
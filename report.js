@@ -0,0 +1,327 @@
+/**
+ * Performance report for OKX Scalping Bot
+ * Analyses closed trades from a trade journal: the live bot, the paper broker and
+ * `backtest.js --journal` all write the same format.
+ *
+ * Usage: node report.js [--file journal.jsonl] [--from 2024-01-01] [--to 2024-02-01]
+ *                       [--strategy EMA] [--inst BTC-USDT-SWAP] [--balance 1000]
+ *                       [--json] [--csv equity.csv]
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+const { getTrades } = require("./journal");
+const { parseArgs } = require("./utils");
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a --from/--to value: a timestamp in milliseconds or a date string
+ * @param {string} value - Command line value
+ * @returns {number|null} Timestamp, or null when not given
+ */
+function parseTime(value) {
+  if (value === undefined || value === true) {
+    return null;
+  }
+  const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return timestamp;
+}
+
+/**
+ * Get the R-multiple of a trade: the price move in units of the initial stop distance
+ * @param {Object} trade - Closed trade
+ * @returns {number|null} R-multiple, or null when the stop or exit price is unknown
+ */
+function calculateR(trade) {
+  const risk = Math.abs(trade.entryPrice - parseFloat(trade.stopLoss));
+  if (!(risk > 0) || !trade.exitPrice) {
+    return null;
+  }
+  const direction = trade.side === "long" ? 1 : -1;
+  return (trade.exitPrice - trade.entryPrice) * direction / risk;
+}
+
+/**
+ * Calculate performance metrics for a set of closed trades
+ * Metrics that are undefined are null, so they survive JSON: profitFactor without any
+ * losing trade, averageR without stops, and maxDrawdownPercentage without a starting balance.
+ * @param {Array} trades - Closed trades sorted by exit time
+ * @param {Object} options - { from, to, balance } - the period for exposure and the starting balance for drawdown %
+ * @returns {Object} Metrics
+ */
+function calculateMetrics(trades, { from = null, to = null, balance = 0 } = {}) {
+  let netPnl = 0;
+  let fees = 0;
+  let funding = 0;
+  let grossProfit = 0;
+  let grossLoss = 0;
+  let wins = 0;
+  let exposure = 0;
+  let peak = balance;
+  let equity = balance;
+  let maxDrawdown = 0;
+  let maxDrawdownPercentage = 0;
+  const rMultiples = [];
+
+  for (const trade of trades) {
+    const pnl = trade.realizedPnl || 0;
+    netPnl += pnl;
+    fees += trade.fees || 0;
+    funding += trade.funding || 0;
+
+    if (pnl > 0) {
+      wins++;
+      grossProfit += pnl;
+    } else {
+      grossLoss += -pnl;
+    }
+
+    const r = calculateR(trade);
+    if (r !== null) {
+      rMultiples.push(r);
+    }
+
+    exposure += Math.max(0, trade.exitTime - trade.entryTime);
+
+    equity += pnl;
+    peak = Math.max(peak, equity);
+    if (peak - equity > maxDrawdown) {
+      maxDrawdown = peak - equity;
+      maxDrawdownPercentage = peak > 0 ? (maxDrawdown / peak) * 100 : 0;
+    }
+  }
+
+  const count = trades.length;
+  const start = from !== null ? from : (count ? Math.min(...trades.map(trade => trade.entryTime)) : 0);
+  const end = to !== null ? to : (count ? Math.max(...trades.map(trade => trade.exitTime)) : 0);
+  const period = end - start;
+
+  return {
+    trades: count,
+    wins,
+    losses: count - wins,
+    winRate: count ? (wins / count) * 100 : 0,
+    netPnl,
+    fees,
+    funding,
+    grossProfit,
+    grossLoss,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    expectancy: count ? netPnl / count : 0,
+    averageR: rMultiples.length ? rMultiples.reduce((sum, r) => sum + r, 0) / rMultiples.length : null,
+    maxDrawdown,
+    // Without a starting balance it would be relative to the peak of cumulative PnL alone
+    maxDrawdownPercentage: balance > 0 ? maxDrawdownPercentage : null,
+    exposureHours: exposure / (60 * 60 * 1000),
+    exposurePercentage: period > 0 ? Math.min(100, (exposure / period) * 100) : 0
+  };
+}
+
+/**
+ * Group trades by a key and calculate metrics for each group
+ * @param {Array} trades - Closed trades
+ * @param {Function} keyOf - Returns the group key of a trade
+ * @param {Object|Function} options - Options for calculateMetrics, or a function returning them for a key
+ * @returns {Object} Metrics by key, keys sorted
+ */
+function breakdown(trades, keyOf, options) {
+  const groups = new Map();
+  for (const trade of trades) {
+    const key = keyOf(trade);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(trade);
+  }
+
+  const result = {};
+  for (const key of Array.from(groups.keys()).sort()) {
+    result[key] = calculateMetrics(groups.get(key), typeof options === "function" ? options(key) : options);
+  }
+  return result;
+}
+
+/**
+ * Build the equity curve of realized PnL
+ * @param {Array} trades - Closed trades sorted by exit time
+ * @param {number} balance - Starting balance
+ * @returns {Array} Points: { timestamp, instId, pnl, equity }
+ */
+function buildEquityCurve(trades, balance = 0) {
+  let equity = balance;
+  return trades.map(trade => {
+    equity += trade.realizedPnl || 0;
+    return { timestamp: trade.exitTime, instId: trade.instId, pnl: trade.realizedPnl || 0, equity };
+  });
+}
+
+/**
+ * Build a performance report from a trade journal
+ * Only closed trades with a known result are included; a trade belongs to the period in
+ * which it was closed.
+ * @param {Object} options - Report options
+ * @param {string} options.file - Journal file
+ * @param {number} options.from - Start of the period (timestamp)
+ * @param {number} options.to - End of the period (timestamp, exclusive)
+ * @param {string} options.strategy - Only trades of this strategy
+ * @param {string} options.instId - Only trades of this instrument
+ * @param {number} options.balance - Starting balance for the equity curve and drawdown %
+ * @returns {Object} { summary, byInstrument, byStrategy, byDay, equityCurve }
+ */
+function buildReport({ file, from = null, to = null, strategy = null, instId = null, balance = 0 } = {}) {
+  const trades = getTrades({ instId }, file)
+    .filter(trade => !trade.open && !trade.unresolved)
+    .filter(trade => from === null || trade.exitTime >= from)
+    .filter(trade => to === null || trade.exitTime < to)
+    .filter(trade => !strategy || String(trade.strategy).toUpperCase() === String(strategy).toUpperCase())
+    .sort((a, b) => a.exitTime - b.exitTime);
+
+  const options = { from, to, balance };
+
+  return {
+    summary: calculateMetrics(trades, options),
+    byInstrument: breakdown(trades, trade => trade.instId, options),
+    byStrategy: breakdown(trades, trade => trade.strategy || "unknown", options),
+    byDay: breakdown(trades, trade => new Date(Math.floor(trade.exitTime / ONE_DAY) * ONE_DAY).toISOString().slice(0, 10), day => ({
+      from: Date.parse(day),
+      to: Date.parse(day) + ONE_DAY,
+      balance
+    })),
+    equityCurve: buildEquityCurve(trades, balance)
+  };
+}
+
+/**
+ * Format a number for the report table
+ * @param {number|null} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted value
+ */
+function formatNumber(value, decimals = 2) {
+  if (value === null || value === undefined) {
+    return "n/a";
+  }
+  return value.toFixed(decimals);
+}
+
+/**
+ * Format the profit factor: infinite with profits but no losses
+ * @param {Object} metrics - Metrics from calculateMetrics
+ * @returns {string} Formatted value
+ */
+function formatProfitFactor(metrics) {
+  return metrics.profitFactor === null && metrics.grossProfit > 0 ? "∞" : formatNumber(metrics.profitFactor);
+}
+
+/**
+ * Print a table of metrics by group
+ * @param {string} title - Table title
+ * @param {Object} groups - Metrics by key
+ */
+function printTable(title, groups) {
+  const columns = [
+    ["", 20, (key) => key],
+    ["Trades", 7, (key, m) => String(m.trades)],
+    ["Win %", 7, (key, m) => formatNumber(m.winRate)],
+    ["Net PnL", 11, (key, m) => formatNumber(m.netPnl)],
+    ["Fees", 9, (key, m) => formatNumber(m.fees)],
+    ["Funding", 9, (key, m) => formatNumber(m.funding)],
+    ["PF", 6, (key, m) => formatProfitFactor(m)],
+    ["Expect.", 9, (key, m) => formatNumber(m.expectancy)],
+    ["Avg R", 7, (key, m) => formatNumber(m.averageR)],
+    ["Max DD", 9, (key, m) => formatNumber(m.maxDrawdown)],
+    ["Exposure", 9, (key, m) => `${formatNumber(m.exposurePercentage, 1)}%`]
+  ];
+
+  console.log("==============================");
+  console.log(title);
+  console.log("==============================");
+  console.log(columns.map(([name, width]) => name.padStart(width)).join(" "));
+  for (const [key, metrics] of Object.entries(groups)) {
+    console.log(columns.map(([, width, cell]) => cell(key, metrics).padStart(width)).join(" "));
+  }
+}
+
+/**
+ * Print a report to the console
+ * @param {Object} report - Report from buildReport
+ */
+function printReport(report) {
+  const { summary } = report;
+
+  console.log("==============================");
+  console.log("📊 Performance Report");
+  console.log("==============================");
+  console.log(`🔢 Trades: ${summary.trades} (${summary.wins} wins / ${summary.losses} losses)`);
+  console.log(`🏆 Win Rate: ${formatNumber(summary.winRate)}%`);
+  console.log(`💰 Realized PnL: ${formatNumber(summary.netPnl)} (fees ${formatNumber(summary.fees)}, funding ${formatNumber(summary.funding)})`);
+  console.log(`⚖️ Profit Factor: ${formatProfitFactor(summary)}`);
+  console.log(`🎲 Expectancy: ${formatNumber(summary.expectancy)} per trade`);
+  console.log(`📐 Average R: ${formatNumber(summary.averageR)}`);
+  console.log(`📉 Max Drawdown: ${formatNumber(summary.maxDrawdown)}` + (summary.maxDrawdownPercentage !== null ? ` (${formatNumber(summary.maxDrawdownPercentage)}%)` : ""));
+  console.log(`⏱️ Exposure: ${formatNumber(summary.exposureHours, 1)}h (${formatNumber(summary.exposurePercentage, 1)}% of the period)`);
+
+  printTable("📊 By Instrument", report.byInstrument);
+  printTable("🔧 By Strategy", report.byStrategy);
+  printTable("📅 By Day", report.byDay);
+}
+
+/**
+ * Write the equity curve as CSV
+ * @param {Array} equityCurve - Points from buildEquityCurve
+ * @param {string} filePath - Output file
+ */
+function writeEquityCsv(equityCurve, filePath) {
+  const lines = ["timestamp,date,instId,pnl,equity"];
+  for (const point of equityCurve) {
+    lines.push([point.timestamp, new Date(point.timestamp).toISOString(), point.instId, point.pnl, point.equity].join(","));
+  }
+  fs.writeFileSync(filePath, lines.join("\n") + "\n");
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const file = path.resolve(args.file || path.join(__dirname, config.JOURNAL_FILE));
+    if (!fs.existsSync(file)) {
+      throw new Error(`Journal not found: ${file}`);
+    }
+
+    const report = buildReport({
+      file,
+      from: parseTime(args.from),
+      to: parseTime(args.to),
+      strategy: args.strategy || null,
+      instId: args.inst || null,
+      balance: args.balance ? parseFloat(args.balance) : 0
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    if (args.csv) {
+      writeEquityCsv(report.equityCurve, args.csv);
+      if (!args.json) {
+        console.log(`📈 Equity curve written to ${args.csv}`);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Report error:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  buildReport,
+  calculateMetrics,
+  printReport,
+  writeEquityCsv
+};
@@ -0,0 +1,234 @@
+/**
+ * Account-level risk guardrails for OKX Scalping Bot
+ * Sits between signals and order placement and halts new entries when a limit is hit.
+ * The halt is persisted and survives restarts until it is manually re-armed, through
+ * the control API while the bot runs (POST /api/rearm), or when it is stopped:
+ *
+ *   node risk-manager.js --rearm
+ */
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("risk-manager");
+
+class RiskEmitter extends EventEmitter {}
+const riskEmitter = new RiskEmitter();
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+let state = defaultState();
+
+/**
+ * Build a fresh risk state
+ * @returns {Object} Risk state
+ */
+function defaultState() {
+  return {
+    halted: false,
+    haltReason: null,
+    haltedAt: null,
+    day: currentDay(),
+    dailyPnl: 0,
+    consecutiveLosses: 0,
+    tradeTimestamps: []
+  };
+}
+
+/**
+ * Get the current UTC day as YYYY-MM-DD
+ * @returns {string} Day key
+ */
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Get the absolute path of the risk state file
+ * @returns {string} File path
+ */
+function stateFilePath() {
+  return path.resolve(__dirname, config.RISK_STATE_FILE);
+}
+
+/**
+ * Persist the risk state to disk
+ */
+function saveState() {
+  try {
+    fs.writeFileSync(stateFilePath(), JSON.stringify(state, null, 2));
+  } catch (error) {
+    log.error("Failed to save risk state", { error });
+  }
+}
+
+/**
+ * Load the persisted risk state (a halt stays in effect across restarts)
+ * @returns {Object} Risk state
+ */
+function loadRiskState() {
+  try {
+    if (fs.existsSync(stateFilePath())) {
+      state = { ...defaultState(), ...JSON.parse(fs.readFileSync(stateFilePath(), "utf8")) };
+    }
+  } catch (error) {
+    log.error("Failed to load risk state", { error });
+  }
+
+  rollDay();
+
+  if (state.halted) {
+    log.warn("Trading is halted, re-arm it through the control API (POST /api/rearm) or with `npm run rearm` while the bot is stopped", {
+      haltedAt: new Date(state.haltedAt).toISOString(),
+      reason: state.haltReason
+    });
+  }
+
+  return state;
+}
+
+/**
+ * Reset the daily counters when the UTC day changes
+ */
+function rollDay() {
+  const today = currentDay();
+  if (state.day !== today) {
+    state.day = today;
+    state.dailyPnl = 0;
+    saveState();
+  }
+}
+
+/**
+ * Halt new entries until manually re-armed
+ * Emits "halted" so the caller can flatten positions if RISK_FLATTEN_ON_HALT is set.
+ * @param {string} reason - Why trading was halted
+ */
+function halt(reason) {
+  if (state.halted) {
+    return;
+  }
+
+  state.halted = true;
+  state.haltReason = reason;
+  state.haltedAt = Date.now();
+  saveState();
+
+  log.error("Trading halted", { reason });
+  riskEmitter.emit("halted", { reason, flatten: config.RISK_FLATTEN_ON_HALT, timestamp: state.haltedAt });
+}
+
+/**
+ * Re-arm trading after a halt and reset the loss streak
+ * @returns {Object} Risk state after re-arming
+ */
+function rearm() {
+  state.halted = false;
+  state.haltReason = null;
+  state.haltedAt = null;
+  state.consecutiveLosses = 0;
+  saveState();
+
+  log.info("Risk manager re-armed, new entries are allowed");
+  riskEmitter.emit("rearmed");
+  return getRiskState();
+}
+
+/**
+ * Check whether a new entry is allowed
+ * Daily loss, consecutive losses, leverage and trade frequency breaches halt trading;
+ * the open notional limit only blocks entries that would exceed it.
+ * @param {Object} context - Entry context
+ * @param {number} context.openNotional - Notional of currently open positions in USDT
+ * @param {number|string} context.leverage - Leverage the entry would use
+ * @returns {Object} { allowed, reason, maxNotional } - maxNotional is the room left under MAX_OPEN_NOTIONAL
+ */
+function checkEntry({ openNotional = 0, leverage = config.LEVERAGE } = {}) {
+  rollDay();
+
+  const now = Date.now();
+  state.tradeTimestamps = state.tradeTimestamps.filter(timestamp => now - timestamp < ONE_HOUR);
+
+  if (!state.halted) {
+    if (config.MAX_DAILY_LOSS && state.dailyPnl <= -config.MAX_DAILY_LOSS) {
+      halt(`Daily loss of ${(-state.dailyPnl).toFixed(2)} USDT reached the ${config.MAX_DAILY_LOSS} USDT limit`);
+    } else if (config.MAX_CONSECUTIVE_LOSSES && state.consecutiveLosses >= config.MAX_CONSECUTIVE_LOSSES) {
+      halt(`${state.consecutiveLosses} consecutive losses reached the limit of ${config.MAX_CONSECUTIVE_LOSSES}`);
+    } else if (config.MAX_LEVERAGE && parseFloat(leverage) > config.MAX_LEVERAGE) {
+      halt(`Leverage ${leverage}x exceeds the maximum of ${config.MAX_LEVERAGE}x`);
+    } else if (config.MAX_TRADES_PER_HOUR && state.tradeTimestamps.length >= config.MAX_TRADES_PER_HOUR) {
+      halt(`${state.tradeTimestamps.length} trades in the last hour reached the limit of ${config.MAX_TRADES_PER_HOUR}`);
+    }
+  }
+
+  if (state.halted) {
+    return { allowed: false, reason: `Trading halted: ${state.haltReason}`, maxNotional: 0 };
+  }
+
+  if (config.MAX_OPEN_NOTIONAL) {
+    const maxNotional = config.MAX_OPEN_NOTIONAL - openNotional;
+    if (maxNotional <= 0) {
+      return { allowed: false, reason: `Open notional ${openNotional.toFixed(2)} USDT is at the ${config.MAX_OPEN_NOTIONAL} USDT limit`, maxNotional: 0 };
+    }
+    return { allowed: true, reason: null, maxNotional };
+  }
+
+  return { allowed: true, reason: null, maxNotional: Infinity };
+}
+
+/**
+ * Record that a new entry was placed (for the trades-per-hour limit)
+ */
+function recordEntry() {
+  state.tradeTimestamps.push(Date.now());
+  saveState();
+}
+
+/**
+ * Record the realized result of a closed trade
+ * @param {number} pnl - Realized PnL in USDT, including fees
+ */
+function recordTradeResult(pnl) {
+  rollDay();
+
+  state.dailyPnl += pnl;
+  state.consecutiveLosses = pnl < 0 ? state.consecutiveLosses + 1 : 0;
+  saveState();
+
+  log.info("Trade result recorded", { pnl, dailyPnl: state.dailyPnl, consecutiveLosses: state.consecutiveLosses });
+
+  // Halt right away rather than on the next signal
+  checkEntry();
+}
+
+/**
+ * Get a copy of the current risk state
+ * @returns {Object} Risk state
+ */
+function getRiskState() {
+  return { ...state, tradeTimestamps: state.tradeTimestamps.slice() };
+}
+
+if (require.main === module) {
+  loadRiskState();
+
+  if (process.argv.includes("--rearm")) {
+    rearm();
+    console.log("Re-armed. A running bot keeps its halt and writes it back; re-arm it with POST /api/rearm instead.");
+  } else {
+    console.log(JSON.stringify(getRiskState(), null, 2));
+  }
+}
+
+module.exports = {
+  riskEmitter,
+  loadRiskState,
+  checkEntry,
+  recordEntry,
+  recordTradeResult,
+  halt,
+  rearm,
+  getRiskState
+};
@@ -0,0 +1,134 @@
+/**
+ * Position sizing for OKX Scalping Bot
+ * Sizes entries by a percentage of balance, by the risk to the stop, or by ATR volatility
+ */
+const config = require("./config");
+const { notionalToContracts } = require("./instruments");
+const { createLogger } = require("./logger");
+
+const log = createLogger("sizing");
+
+const SIZING_MODES = ["balance_percentage", "risk", "volatility"];
+
+/**
+ * Calculate the size of a new position
+ *
+ * - balance_percentage: notional = USE_PERCENTAGE_OF_BALANCE % of available balance
+ * - risk: lose RISK_PER_TRADE_PERCENTAGE % of equity if the stop is hit
+ * - volatility: a 1 x ATR move changes equity by VOLATILITY_TARGET_PERCENTAGE %
+ *
+ * The notional is then capped by MAX_NOTIONAL, the instrument's share of equity
+ * (MARGIN_ALLOCATION_PERCENTAGE x leverage), the optional maxNotional input and
+ * by available margin x leverage.
+ * Every decision is logged with its inputs.
+ *
+ * @param {Object} inputs - Sizing inputs
+ * @param {number} inputs.equity - Account equity in quote currency
+ * @param {number} inputs.available - Available balance (margin) in quote currency
+ * @param {number} inputs.entryPrice - Expected entry price
+ * @param {number} inputs.stopLoss - Initial stop-loss price
+ * @param {number} inputs.atr - Current ATR (volatility mode)
+ * @param {number} inputs.leverage - Leverage multiplier
+ * @param {Object} inputs.instrument - Instrument metadata; when omitted the size is returned in base units only
+ * @param {string} inputs.mode - Sizing mode (defaults to config.SIZING_MODE)
+ * @param {number} inputs.maxNotional - Additional notional cap (e.g. room left under the risk manager's open notional limit)
+ * @param {Object} inputs.settings - Settings to size with (defaults to config; pass an instrument's settings)
+ * @returns {Object} { contracts, quantity, notional, margin, mode, cappedBy, inputs }
+ * @throws {Error} If the mode is unknown or the size falls below the instrument minimum
+ */
+function calculatePositionSize(inputs) {
+  const settings = inputs.settings || config;
+  const mode = inputs.mode || settings.SIZING_MODE;
+  const { equity, available, entryPrice, stopLoss, atr, instrument } = inputs;
+  const leverage = parseFloat(inputs.leverage || settings.LEVERAGE);
+
+  if (!SIZING_MODES.includes(mode)) {
+    throw new Error(`Unknown sizing mode: ${mode}`);
+  }
+
+  let notional;
+  let effectiveMode = mode;
+  const stopDistance = Math.abs(entryPrice - stopLoss);
+
+  if (mode === "risk" && stopDistance > 0) {
+    const riskAmount = equity * (settings.RISK_PER_TRADE_PERCENTAGE / 100);
+    notional = (riskAmount / stopDistance) * entryPrice;
+  } else if (mode === "volatility" && atr > 0) {
+    const targetMove = equity * (settings.VOLATILITY_TARGET_PERCENTAGE / 100);
+    notional = (targetMove / atr) * entryPrice;
+  } else {
+    if (mode !== "balance_percentage") {
+      log.warn("Sizing mode unavailable, using a percentage of balance", {
+        mode,
+        missing: mode === "risk" ? "stop distance" : "ATR",
+        balancePercentage: settings.USE_PERCENTAGE_OF_BALANCE
+      });
+    }
+    effectiveMode = "balance_percentage";
+    notional = available * (settings.USE_PERCENTAGE_OF_BALANCE / 100);
+  }
+
+  // Caps: configured max notional and what the available margin can carry at this leverage
+  let cappedBy = null;
+  if (settings.MAX_NOTIONAL && notional > settings.MAX_NOTIONAL) {
+    notional = settings.MAX_NOTIONAL;
+    cappedBy = "max_notional";
+  }
+  const allocation = settings.MARGIN_ALLOCATION_PERCENTAGE;
+  if (allocation && notional > equity * (allocation / 100) * leverage) {
+    notional = equity * (allocation / 100) * leverage;
+    cappedBy = "margin_allocation";
+  }
+  if (inputs.maxNotional !== undefined && notional > inputs.maxNotional) {
+    notional = inputs.maxNotional;
+    cappedBy = "max_open_notional";
+  }
+  const marginCapacity = available * leverage;
+  if (notional > marginCapacity) {
+    notional = marginCapacity;
+    cappedBy = "available_margin";
+  }
+
+  const quantity = notional / entryPrice;
+  const contracts = instrument ? notionalToContracts(instrument, notional, entryPrice) : null;
+
+  const decision = {
+    contracts,
+    quantity,
+    notional,
+    margin: notional / leverage,
+    mode: effectiveMode,
+    cappedBy,
+    inputs: {
+      equity,
+      available,
+      entryPrice,
+      stopLoss,
+      stopDistance,
+      atr: atr || null,
+      leverage,
+      ctVal: instrument ? instrument.ctVal * instrument.ctMult : null,
+      riskPercentage: settings.RISK_PER_TRADE_PERCENTAGE,
+      volatilityTargetPercentage: settings.VOLATILITY_TARGET_PERCENTAGE,
+      balancePercentage: settings.USE_PERCENTAGE_OF_BALANCE,
+      maxNotional: settings.MAX_NOTIONAL,
+      marginAllocationPercentage: allocation || null
+    }
+  };
+
+  log.info("Position sized", {
+    mode: effectiveMode,
+    notional,
+    margin: decision.margin,
+    cappedBy,
+    contracts,
+    quantity,
+    ...decision.inputs
+  });
+
+  return decision;
+}
+
+module.exports = {
+  calculatePositionSize
+};
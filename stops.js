@@ -0,0 +1,111 @@
+/**
+ * Stop-loss and take-profit calculation for OKX Scalping Bot
+ * Supports fixed percentage, ATR, Supertrend-band and trailing stops, and
+ * take-profit as a percentage or an R-multiple of the initial risk
+ */
+const config = require("./config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("stops");
+
+const STOP_MODES = ["percentage", "atr", "supertrend", "trailing"];
+const TAKE_PROFIT_MODES = ["percentage", "r_multiple"];
+
+/**
+ * Get the stop settings for a strategy (global defaults overridden by STOP_SETTINGS[strategy])
+ * @param {string} strategy - Strategy name
+ * @param {Object} base - Settings to read the defaults from (e.g. an instrument's settings)
+ * @returns {Object} Stop settings
+ */
+function getStopSettings(strategy = config.STRATEGY, base = config) {
+  const settings = {
+    STOP_MODE: "percentage",
+    TAKE_PROFIT_MODE: "percentage",
+    STOP_LOSS_PERCENTAGE: base.STOP_LOSS_PERCENTAGE,
+    TAKE_PROFIT_PERCENTAGE: base.TAKE_PROFIT_PERCENTAGE,
+    ATR_MULTIPLIER: base.ATR_MULTIPLIER,
+    TRAILING_CALLBACK_PERCENTAGE: base.TRAILING_CALLBACK_PERCENTAGE,
+    TAKE_PROFIT_R: base.TAKE_PROFIT_R,
+    ...((base.STOP_SETTINGS && base.STOP_SETTINGS[strategy]) || {})
+  };
+
+  if (!STOP_MODES.includes(settings.STOP_MODE)) {
+    throw new Error(`Unknown stop mode for ${strategy}: ${settings.STOP_MODE}`);
+  }
+  if (!TAKE_PROFIT_MODES.includes(settings.TAKE_PROFIT_MODE)) {
+    throw new Error(`Unknown take-profit mode for ${strategy}: ${settings.TAKE_PROFIT_MODE}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Calculate stop-loss and take-profit levels for a new position
+ * Stop/target prices supplied by the strategy take precedence. Otherwise falls
+ * back to the percentage stop when the indicator needed by the selected mode is
+ * missing or would put the stop on the wrong side of the entry.
+ * @param {string} side - "long" or "short"
+ * @param {number} entryPrice - Expected entry price
+ * @param {Object} indicators - Indicator values from the signal (atr, supertrendUpper, supertrendLower)
+ * @param {Object} settings - Stop settings from getStopSettings
+ * @param {Object} levels - Absolute stop/target prices supplied by the strategy ({ stop, target }), used when valid
+ * @returns {Object} { stopLoss, takeProfit, risk, stopMode, trailing } - trailing is { callbackRatio } or null
+ */
+function calculateExitLevels(side, entryPrice, indicators = {}, settings = getStopSettings(), levels = {}) {
+  const direction = side === "long" ? 1 : -1;
+  let stopMode = settings.STOP_MODE;
+  let stopLoss = null;
+  let trailing = null;
+
+  if (levels.stop > 0 && (levels.stop - entryPrice) * direction < 0) {
+    stopMode = "strategy";
+    stopLoss = levels.stop;
+  } else if (stopMode === "atr") {
+    if (indicators.atr > 0) {
+      stopLoss = entryPrice - direction * settings.ATR_MULTIPLIER * indicators.atr;
+    }
+  } else if (stopMode === "supertrend") {
+    const band = side === "long" ? indicators.supertrendLower : indicators.supertrendUpper;
+    if (band > 0) {
+      stopLoss = band;
+    }
+  } else if (stopMode === "trailing") {
+    const callbackRatio = settings.TRAILING_CALLBACK_PERCENTAGE / 100;
+    stopLoss = entryPrice * (1 - direction * callbackRatio);
+    trailing = { callbackRatio };
+  }
+
+  // Stop must be on the losing side of the entry
+  if (stopLoss === null || (stopLoss - entryPrice) * direction >= 0) {
+    if (stopMode !== "percentage") {
+      log.warn("Stop mode unavailable for this entry, falling back to a percentage stop", { stopMode, stopLossPercentage: settings.STOP_LOSS_PERCENTAGE });
+    }
+    stopMode = "percentage";
+    trailing = null;
+    stopLoss = entryPrice * (1 - direction * settings.STOP_LOSS_PERCENTAGE / 100);
+  }
+
+  const risk = Math.abs(entryPrice - stopLoss);
+
+  let takeProfit;
+  if (levels.target > 0 && (levels.target - entryPrice) * direction > 0) {
+    takeProfit = levels.target;
+  } else if (settings.TAKE_PROFIT_MODE === "r_multiple") {
+    takeProfit = entryPrice + direction * settings.TAKE_PROFIT_R * risk;
+  } else {
+    takeProfit = entryPrice * (1 + direction * settings.TAKE_PROFIT_PERCENTAGE / 100);
+  }
+
+  return {
+    stopLoss,
+    takeProfit,
+    risk,
+    stopMode,
+    trailing
+  };
+}
+
+module.exports = {
+  getStopSettings,
+  calculateExitLevels
+};
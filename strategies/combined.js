@@ -0,0 +1,62 @@
+/**
+ * Combined strategy (Trend Line & Supertrend)
+ * Enters when the TrendLine/BB trend and the Supertrend agree and exits when
+ * the trend line turns against the open position
+ */
+module.exports = {
+  name: "COMBINED",
+
+  /**
+   * Number of closed candles needed before onCandle is called
+   * @param {Object} config - Bot configuration
+   * @returns {number} Required history length
+   */
+  getRequiredHistory(config) {
+    return Math.max(config.BB_LENGTH, config.ST_PERIOD + 1, config.TLBB_FRACTALS_PERIOD);
+  },
+
+  /**
+   * Evaluate the latest candle
+   * @param {Object} context - Strategy context (price, position, state, config, indicators)
+   * @returns {Object|null} Signal or null
+   */
+  onCandle({ price, position, config, indicators }) {
+    // Calculate TrendLine BB
+    const tl = indicators.get("trendline", config.TLBB_FRACTALS_PERIOD, config.BB_LENGTH, config.BB_DEVIATION).value;
+
+    // Calculate Supertrend
+    const st = indicators.get("supertrend", config.ST_PERIOD, config.ST_MULTIPLIER).value;
+
+    if (!tl || !st) {
+      return null;
+    }
+
+    // Check for trade conditions
+    if (tl.trend.includes("bullish") && st.trend === "up") {
+      if (position.side !== "long") {
+        // Buy signal when both indicators are bullish
+        return { action: "BUY", entry: price, stop: null, target: null, reason: `TrendLine ${tl.trend} and Supertrend up` };
+      }
+    } else if (tl.trend.includes("bearish") && st.trend === "down") {
+      if (position.side !== "short") {
+        // Sell signal when both indicators are bearish
+        return { action: "SELL", entry: price, stop: null, target: null, reason: `TrendLine ${tl.trend} and Supertrend down` };
+      }
+    } else if (
+      (tl.trend.includes("bearish") && position.side === "long") ||
+      (tl.trend.includes("bullish") && position.side === "short")
+    ) {
+      // Close (without reversing) when the trend changes against our position
+      return {
+        action: position.side === "long" ? "SELL" : "BUY",
+        entry: price,
+        stop: null,
+        target: null,
+        reason: `TrendLine turned ${tl.trend} against ${position.side} position`,
+        intent: "close"
+      };
+    }
+
+    return null;
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * EMA crossover strategy
+ * Buys when the short EMA crosses above the long EMA and sells on the opposite cross.
+ * With EMA_TREND_TIMEFRAME set, crosses against that timeframe's Supertrend trend are ignored.
+ * That Supertrend comes from the timeframe's indicator engine, which advances when one of its candles closes.
+ */
+module.exports = {
+  name: "EMA",
+
+  /**
+   * Number of closed candles needed before onCandle is called
+   * @param {Object} config - Bot configuration
+   * @returns {number} Required history length
+   */
+  getRequiredHistory(config) {
+    return config.EMA_LONG_PERIOD + 1;
+  },
+
+  /**
+   * Additional timeframes used to confirm entries
+   * @param {Object} config - Bot configuration
+   * @returns {Array} Timeframes
+   */
+  getTimeframes(config) {
+    return config.EMA_TREND_TIMEFRAME ? [config.EMA_TREND_TIMEFRAME] : [];
+  },
+
+  /**
+   * Evaluate the latest candle
+   * @param {Object} context - Strategy context (price, position, state, config, indicators, timeframeIndicators)
+   * @returns {Object|null} Signal or null
+   */
+  onCandle({ price, config, indicators, timeframeIndicators }) {
+    const emaShort = indicators.get("ema", config.EMA_SHORT_PERIOD);
+    const emaLong = indicators.get("ema", config.EMA_LONG_PERIOD);
+
+    // A crossover needs both EMAs on the previous and the latest candle
+    if (emaShort.previous === null || emaLong.previous === null) {
+      return null;
+    }
+
+    // Check for crossover
+    const previousEmaShort = emaShort.previous;
+    const previousEmaLong = emaLong.previous;
+    const currentEmaShort = emaShort.value;
+    const currentEmaLong = emaLong.value;
+
+    // Higher timeframe trend filter
+    let trend = null;
+    if (config.EMA_TREND_TIMEFRAME) {
+      const trendIndicators = timeframeIndicators[config.EMA_TREND_TIMEFRAME];
+      const st = trendIndicators && trendIndicators.get("supertrend", config.ST_PERIOD, config.ST_MULTIPLIER).value;
+      if (!st) {
+        return null;
+      }
+      trend = st.trend;
+    }
+
+    // Generate signal on crossover
+    if (previousEmaShort < previousEmaLong && currentEmaShort > currentEmaLong && trend !== "down") {
+      // Buy signal - short EMA crosses above long EMA
+      return { action: "BUY", entry: price, stop: null, target: null, reason: "EMA bullish crossover" };
+    }
+
+    if (previousEmaShort > previousEmaLong && currentEmaShort < currentEmaLong && trend !== "up") {
+      // Sell signal - short EMA crosses below long EMA
+      return { action: "SELL", entry: price, stop: null, target: null, reason: "EMA bearish crossover" };
+    }
+
+    return null;
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * Strategy registry for OKX Scalping Bot
+ *
+ * Every file in this directory (other than this one) is a strategy, loaded by
+ * name: config.STRATEGY "COMBINED" loads strategies/combined.js. A strategy exports:
+ *
+ *   name                         - Strategy name
+ *   getRequiredHistory(config)   - Closed candles needed before onCandle is called
+ *   onCandle(context)            - Returns a signal or null
+ *   createState()                - Optional, initial value of context.state
+ *   getTimeframes(config)        - Optional, additional timeframes to receive, e.g. ["4H"]
+ *   onOrderBook(context)         - Optional, runs on order book updates (ORDER_BOOK_CHANNEL)
+ *   onTrade(context)             - Optional, runs on every public trade (TRADES_FEED)
+ *
+ * The context passed to onCandle is { instId, candles, timeframes, price, position, state, config, indicators,
+ * timeframeIndicators, orderBook, tradeFlow }
+ * where position is { side: "long" | "short" | null } and timeframes holds the closed
+ * candles of config.TIMEFRAME and of every timeframe from getTimeframes, keyed as declared.
+ * Only candles that closed no later than the latest candle in candles are included.
+ * indicators is the instrument's indicator engine (see indicator-engine.js): streaming
+ * indicators over candles, shared by every user, e.g. indicators.get("ema", 9).value.
+ * timeframeIndicators holds an indicator engine per timeframe, keyed like timeframes, fed
+ * with the same closed candles (for config.TIMEFRAME it is indicators).
+ * orderBook holds the latest book features and tradeFlow the taker volume of the last
+ * TRADE_FLOW_WINDOW (see order-book.js); both are null unless the feeds are enabled.
+ * onOrderBook and onTrade get the same context with price set to the book's mid price
+ * or the trade price, and onTrade also gets the trade.
+ *
+ * A signal is { action: "BUY" | "SELL", entry, stop, target, reason, intent, fraction }.
+ * stop and target are absolute prices; leave them null to use the strategy's STOP_SETTINGS.
+ * intent says what the signal does with the position:
+ *   "open"    - open a position on the action's side (skipped while any position is open)
+ *   "close"   - close the position on the other side, without opening a new one
+ *   "reduce"  - close `fraction` (between 0 and 1) of the position on the other side
+ *   "reverse" - close the position on the other side, then open one on the action's side
+ * Without an intent, a signal opens a position, or reverses the open one when that is
+ * on the other side.
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * List the names of the available strategies
+ * @returns {Array} Strategy names (upper case, as used in config.STRATEGY)
+ */
+function listStrategies() {
+  return fs.readdirSync(__dirname)
+    .filter(file => file.endsWith(".js") && file !== "index.js")
+    .map(file => path.basename(file, ".js").toUpperCase());
+}
+
+/**
+ * Load a strategy by name and check that it implements the interface
+ * @param {string} name - Strategy name (case-insensitive)
+ * @returns {Object} Strategy module
+ * @throws {Error} If the strategy does not exist or is incomplete
+ */
+function loadStrategy(name) {
+  const fileName = String(name).toLowerCase();
+
+  if (!listStrategies().includes(fileName.toUpperCase())) {
+    throw new Error(`Unknown strategy: ${name} (available: ${listStrategies().join(", ")})`);
+  }
+
+  const strategy = require(path.join(__dirname, fileName));
+
+  if (typeof strategy.onCandle !== "function" || typeof strategy.getRequiredHistory !== "function") {
+    throw new Error(`Strategy ${name} must export onCandle(context) and getRequiredHistory(config)`);
+  }
+
+  return strategy;
+}
+
+module.exports = {
+  listStrategies,
+  loadStrategy
+};
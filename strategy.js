@@ -1,26 +1,73 @@
 /**
  * Strategy module for OKX Scalping Bot
- * Implements technical analysis strategies for trading signals
+ * Runs the configured strategy from strategies/ on candle data and emits trading signals
  */
 const { marketDataEmitter } = require("./okx-client");
 const config = require("./config");
-const ta = require("ta.js");
 const EventEmitter = require("events");
+const { loadStrategy } = require("./strategies");
+const { getInstrumentIds, getInstrumentConfig, getInstrumentTimeframes } = require("./portfolio");
+const { timeframeToMs, toOkxBar } = require("./utils");
+const { createLogger, createCorrelationId } = require("./logger");
+const { createIndicatorEngine } = require("./indicator-engine");
+const {
+  calculateBollingerBands,
+  calculateATR,
+  calculateSupertrend,
+  calculateTrendLine
+} = require("./indicators");
+
+const log = createLogger("strategy");
 
 // Create signal emitter
 class SignalEmitter extends EventEmitter {}
 const signalEmitter = new SignalEmitter();
 
-// Store price history
-let priceHistory = [];
-let ohlcHistory = [];
+// One runner per instrument, keyed by instId
+const runners = new Map();
+
+// What a signal does with the position (see resolveIntent)
+const SIGNAL_INTENTS = ["open", "close", "reduce", "reverse"];
+
+/**
+ * Get the runner of an instrument, creating it on first use
+ * A runner holds the instrument's settings, price and candle history, position side,
+ * strategy and the strategy's private state, so instruments never share state.
+ * The runner's indicator engine follows the signal timeframe candle by candle and
+ * shares streaming indicators between the strategy, its stops and status reports.
+ * Candles of the additional timeframes a strategy declares are kept in
+ * timeframeHistories, keyed by OKX bar, and only serve as context for the signal timeframe.
+ * @param {string} instId - Instrument ID
+ * @returns {Object} Runner
+ */
+function getRunner(instId = config.TRADING_PAIR) {
+  let runner = runners.get(instId);
 
-// Track last processed candle timestamp
-let lastCandleTimestamp = 0;
+  if (!runner) {
+    const settings = getInstrumentConfig(instId);
+    runner = {
+      instId,
+      config: settings,
+      timeframe: toOkxBar(settings.TIMEFRAME),
+      priceHistory: [],
+      ohlcHistory: [],
+      lastCandleTimestamp: 0,
+      timeframeHistories: new Map(),
+      positionSide: null, // "long" or "short"
+      strategy: null,
+      strategyState: {},
+      lastSignal: null,
+      indicators: null, // Status indicator values, cached per closed candle
+      engine: null,
+      orderBook: null, // Latest order book features (ORDER_BOOK_CHANNEL)
+      tradeFlow: null // Latest trade flow (TRADES_FEED)
+    };
+    runner.engine = createIndicatorEngine(() => runner.ohlcHistory);
+    runners.set(instId, runner);
+  }
 
-// Track bot state for signal generation
-let inPosition = false;
-let positionType = null; // "long" or "short"
+  return runner;
+}
 
 // Validate configuration
 function validateConfig() {
@@ -30,333 +77,580 @@ function validateConfig() {
     "TLBB_FRACTALS_PERIOD", "BB_LENGTH", "BB_DEVIATION",
     "ST_PERIOD", "ST_MULTIPLIER"
   ];
-  
-  const missingConfigs = requiredConfigs.filter(key => typeof config[key] === "undefined");
-  
-  if (missingConfigs.length > 0) {
-    throw new Error(`Missing required config parameters: ${missingConfigs.join(", ")}`);
+
+  for (const instId of getInstrumentIds()) {
+    const runner = getRunner(instId);
+
+    // Fails fast on an unknown or incomplete strategy
+    getActiveStrategy(runner);
+
+    for (const bar of getInstrumentTimeframes(instId).slice(1)) {
+      getTimeframeHistory(runner, bar);
+    }
+    
+    const missingConfigs = requiredConfigs.filter(key => typeof runner.config[key] === "undefined");
+    
+    if (missingConfigs.length > 0) {
+      throw new Error(`Missing required config parameters for ${instId}: ${missingConfigs.join(", ")}`);
+    }
   }
   
-  console.log("✅ Configuration validated successfully");
+  log.info("Configuration validated successfully");
 }
 
 /**
- * Calculate Bollinger Bands
- * @param {Array} prices - Array of price objects with close property
- * @param {number} length - Bollinger Band length
- * @param {number} deviation - Standard deviation multiplier
- * @returns {Object} Bollinger Bands (upper, middle, lower)
+ * Get the strategy selected by the runner's STRATEGY setting, loading it on first use
+ * @param {Object} runner - Instrument runner
+ * @returns {Object} Strategy module
  */
-function calculateBollingerBands(prices, length = config.BB_LENGTH, deviation = config.BB_DEVIATION) {
-  if (prices.length < length) {
-    return null;
+function getActiveStrategy(runner) {
+  const name = runner.config.STRATEGY;
+  if (!runner.strategy || runner.strategy.name.toUpperCase() !== String(name).toUpperCase()) {
+    runner.strategy = loadStrategy(name);
+    runner.strategyState = runner.strategy.createState ? runner.strategy.createState() : {};
   }
+  return runner.strategy;
+}
+
+/**
+ * Handle market data updates and generate signals
+ * @param {Object} marketData - Market data object
+ */
+function handleMarketData(marketData) {
+  const runner = getRunner(marketData.instId);
+
+  // Add price to history
+  runner.priceHistory.push(marketData);
   
+  // Memory management - limit history size
+  if (runner.priceHistory.length > runner.config.MAX_PRICE_HISTORY) {
+    runner.priceHistory = runner.priceHistory.slice(-runner.config.MAX_PRICE_HISTORY);
+  }
+}
+
+/**
+ * Handle order book features and run the strategy's onOrderBook, if it has one
+ * @param {Object} book - Order book features (see order-book.js) with instId and tradeFlow
+ */
+function handleOrderBook(book) {
   try {
-    const closePrices = prices.map(candle => candle.close);
-    const sma = ta.sma(closePrices, length);
-    const stdDev = ta.stdev(closePrices, length);
-    
-    return {
-      upper: sma + (stdDev * deviation),
-      middle: sma,
-      lower: sma - (stdDev * deviation)
-    };
+    const runner = getRunner(book.instId);
+    runner.orderBook = book;
+    if (book.tradeFlow) {
+      runner.tradeFlow = book.tradeFlow;
+    }
+
+    if (hasEnoughHistory(runner, runner.ohlcHistory)) {
+      generateSignal(runner, runner.ohlcHistory, "onOrderBook", { price: book.mid });
+    }
   } catch (error) {
-    console.error("❌ Error calculating Bollinger Bands:", error.message);
-    return null;
+    log.error("Error processing order book", { instId: book.instId, error });
   }
 }
 
 /**
- * Calculate Supertrend indicator
- * @param {Array} candles - Array of OHLC candles
- * @param {number} period - ATR period
- * @param {number} multiplier - ATR multiplier
- * @returns {Object} Supertrend indicator values
+ * Handle a public trade and run the strategy's onTrade, if it has one
+ * @param {Object} trade - Trade { instId, tradeId, price, size, side, timestamp, tradeFlow }
  */
-function calculateSupertrend(candles, period = config.ST_PERIOD, multiplier = config.ST_MULTIPLIER) {
-  if (candles.length < period) {
-    return null;
-  }
-  
+function handleTrade(trade) {
   try {
-    // Calculate ATR
-    const highs = candles.map(candle => candle.high);
-    const lows = candles.map(candle => candle.low);
-    const closes = candles.map(candle => candle.close);
-    
-    // Calculate ATR using ta.js
-    const atr = ta.atr(highs, lows, closes, period);
-    
-    // Calculate basic upper and lower bands
-    const upperBand = (highs[highs.length-1] + lows[lows.length-1]) / 2 + (multiplier * atr);
-    const lowerBand = (highs[highs.length-1] + lows[lows.length-1]) / 2 - (multiplier * atr);
-    
-    // Determine trend direction based on previous close and current bands
-    const previousClose = closes[closes.length-2];
-    const currentClose = closes[closes.length-1];
-    
-    let trend;
-    if (currentClose > upperBand) {
-      trend = "up";
-    } else if (currentClose < lowerBand) {
-      trend = "down";
-    } else {
-      // Maintain previous trend
-      if (previousClose > upperBand) {
-        trend = "up";
-      } else if (previousClose < lowerBand) {
-        trend = "down";
-      } else {
-        trend = "neutral";
-      }
+    const runner = getRunner(trade.instId);
+    runner.tradeFlow = trade.tradeFlow;
+
+    if (hasEnoughHistory(runner, runner.ohlcHistory)) {
+      generateSignal(runner, runner.ohlcHistory, "onTrade", { price: trade.price, trade });
     }
-    
-    return {
-      trend,
-      atr,
-      upperBand,
-      lowerBand
-    };
   } catch (error) {
-    console.error("❌ Error calculating Supertrend:", error.message);
-    return null;
+    log.error("Error processing trade", { instId: trade.instId, error });
   }
 }
 
 /**
- * Calculate TrendLine Indicator based on price action and Bollinger Bands
- * @param {Array} candles - Array of OHLC candles
- * @returns {Object} TrendLine indicator values
+ * Reset all strategy state (price history, candle tracking, position and strategy state)
+ * of every instrument
  */
-function calculateTrendLine(candles) {
-  if (candles.length < config.TLBB_FRACTALS_PERIOD) {
+function resetStrategy() {
+  runners.clear();
+}
+
+/**
+ * Apply reloaded settings to every instrument runner
+ * The signal timeframe of a runner is fixed at startup; a changed STRATEGY is loaded
+ * on the next candle.
+ */
+function refreshConfig() {
+  for (const runner of runners.values()) {
+    runner.config = getInstrumentConfig(runner.instId);
+    runner.indicators = null;
+    runner.engine.clear();
+    for (const history of runner.timeframeHistories.values()) {
+      history.engine.clear();
+    }
+  }
+}
+
+/**
+ * Drop the per-candle series (and fractal lists) from an indicator result
+ * Status snapshots are pushed to dashboards every second and only need the latest values.
+ * @param {Object|null} indicator - Indicator result
+ * @returns {Object|null} Latest values
+ */
+function withoutSeries(indicator) {
+  if (!indicator) {
     return null;
   }
-  
-  try {
-    const prices = candles.map(candle => candle.close);
-    
-    // Calculate Bollinger Bands
-    const bb = calculateBollingerBands(candles);
-    if (!bb) return null;
-    
-    // Find recent swing points (simple implementation)
-    const swingHigh = Math.max(...prices.slice(-config.TLBB_FRACTALS_PERIOD));
-    const swingLow = Math.min(...prices.slice(-config.TLBB_FRACTALS_PERIOD));
-    
-    // Determine trend based on price position relative to BB
-    const currentPrice = prices[prices.length-1];
-    let trend;
-    
-    if (currentPrice > bb.upper) {
-      trend = "strongly_bullish";
-    } else if (currentPrice < bb.lower) {
-      trend = "strongly_bearish";
-    } else if (currentPrice > bb.middle) {
-      trend = "moderately_bullish";
-    } else {
-      trend = "moderately_bearish";
-    }
-    
-    return {
-      trend,
-      swingHigh,
-      swingLow,
-      bb
+  const { series, fractals, ...latest } = indicator;
+  return latest;
+}
+
+/**
+ * Get a snapshot of an instrument's strategy state for status reporting
+ * TrendLine and Supertrend values are calculated from the closed candle history
+ * and cached until the next candle closes.
+ * @param {string} instId - Instrument ID
+ * @returns {Object} { instId, timeframe, strategy, candles, lastCandle, price, indicators, lastSignal }
+ */
+function getStrategyStatus(instId = config.TRADING_PAIR) {
+  const runner = getRunner(instId);
+  const candles = runner.ohlcHistory;
+  const lastTick = runner.priceHistory[runner.priceHistory.length - 1];
+
+  if (!runner.indicators || runner.indicators.timestamp !== runner.lastCandleTimestamp) {
+    runner.indicators = {
+      timestamp: runner.lastCandleTimestamp,
+      trendLine: withoutSeries(candles.length ? calculateTrendLine(candles, runner.config.TLBB_FRACTALS_PERIOD, runner.config.BB_LENGTH, runner.config.BB_DEVIATION) : null),
+      supertrend: withoutSeries(candles.length ? calculateSupertrend(candles, runner.config.ST_PERIOD, runner.config.ST_MULTIPLIER) : null)
     };
-  } catch (error) {
-    console.error("❌ Error calculating TrendLine:", error.message);
-    return null;
   }
+
+  return {
+    instId,
+    timeframe: runner.timeframe,
+    strategy: runner.config.STRATEGY,
+    candles: candles.length,
+    lastCandle: candles.length ? candles[candles.length - 1] : null,
+    price: lastTick ? lastTick.price : null,
+    orderBook: runner.orderBook,
+    tradeFlow: runner.tradeFlow,
+    indicators: {
+      trendLine: runner.indicators.trendLine,
+      supertrend: runner.indicators.supertrend
+    },
+    lastSignal: runner.lastSignal
+  };
 }
 
 /**
- * Handle market data updates and generate signals
- * @param {Object} marketData - Market data object
+ * Sync position flags with the actual position on the exchange
+ * Called whenever the position manager reconciles a change (fills, SL/TP triggers,
+ * manual closes, restarts). A flat position resets the strategy's position state.
+ * @param {Object} position - Position record with instId and side ("long", "short" or null)
+ * @param {string} instId - Instrument ID, used when the position record is empty
  */
-function handleMarketData(marketData) {
-  // Add price to history
-  priceHistory.push(marketData);
-  
-  // Memory management - limit history size
-  if (priceHistory.length > config.MAX_PRICE_HISTORY) {
-    priceHistory = priceHistory.slice(-config.MAX_PRICE_HISTORY);
+function syncPosition(position, instId = position && position.instId) {
+  getRunner(instId).positionSide = position && position.side ? position.side : null;
+}
+
+/**
+ * Get the history of an additional timeframe, creating it on first use
+ * The timeframe's indicator engine only sees candles up to committedTimestamp: a candle
+ * is committed once the signal timeframe has reached its close (see getTimeframeContext).
+ * @param {Object} runner - Instrument runner
+ * @param {string} bar - OKX bar string
+ * @returns {Object} { candles, lastCandleTimestamp, committedTimestamp, engine }
+ */
+function getTimeframeHistory(runner, bar) {
+  let history = runner.timeframeHistories.get(bar);
+  if (!history) {
+    history = { candles: [], lastCandleTimestamp: 0, committedTimestamp: 0, engine: null };
+    history.engine = createIndicatorEngine(() => history.candles.filter(candle => candle.timestamp <= history.committedTimestamp));
+    runner.timeframeHistories.set(bar, history);
   }
+  return history;
 }
 
 /**
- * Process candle data and generate signals
+ * Check whether a candle belongs to the runner's signal timeframe
+ * Candles without a timeframe are treated as signal timeframe candles.
+ * @param {Object} runner - Instrument runner
  * @param {Object} candle - Candle data object
+ * @returns {boolean} True for signal timeframe candles
+ */
+function isSignalTimeframe(runner, candle) {
+  return !candle.timeframe || toOkxBar(candle.timeframe) === runner.timeframe;
+}
+
+/**
+ * Merge candles into a history, de-duplicated by timestamp with the new candles taking precedence
+ * @param {Array} history - Existing candles
+ * @param {Array} candles - Candles to merge
+ * @param {number} limit - Maximum history length
+ * @returns {Array} Merged candles sorted by ascending timestamp
+ */
+function mergeCandles(history, candles, limit) {
+  const byTimestamp = new Map(history.map(candle => [candle.timestamp, candle]));
+  for (const candle of candles) {
+    byTimestamp.set(candle.timestamp, candle);
+  }
+
+  return Array.from(byTimestamp.values())
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(-limit);
+}
+
+/**
+ * Merge historical closed candles into the OHLC history (e.g. from a REST backfill)
+ * Candles are de-duplicated by timestamp, with the supplied candles taking precedence.
+ * No signals are generated for backfilled candles.
+ * @param {Array} candles - Closed candles
+ * @param {string} instId - Instrument ID
+ * @param {string} timeframe - Bar size of the candles (defaults to the instrument's TIMEFRAME)
+ * @returns {number} Number of candles in history after the merge
+ */
+function loadHistory(candles, instId = config.TRADING_PAIR, timeframe = null) {
+  const runner = getRunner(instId);
+  const limit = runner.config.MAX_OHLC_HISTORY;
+  const history = timeframe && toOkxBar(timeframe) !== runner.timeframe
+    ? getTimeframeHistory(runner, toOkxBar(timeframe))
+    : null;
+
+  if (history) {
+    history.candles = mergeCandles(history.candles, candles, limit);
+    history.engine.clear();
+    if (history.candles.length) {
+      history.lastCandleTimestamp = Math.max(history.lastCandleTimestamp, history.candles[history.candles.length - 1].timestamp);
+    }
+    return history.candles.length;
+  }
+
+  runner.ohlcHistory = mergeCandles(runner.ohlcHistory, candles, limit);
+  runner.engine.reload();
+
+  if (runner.ohlcHistory.length) {
+    runner.lastCandleTimestamp = Math.max(runner.lastCandleTimestamp, runner.ohlcHistory[runner.ohlcHistory.length - 1].timestamp);
+  }
+
+  return runner.ohlcHistory.length;
+}
+
+/**
+ * Get the timestamp of the latest closed candle in an instrument's history
+ * @param {string} instId - Instrument ID
+ * @param {string} timeframe - Bar size (defaults to the instrument's TIMEFRAME)
+ * @returns {number} Timestamp, or 0 if no candles have been processed
+ */
+function getLastCandleTimestamp(instId = config.TRADING_PAIR, timeframe = null) {
+  const runner = getRunner(instId);
+
+  if (timeframe && toOkxBar(timeframe) !== runner.timeframe) {
+    return getTimeframeHistory(runner, toOkxBar(timeframe)).lastCandleTimestamp;
+  }
+
+  return runner.lastCandleTimestamp;
+}
+
+/**
+ * Store a closed candle of an additional timeframe
+ * @param {Object} runner - Instrument runner
+ * @param {Object} candle - Closed candle
+ */
+function addTimeframeCandle(runner, candle) {
+  const history = getTimeframeHistory(runner, toOkxBar(candle.timeframe));
+
+  if (candle.timestamp <= history.lastCandleTimestamp) {
+    return;
+  }
+
+  history.lastCandleTimestamp = candle.timestamp;
+  history.candles.push(candle);
+
+  if (history.candles.length > runner.config.MAX_OHLC_HISTORY) {
+    history.candles = history.candles.slice(-runner.config.MAX_OHLC_HISTORY);
+  }
+}
+
+/**
+ * Get the candles and indicator engines of every timeframe the strategy uses, as of the
+ * latest signal timeframe candle
+ * Only candles that had closed by the time the latest signal candle closes are included,
+ * so higher timeframes never leak future prices into the signal. Those candles are
+ * committed to the timeframe's indicator engine as they come into view.
+ * @param {Object} runner - Instrument runner
+ * @param {Array} candles - Signal timeframe history, latest candle last
+ * @returns {Object} { timeframes, indicators } - candles and engines keyed by the timeframe names the strategy declared
+ */
+function getTimeframeContext(runner, candles) {
+  const strategy = getActiveStrategy(runner);
+  const latest = candles[candles.length - 1];
+  const until = latest.timestamp + timeframeToMs(runner.timeframe);
+  const timeframes = { [runner.config.TIMEFRAME]: candles };
+  const indicators = { [runner.config.TIMEFRAME]: runner.engine };
+
+  for (const timeframe of strategy.getTimeframes ? strategy.getTimeframes(runner.config) : []) {
+    const bar = toOkxBar(timeframe);
+    if (bar === runner.timeframe) {
+      continue;
+    }
+
+    const timeframeHistory = getTimeframeHistory(runner, bar);
+    const history = timeframeHistory.candles;
+    const duration = timeframeToMs(bar);
+    let end = history.length;
+    while (end > 0 && history[end - 1].timestamp + duration > until) {
+      end--;
+    }
+    timeframes[timeframe] = end === history.length ? history : history.slice(0, end);
+
+    let start = end;
+    while (start > 0 && history[start - 1].timestamp > timeframeHistory.committedTimestamp) {
+      start--;
+    }
+    for (let i = start; i < end; i++) {
+      timeframeHistory.committedTimestamp = history[i].timestamp;
+      timeframeHistory.engine.commit(history[i]);
+    }
+    indicators[timeframe] = timeframeHistory.engine;
+  }
+
+  return { timeframes, indicators };
+}
+
+/**
+ * Check whether enough candles are available for the runner's strategy
+ * @param {Object} runner - Instrument runner
+ * @param {Array} candles - OHLC history
+ * @returns {boolean} True if signals can be generated
+ */
+function hasEnoughHistory(runner, candles) {
+  return candles.length >= getActiveStrategy(runner).getRequiredHistory(runner.config);
+}
+
+/**
+ * Process a closed (confirmed) candle and generate signals
+ * @param {Object} candle - Candle data object (routed by candle.instId)
  */
 function processCandle(candle) {
   try {
+    const runner = getRunner(candle.instId);
+
+    // Additional timeframes are only stored as context for the signal timeframe
+    if (!isSignalTimeframe(runner, candle)) {
+      addTimeframeCandle(runner, candle);
+      return;
+    }
+
     // Prevent duplicate candle processing
-    if (candle.timestamp <= lastCandleTimestamp) {
+    if (candle.timestamp <= runner.lastCandleTimestamp) {
       return;
     }
     
     // Update last processed candle timestamp
-    lastCandleTimestamp = candle.timestamp;
+    runner.lastCandleTimestamp = candle.timestamp;
     
     // Add candle to history
-    ohlcHistory.push(candle);
+    runner.ohlcHistory.push(candle);
+    runner.engine.commit(candle);
     
     // Memory management - limit history size
-    if (ohlcHistory.length > config.MAX_OHLC_HISTORY) {
-      ohlcHistory = ohlcHistory.slice(-config.MAX_OHLC_HISTORY);
+    if (runner.ohlcHistory.length > runner.config.MAX_OHLC_HISTORY) {
+      runner.ohlcHistory = runner.ohlcHistory.slice(-runner.config.MAX_OHLC_HISTORY);
     }
     
     // Only generate signals if we have enough data
-    if (ohlcHistory.length < Math.max(
-      config.EMA_LONG_PERIOD,
-      config.BB_LENGTH,
-      config.ST_PERIOD,
-      config.TLBB_FRACTALS_PERIOD
-    )) {
-      console.log(`📊 Building price history... (${ohlcHistory.length} candles collected)`);
+    if (!hasEnoughHistory(runner, runner.ohlcHistory)) {
+      log.info("Building price history", { instId: runner.instId, candles: runner.ohlcHistory.length });
       return;
     }
     
     // Generate trading signal based on selected strategy
-    generateSignal();
+    generateSignal(runner, runner.ohlcHistory);
   } catch (error) {
-    console.error("❌ Error processing candle:", error.message);
+    log.error("Error processing candle", { instId: candle.instId, error });
   }
 }
 
 /**
- * Generate trading signal based on strategy
+ * Process an in-progress candle update (only used when EVALUATE_INTRABAR is enabled)
+ * The forming candle is evaluated on top of the closed history without being stored.
+ * @param {Object} candle - Forming candle data object (routed by candle.instId)
  */
-function generateSignal() {
+function processCandleUpdate(candle) {
   try {
-    // Get latest price
-    const currentPrice = ohlcHistory[ohlcHistory.length-1].close;
-    
-    // Select strategy
-    switch (config.STRATEGY) {
-      case "EMA":
-        generateEMASignal(currentPrice);
-        break;
-      case "COMBINED":
-        generateCombinedSignal(currentPrice);
-        break;
-      default:
-        console.warn(`⚠️ Unknown strategy: ${config.STRATEGY}`);
+    const runner = getRunner(candle.instId);
+
+    // Ignore updates for bars that are already closed, other timeframes and instruments without intrabar evaluation
+    if (!runner.config.EVALUATE_INTRABAR || !isSignalTimeframe(runner, candle) || candle.timestamp <= runner.lastCandleTimestamp) {
+      return;
+    }
+
+    const candles = runner.ohlcHistory.concat([candle]);
+
+    if (!hasEnoughHistory(runner, candles)) {
+      return;
     }
+
+    runner.engine.update(candle);
+    generateSignal(runner, candles);
   } catch (error) {
-    console.error("❌ Error generating signal:", error.message);
+    log.error("Error processing candle update", { instId: candle.instId, error });
   }
 }
 
 /**
- * Generate signal based on EMA crossover strategy
- * @param {number} currentPrice - Current price
+ * Resolve the intent of a strategy signal
+ *   open    - open a position on the signal's side (only from flat)
+ *   close   - close the position on the other side (reduce-only, nothing is opened)
+ *   reduce  - close signal.fraction (0 to 1) of the position on the other side
+ *   reverse - close the position on the other side, then open one on the signal's side
+ * Without an intent a signal opens a position, or reverses the current one when that
+ * is on the other side. exit: true is the older spelling of intent "close".
+ * @param {Object} signal - Signal returned by the strategy
+ * @param {string} positionSide - Position side the runner is tracking
+ * @returns {string} Intent
+ * @throws {Error} If the intent is unknown or a reduce has no valid fraction
  */
-function generateEMASignal(currentPrice) {
-  try {
-    const prices = ohlcHistory.map(candle => candle.close);
-    const emaShort = ta.ema(prices, config.EMA_SHORT_PERIOD);
-    const emaLong = ta.ema(prices, config.EMA_LONG_PERIOD);
-    
-    // Check for crossover
-    const previousEmaShort = emaShort[emaShort.length-2];
-    const previousEmaLong = emaLong[emaLong.length-2];
-    const currentEmaShort = emaShort[emaShort.length-1];
-    const currentEmaLong = emaLong[emaLong.length-1];
-    
-    // Generate signal on crossover
-    if (previousEmaShort < previousEmaLong && currentEmaShort > currentEmaLong) {
-      // Buy signal - short EMA crosses above long EMA
-      emitSignal("BUY", currentPrice);
-      
-    } else if (previousEmaShort > previousEmaLong && currentEmaShort < currentEmaLong) {
-      // Sell signal - short EMA crosses below long EMA
-      emitSignal("SELL", currentPrice);
-    }
-  } catch (error) {
-    console.error("❌ Error generating EMA signal:", error.message);
+function resolveIntent(signal, positionSide) {
+  const side = signal.action === "BUY" ? "long" : "short";
+  const intent = signal.intent || (signal.exit ? "close" : (positionSide && positionSide !== side ? "reverse" : "open"));
+
+  if (!SIGNAL_INTENTS.includes(intent)) {
+    throw new Error(`Unknown signal intent: ${intent} (expected one of ${SIGNAL_INTENTS.join(", ")})`);
+  }
+  if (intent === "reduce" && !(signal.fraction > 0 && signal.fraction < 1)) {
+    throw new Error(`A reduce signal needs a fraction between 0 and 1, got ${signal.fraction}`);
   }
+
+  return intent;
 }
 
 /**
- * Generate signal based on combined strategy (Trend Line & Supertrend)
- * @param {number} currentPrice - Current price
+ * Generate trading signal with the runner's strategy
+ * @param {Object} runner - Instrument runner
+ * @param {Array} candles - OHLC history to evaluate, latest candle last
+ * @param {string} hook - Strategy function to run: "onCandle", or the optional "onOrderBook" or "onTrade"
+ * @param {Object} event - Context overrides of the event, e.g. { price, trade }
  */
-function generateCombinedSignal(currentPrice) {
+function generateSignal(runner, candles, hook = "onCandle", event = {}) {
   try {
-    // Calculate TrendLine BB
-    const tl = calculateTrendLine(ohlcHistory);
-    
-    // Calculate Supertrend
-    const st = calculateSupertrend(ohlcHistory);
-    
-    if (!tl || !st) {
+    const strategy = getActiveStrategy(runner);
+    if (typeof strategy[hook] !== "function") {
       return;
     }
-    
-    // Check for trade conditions
-    if (tl.trend.includes("bullish") && st.trend === "up") {
-      if (!inPosition || positionType === "short") {
-        // Buy signal when both indicators are bullish
-        inPosition = true;
-        positionType = "long";
-        emitSignal("BUY", currentPrice);
-      }
-    } else if (tl.trend.includes("bearish") && st.trend === "down") {
-      if (!inPosition || positionType === "long") {
-        // Sell signal when both indicators are bearish
-        inPosition = true;
-        positionType = "short";
-        emitSignal("SELL", currentPrice);
-      }
-    } else if (
-      (tl.trend.includes("bearish") && positionType === "long") ||
-      (tl.trend.includes("bullish") && positionType === "short")
-    ) {
-      // Exit signal when trend changes against our position
-      inPosition = false;
-      const signal = positionType === "long" ? "SELL" : "BUY";
-      positionType = null;
-      emitSignal(signal, currentPrice);
+
+    // Get latest candle
+    const latestCandle = candles[candles.length-1];
+    const currentPrice = latestCandle.close;
+
+    const { timeframes, indicators: timeframeIndicators } = getTimeframeContext(runner, candles);
+    const signal = strategy[hook]({
+      instId: runner.instId,
+      candles,
+      timeframes,
+      timeframeIndicators,
+      price: currentPrice,
+      position: { side: runner.positionSide },
+      state: runner.strategyState,
+      config: runner.config,
+      indicators: runner.engine,
+      orderBook: runner.orderBook,
+      tradeFlow: runner.tradeFlow,
+      ...event
+    });
+
+    if (!signal) {
+      return;
+    }
+
+    const intent = resolveIntent(signal, runner.positionSide);
+
+    // Track the position the signal leads to until the exchange confirms it
+    if (intent === "close") {
+      runner.positionSide = null;
+    } else if (intent !== "reduce") {
+      runner.positionSide = signal.action === "BUY" ? "long" : "short";
     }
+
+    emitSignal(runner, { ...signal, intent }, candles);
   } catch (error) {
-    console.error("❌ Error generating Combined signal:", error.message);
+    log.error("Error generating signal", { instId: runner.instId, strategy: runner.config.STRATEGY, error });
   }
 }
 
 /**
  * Emit trading signal
- * @param {string} action - Signal action (BUY/SELL)
- * @param {number} price - Current price
+ * The signal carries the ATR and Supertrend bands so the trader can place
+ * volatility-based stops, and a correlation ID that links it to its order and SL/TP in the log.
+ * @param {Object} runner - Instrument runner
+ * @param {Object} strategySignal - Signal returned by the strategy's onCandle, with its resolved intent
+ * @param {Array} candles - OHLC history the signal was generated from
  */
-function emitSignal(action, price) {
+function emitSignal(runner, strategySignal, candles = runner.ohlcHistory) {
+  const st = runner.engine.get("supertrend", runner.config.ST_PERIOD, runner.config.ST_MULTIPLIER).value;
+  const price = strategySignal.entry || candles[candles.length-1].close;
+
   const signal = {
-    action,
+    correlationId: createCorrelationId(),
+    instId: runner.instId,
+    action: strategySignal.action,
     price,
+    stop: strategySignal.stop || null,
+    target: strategySignal.target || null,
+    reason: strategySignal.reason || null,
+    intent: strategySignal.intent || "open",
+    fraction: strategySignal.intent === "reduce" ? strategySignal.fraction : null,
     timestamp: Date.now(),
-    strategy: config.STRATEGY,
+    strategy: getActiveStrategy(runner).name,
+    indicators: {
+      atr: st ? st.atr : null,
+      supertrendUpper: st ? st.upperBand : null,
+      supertrendLower: st ? st.lowerBand : null
+    }
   };
   
-  console.log("🚀 Generated Signal:", signal);
+  log.info("Generated signal", signal);
+  runner.lastSignal = signal;
   
   // Emit the signal
   marketDataEmitter.emit("signal", signal);
   signalEmitter.emit("signal", signal);
 }
 
-// Initialize by validating configuration
-validateConfig();
+/**
+ * Validate configuration and subscribe to live market data events
+ * @param {EventEmitter} emitter - Market data emitter to subscribe to
+ */
+function startStrategy(emitter = marketDataEmitter) {
+  validateConfig();
+
+  emitter.on("marketData", handleMarketData);
+  emitter.on("candleClosed", processCandle);
 
-// Subscribe to market data events
-marketDataEmitter.on("marketData", handleMarketData);
-marketDataEmitter.on("candle", processCandle);
+  // Opt-in: also evaluate on every update of the forming candle
+  if (getInstrumentIds().some(instId => getRunner(instId).config.EVALUATE_INTRABAR)) {
+    emitter.on("candleUpdate", processCandleUpdate);
+  }
+
+  // Only emitted for instruments with ORDER_BOOK_CHANNEL or TRADES_FEED set
+  emitter.on("orderBook", handleOrderBook);
+  emitter.on("trade", handleTrade);
+}
 
 // Export functions for testing
 module.exports = {
+  startStrategy,
+  resetStrategy,
+  validateConfig,
   processCandle,
+  processCandleUpdate,
+  handleOrderBook,
+  handleTrade,
+  loadHistory,
+  getLastCandleTimestamp,
+  syncPosition,
+  refreshConfig,
+  getStrategyStatus,
   calculateBollingerBands,
+  calculateATR,
   calculateSupertrend,
   calculateTrendLine,
   signalEmitter
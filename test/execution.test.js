@@ -0,0 +1,135 @@
+/**
+ * Tests for canceling child orders in execution.js (against a scripted exchange)
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+
+config.LOG_LEVEL = "error";
+
+const { executeEntry, getExecutionSettings, UnresolvedExecutionError } = require("../execution");
+
+const INSTRUMENT = { instId: "BTC-USDT-SWAP", lotSz: "0.1", minSz: "0.1", tickSz: "0.1", ctVal: 0.01, ctMult: 1 };
+const ORDER = { instId: "BTC-USDT-SWAP", tdMode: "cross", side: "buy" };
+
+/**
+ * Build an exchange adapter whose resting orders ignore the first `ignoredCancels` cancels
+ * Market orders fill at 101 on the `marketChecks`th check and are half filled before that.
+ * @param {number} ignoredCancels - Cancels to ignore per order
+ * @param {number} marketChecks - Checks until a market order is filled
+ * @returns {Object} Adapter for executeEntry, with the orders sent in `submitted`
+ */
+function createExchange(ignoredCancels, marketChecks = 1) {
+  const orders = new Map();
+  const submitted = [];
+
+  return {
+    submitted,
+    async getQuote() {
+      return { bid: 100, ask: 100.1 };
+    },
+    async submitOrder(body) {
+      submitted.push({ ordType: body.ordType, sz: body.sz });
+      orders.set(body.clOrdId, { ...body, ordId: `o${orders.size}`, accFillSz: "0", avgPx: "", state: "live", cancels: 0, checks: 0 });
+      return { ordId: orders.get(body.clOrdId).ordId };
+    },
+    async getOrder(instId, clOrdId) {
+      const order = orders.get(clOrdId);
+      if (order.ordType === "market") {
+        order.checks++;
+        Object.assign(order, order.checks >= marketChecks
+          ? { accFillSz: order.sz, avgPx: "101", state: "filled" }
+          : { accFillSz: String(order.sz / 2), avgPx: "101", state: "partially_filled" });
+      }
+      return order;
+    },
+    async amendOrder() {},
+    async cancelOrder(instId, clOrdId) {
+      const order = orders.get(clOrdId);
+      order.cancels++;
+      // While the cancel is ignored, part of the order fills
+      if (order.cancels <= ignoredCancels) {
+        Object.assign(order, { accFillSz: "0.4", avgPx: "100", state: "partially_filled" });
+      } else {
+        order.state = "canceled";
+      }
+    }
+  };
+}
+
+const SETTINGS = {
+  ...getExecutionSettings("EMA", config),
+  EXECUTION_MODE: "post_only",
+  EXECUTION_TIMEOUT: 50,
+  EXECUTION_CHASE_INTERVAL: 50,
+  EXECUTION_MARKET_FALLBACK: true
+};
+
+test("an order still live after its cancel is canceled again before the fallback", async () => {
+  const exchange = createExchange(1);
+  const result = await executeEntry({
+    exchange,
+    instrument: INSTRUMENT,
+    order: ORDER,
+    size: "1",
+    correlationId: "c1",
+    settings: { ...SETTINGS, EXECUTION_CANCEL_TIMEOUT: 10000 }
+  });
+
+  // The partial fill is kept and only the rest goes out at market
+  assert.deepEqual(exchange.submitted, [{ ordType: "post_only", sz: "1.0" }, { ordType: "market", sz: "0.6" }]);
+  assert.equal(result.filled, 1);
+  assert.equal(result.averagePrice, 100.6);
+  assert.equal(result.fellBack, true);
+});
+
+test("an order that cannot be canceled leaves the entry unresolved", async () => {
+  const exchange = createExchange(Infinity);
+
+  await assert.rejects(
+    executeEntry({
+      exchange,
+      instrument: INSTRUMENT,
+      order: ORDER,
+      size: "1",
+      correlationId: "c2",
+      settings: { ...SETTINGS, EXECUTION_CANCEL_TIMEOUT: 0 }
+    }),
+    error => error instanceof UnresolvedExecutionError && error.clOrdIds.length === 1 && error.filled === 0.4
+  );
+
+  // Nothing is sent at market while the filled size is unknown
+  assert.deepEqual(exchange.submitted, [{ ordType: "post_only", sz: "1.0" }]);
+});
+
+test("the market fallback counts its final fill", async () => {
+  const exchange = createExchange(0, 2);
+  const result = await executeEntry({
+    exchange,
+    instrument: INSTRUMENT,
+    order: ORDER,
+    size: "1",
+    correlationId: "c3",
+    settings: { ...SETTINGS, EXECUTION_CANCEL_TIMEOUT: 0 }
+  });
+
+  // Half filled on the first check, filled on the second
+  assert.equal(result.filled, 1);
+  assert.equal(result.averagePrice, 101);
+});
+
+test("a market fallback that is not final leaves the entry unresolved", async () => {
+  const exchange = createExchange(0, Infinity);
+
+  await assert.rejects(
+    executeEntry({
+      exchange,
+      instrument: INSTRUMENT,
+      order: ORDER,
+      size: "1",
+      correlationId: "c4",
+      settings: { ...SETTINGS, EXECUTION_CANCEL_TIMEOUT: 0 }
+    }),
+    error => error instanceof UnresolvedExecutionError && error.clOrdIds.length === 1 && error.filled === 0.5
+  );
+});
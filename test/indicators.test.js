@@ -0,0 +1,198 @@
+/**
+ * Reference tests for the series indicators in indicators.js and the streaming
+ * indicators in indicator-engine.js
+ * The candles are built so every value can be worked out by hand; the derivations
+ * are in the comments next to the expected values. EMA, SMA, StdDev and RSI are
+ * checked against ta.js (a dev dependency).
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ta = require("ta.js");
+const { calculateSupertrend, detectFractals, calculateTrendLine } = require("../indicators");
+const { createEMA, createSMA, createStdDev, createATR, createRSI, createTrendLine, computeSeries } = require("../indicator-engine");
+
+/**
+ * Build candles from [high, low, close] rows
+ * @param {Array} rows - [high, low, close] per candle
+ * @returns {Array} OHLC candles one minute apart
+ */
+function toCandles(rows) {
+  return rows.map(([high, low, close], index) => ({
+    timestamp: index * 60000,
+    open: close,
+    high,
+    low,
+    close
+  }));
+}
+
+// Closes moving by 1 with high/low at close +/- 1: every true range is 2, so ATR(2) is 2
+// and with a multiplier of 1 the basic bands are close +/- 2
+const SUPERTREND_CLOSES = [100, 101, 102, 101, 100, 99, 100, 101, 102];
+const SUPERTREND_CANDLES = toCandles(SUPERTREND_CLOSES.map(close => [close + 1, close - 1, close]));
+
+test("Supertrend has no value before the first ATR", () => {
+  assert.equal(calculateSupertrend(SUPERTREND_CANDLES.slice(0, 2), 2, 1), null);
+
+  const { series } = calculateSupertrend(SUPERTREND_CANDLES, 2, 1);
+  assert.deepEqual(series.trend.slice(0, 2), [null, null]);
+  assert.deepEqual(series.atr.slice(2), [2, 2, 2, 2, 2, 2, 2]);
+});
+
+test("Supertrend bands only ratchet towards price", () => {
+  const { series } = calculateSupertrend(SUPERTREND_CANDLES, 2, 1);
+
+  // Upper band: basic 104, 103, 102, 101 fall and are taken; 102 and 103 would rise, so 101 holds
+  assert.deepEqual(series.upperBand.slice(2), [104, 103, 102, 101, 101, 101, 101]);
+  // Lower band: holds at 100 while the basic band falls, resets to the basic 98 once the
+  // close (99) broke below it, then rises with the basic band (99, 100)
+  assert.deepEqual(series.lowerBand.slice(2), [100, 100, 100, 100, 98, 99, 100]);
+});
+
+test("Supertrend flips on closes through the previous final band", () => {
+  const result = calculateSupertrend(SUPERTREND_CANDLES, 2, 1);
+  const { series } = result;
+
+  // Starts up; 99 closes below the lower band 100; 101 equals the upper band 101 (no flip),
+  // 102 closes above it
+  assert.deepEqual(series.trend.slice(2), ["up", "up", "up", "down", "down", "down", "up"]);
+  // The line follows the lower band in an uptrend and the upper band in a downtrend
+  assert.deepEqual(series.value.slice(2), [100, 100, 100, 101, 101, 101, 100]);
+
+  assert.equal(result.trend, "up");
+  assert.equal(result.flipped, true);
+  assert.equal(calculateSupertrend(SUPERTREND_CANDLES.slice(0, 8), 2, 1).flipped, false);
+  assert.equal(calculateSupertrend(SUPERTREND_CANDLES.slice(0, 6), 2, 1).flipped, true);
+});
+
+// Fractal highs (period 5: two candles each side) at 2 (15) and 6 (14); the 16 at index 9
+// has a single candle to its right and is not confirmed yet. Fractal lows at 4 (5) and 8 (4).
+const FRACTAL_ROWS = [
+  [10, 8], [11, 7], [15, 9], [12, 6], [11, 5], [13, 7],
+  [14, 8], [12, 6], [11, 4], [16, 5], [12, 6]
+];
+const FRACTAL_CANDLES = toCandles(FRACTAL_ROWS.map(([high, low]) => [high, low, (high + low) / 2]));
+
+test("detectFractals finds confirmed pivots only", () => {
+  const { highs, lows } = detectFractals(FRACTAL_CANDLES, 5);
+
+  assert.deepEqual(highs.map(pivot => [pivot.index, pivot.price]), [[2, 15], [6, 14]]);
+  assert.deepEqual(lows.map(pivot => [pivot.index, pivot.price]), [[4, 5], [8, 4]]);
+  assert.equal(highs[0].timestamp, FRACTAL_CANDLES[2].timestamp);
+});
+
+test("detectFractals takes the first of equal highs", () => {
+  const candles = toCandles([[1, 0, 1], [2, 0, 1], [5, 0, 1], [5, 0, 1], [2, 0, 1], [1, 0, 1]]);
+
+  assert.deepEqual(detectFractals(candles, 5).highs.map(pivot => pivot.index), [2]);
+});
+
+test("calculateTrendLine projects both lines to the latest candle", () => {
+  const result = calculateTrendLine(FRACTAL_CANDLES, 5, 5, 2);
+
+  // Resistance through (2, 15) and (6, 14): slope -0.25, 15 - 0.25 x 8 = 13 at index 10
+  assert.equal(result.resistance.slope, -0.25);
+  assert.equal(result.resistance.value, 13);
+  // Support through (4, 5) and (8, 4): slope -0.25, 5 - 0.25 x 6 = 3.5 at index 10
+  assert.equal(result.support.slope, -0.25);
+  assert.equal(result.support.value, 3.5);
+
+  assert.deepEqual(result.series.resistance.slice(0, 3), [null, null, 15]);
+  assert.equal(result.series.resistance[6], 14);
+  assert.equal(result.swingHigh, 14);
+  assert.equal(result.swingLow, 4);
+
+  // Close 9 is between the lines and below the BB middle (mean of 11, 9, 7.5, 10.5, 9 = 9.4);
+  // both lines fall
+  assert.equal(result.bb.middle, 9.4);
+  assert.equal(result.trend, "moderately_bearish");
+});
+
+test("calculateTrendLine is strongly bullish on a close through resistance", () => {
+  const candles = FRACTAL_CANDLES.slice(0, -1).concat(toCandles([[14, 6, 13.5]]).map(candle => ({
+    ...candle,
+    timestamp: FRACTAL_CANDLES[10].timestamp
+  })));
+  const result = calculateTrendLine(candles, 5, 5, 2);
+
+  // 13.5 is above the resistance (13) and the BB middle (10.3)
+  assert.equal(result.resistance.value, 13);
+  assert.equal(result.trend, "strongly_bullish");
+});
+
+test("the streaming trendline matches calculateTrendLine candle by candle", () => {
+  // A deterministic walk with swings, so fractals form on both sides
+  const candles = toCandles(Array.from({ length: 80 }, (_, i) => {
+    const close = 100 + 10 * Math.sin(i / 4) + (i % 7) - 3;
+    return [close + 1 + (i % 3), close - 1 - (i % 2), close];
+  }));
+  const trendLine = createTrendLine(5, 10, 2);
+
+  candles.forEach((candle, i) => {
+    // An update evaluates the forming candle like a batch that includes it
+    const forming = { ...candle, close: candle.close + 2, high: candle.high + 2 };
+    trendLine.update(forming);
+    const formingBatch = calculateTrendLine(candles.slice(0, i).concat([forming]), 5, 10, 2);
+    assert.equal(trendLine.value && trendLine.value.trend, formingBatch && formingBatch.trend);
+
+    trendLine.commit(candle);
+    const batch = calculateTrendLine(candles.slice(0, i + 1), 5, 10, 2);
+    if (!batch) {
+      assert.equal(trendLine.value, null);
+      return;
+    }
+    const { trend, swingHigh, swingLow, resistance, support, bb } = trendLine.value;
+    assert.deepEqual([trend, swingHigh, swingLow, bb], [batch.trend, batch.swingHigh, batch.swingLow, batch.bb]);
+    assert.deepEqual(resistance, batch.resistance);
+    assert.deepEqual(support, batch.support);
+  });
+});
+
+// Wilder's RSI example closes (New Concepts in Technical Trading Systems, as used by StockCharts)
+const REFERENCE_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+  43.42, 42.66, 43.13
+];
+
+/**
+ * Compare a streaming series (null while warming up) with a reference series of its defined values
+ * @param {Array} actual - Engine values, one per input
+ * @param {Array} expected - Reference values, aligned to the end of the input
+ */
+function assertSeries(actual, expected) {
+  const defined = actual.filter(value => value !== null);
+  assert.equal(defined.length, expected.length);
+  defined.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${value} != ${expected[i]} at ${i}`));
+}
+
+test("EMA and SMA match ta.js", () => {
+  // ta.js seeds the EMA with the SMA of the first `period` prices, as the engine does
+  assertSeries(computeSeries(createEMA(10), REFERENCE_CLOSES), ta.ema(REFERENCE_CLOSES, 10));
+  assertSeries(computeSeries(createSMA(10), REFERENCE_CLOSES), ta.sma(REFERENCE_CLOSES, 10));
+});
+
+test("StdDev matches the population standard deviation of ta.js", () => {
+  const expected = REFERENCE_CLOSES.slice(4).map((_, i) => ta.std(REFERENCE_CLOSES.slice(i, i + 5), 5));
+  assertSeries(computeSeries(createStdDev(5), REFERENCE_CLOSES), expected);
+});
+
+test("RSI matches Wilder's RSI of ta.js", () => {
+  const actual = computeSeries(createRSI(14), REFERENCE_CLOSES);
+  assertSeries(actual, ta.wrsi(REFERENCE_CLOSES, 14));
+
+  // The first RSI is on the 15th close; the book rounds its averages and gets 70.53
+  assert.equal(actual[14].toFixed(2), "70.46");
+  assert.equal(actual[32].toFixed(2), "37.79");
+});
+
+test("ATR seeds with the average true range and then uses Wilder's smoothing", () => {
+  // ta.js seeds its ATR with the first candle's range, so this vector is worked out by hand.
+  // True ranges from the second candle: 2 (high - low), 4 (high 14 - previous close 10),
+  // 3 (previous close 13 - low 10), 6 (gap up: high 17 - previous close 11), 1
+  const candles = toCandles([[11, 9, 10], [11, 9, 10], [14, 12, 13], [12, 10, 11], [17, 16, 16.5], [17, 16, 16.5]]);
+  const atr = computeSeries(createATR(3), candles);
+
+  // First ATR is (2 + 4 + 3) / 3 = 3, then (3 x 2 + 6) / 3 = 4 and (4 x 2 + 1) / 3 = 3
+  assert.deepEqual(atr, [null, null, null, 3, 4, 3]);
+});
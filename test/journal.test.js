@@ -0,0 +1,41 @@
+/**
+ * Tests for trade pairing in journal.js
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+config.LOG_LEVEL = "error";
+config.JOURNAL_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "journal-")), "journal.jsonl");
+
+const journal = require("../journal");
+
+test("reductions are trades of their own and the close reports the rest", () => {
+  journal.record("order", { instId: "BTC-USDT-SWAP", orderId: "o1", side: "BUY", price: 100, size: "1.00", stopLoss: 90 });
+  journal.record("reduce", { instId: "BTC-USDT-SWAP", tradeId: "o1", orderId: "r1", size: "0.40", remaining: "0.60", price: 110, realizedPnl: 3.9, fees: 0.1 });
+
+  // The open trade carries the PnL the reduction already realized, also after a restart
+  assert.equal(journal.getOpenTrade("BTC-USDT-SWAP").reducedPnl, 3.9);
+  assert.equal(journal.restoreState().openTrades.get("BTC-USDT-SWAP").reducedPnl, 3.9);
+
+  // The exchange reports the whole position: 3.9 from the reduction, 5.7 from the rest
+  journal.record("close", { instId: "BTC-USDT-SWAP", tradeId: "o1", realizedPnl: 9.6, fees: 0.25, funding: 0, closePrice: 110 });
+
+  const [trade, reduction] = journal.getTrades({ instId: "BTC-USDT-SWAP" });
+  assert.equal(journal.getOpenTrade("BTC-USDT-SWAP"), null);
+
+  assert.deepEqual(
+    [reduction.tradeId, reduction.size, reduction.exitPrice, reduction.realizedPnl, reduction.fees, reduction.reason, reduction.open],
+    ["r1", "0.40", 110, 3.9, 0.1, "reduce", false]
+  );
+  assert.equal(reduction.entryPrice, 100);
+
+  assert.equal(trade.tradeId, "o1");
+  assert.equal(trade.size, "0.60");
+  assert.equal(trade.realizedPnl.toFixed(2), "5.70");
+  assert.equal(trade.fees.toFixed(2), "0.15");
+  assert.equal(trade.open, false);
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for the order book feed in okx-client.js (against a local WebSocket server)
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+const config = require("../config");
+
+config.LOG_LEVEL = "error";
+config.INSTRUMENTS = [{ instId: "BTC-USDT-SWAP", ORDER_BOOK_CHANNEL: "books", ORDER_BOOK_EVENT_INTERVAL: 0 }];
+config.USE_SIMULATED_TRADING = false;
+
+const { connectWebSocket, getOrderBook, getConnectionState, shutdown, marketDataEmitter } = require("../okx-client");
+const { renderMetrics } = require("../metrics");
+
+const ARG = { channel: "books", instId: "BTC-USDT-SWAP" };
+
+// The checksum example of the OKX v5 API docs: "3366.1:7:3366.8:9:3366:6:3368:8"
+const SNAPSHOT = {
+  bids: [["3366.1", "7", "0", "3"], ["3366", "6", "3", "4"]],
+  asks: [["3366.8", "9", "10", "3"], ["3368", "8", "3", "4"]],
+  ts: "1597026383085",
+  checksum: -1881014294,
+  prevSeqId: -1,
+  seqId: 123456
+};
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  for (let i = 0; i < 200 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(condition(), "timed out");
+}
+
+test("a book that fails the checksum is dropped and resubscribed", async (t) => {
+  const server = new WebSocket.Server({ host: "127.0.0.1", port: 0 });
+  await new Promise(resolve => server.once("listening", resolve));
+  config.OKX_WS_URL = `ws://127.0.0.1:${server.address().port}`;
+
+  const received = [];
+  let socket = null;
+  server.on("connection", connection => {
+    socket = connection;
+    connection.on("message", data => received.push(JSON.parse(data)));
+  });
+
+  t.after(() => new Promise(resolve => server.close(resolve)));
+
+  const books = [];
+  marketDataEmitter.on("orderBook", book => books.push(book));
+
+  await connectWebSocket();
+  const subscribed = op => received.some(message => message.op === op && message.args.some(arg => arg.channel === "books"));
+  await waitFor(() => subscribed("subscribe"));
+
+  socket.send(JSON.stringify({ arg: ARG, action: "snapshot", data: [SNAPSHOT] }));
+  await waitFor(() => books.length === 1);
+  assert.equal(books[0].bestBid, 3366.1);
+  assert.equal(getOrderBook("BTC-USDT-SWAP").features.microprice, 3366.40625);
+
+  // An update whose checksum does not match the book it produces
+  received.length = 0;
+  socket.send(JSON.stringify({
+    arg: ARG,
+    action: "update",
+    data: [{ bids: [["3365", "3", "0", "1"]], asks: [], ts: "1597026383186", checksum: 1037550396, prevSeqId: 123456, seqId: 123457 }]
+  }));
+  await waitFor(() => subscribed("subscribe"));
+
+  assert.deepEqual(received.map(message => message.op), ["unsubscribe", "subscribe"]);
+  assert.deepEqual(received[0].args, [ARG]);
+  assert.equal(getOrderBook("BTC-USDT-SWAP"), null);
+  assert.equal(books.length, 1);
+  assert.match(renderMetrics(), /okx_order_book_resyncs_total\{instId="BTC-USDT-SWAP",reason="checksum_mismatch"\} 1/);
+
+  // OKX answers the resubscribe with a fresh snapshot
+  socket.send(JSON.stringify({ arg: ARG, action: "snapshot", data: [SNAPSHOT] }));
+  await waitFor(() => books.length === 2);
+  assert.notEqual(getOrderBook("BTC-USDT-SWAP"), null);
+
+  // Shutting down unsubscribes everything and does not reconnect
+  received.length = 0;
+  await shutdown();
+  assert.equal(received[0].op, "unsubscribe");
+  assert.ok(received[0].args.some(arg => arg.channel === "tickers"));
+  assert.ok(received[0].args.some(arg => arg.channel === "books"));
+  assert.equal(getConnectionState().public, "closed");
+  assert.equal(getConnectionState().reconnectAttempts, 0);
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for the local order book and trade flow in order-book.js
+ * The snapshot is the checksum example of the OKX v5 API docs; the checksums of the
+ * updates are the CRC32 of the strings in the comments, as OKX would send them.
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { crc32, createOrderBook, createTradeFlow } = require("../order-book");
+
+// books-l2-tbt snapshot: "3366.1:7:3366.8:9:3366:6:3368:8"
+const SNAPSHOT = {
+  bids: [["3366.1", "7", "0", "3"], ["3366", "6", "3", "4"]],
+  asks: [["3366.8", "9", "10", "3"], ["3368", "8", "3", "4"]],
+  ts: "1597026383085",
+  checksum: -1881014294,
+  prevSeqId: -1,
+  seqId: 123456
+};
+
+// Adds a bid and removes the best ask: "3366.1:7:3368:8:3366:6:3365:2"
+const UPDATE = {
+  bids: [["3365", "2", "0", "1"]],
+  asks: [["3366.8", "0", "0", "0"]],
+  ts: "1597026383186",
+  checksum: 1037550396,
+  prevSeqId: 123456,
+  seqId: 123457
+};
+
+test("crc32 gives OKX's signed checksum", () => {
+  assert.equal(crc32("3366.1:7:3366.8:9:3366:6:3368:8"), -1881014294);
+});
+
+test("a snapshot and an update are validated against OKX's checksum", () => {
+  const book = createOrderBook("BTC-USDT-SWAP");
+
+  assert.deepEqual(book.apply(SNAPSHOT, "snapshot"), { ok: true, reason: null });
+  assert.equal(book.checksum(), SNAPSHOT.checksum);
+
+  assert.deepEqual(book.apply(UPDATE, "update"), { ok: true, reason: null });
+  assert.deepEqual(book.getLevels(), {
+    bids: [[3366.1, 7], [3366, 6], [3365, 2]],
+    asks: [[3368, 8]]
+  });
+});
+
+test("a book that fails the checksum is out of sync until the next snapshot", () => {
+  const book = createOrderBook("BTC-USDT-SWAP");
+  book.apply(SNAPSHOT, "snapshot");
+
+  // The same update with the size of the new bid off by one
+  const result = book.apply({ ...UPDATE, bids: [["3365", "3", "0", "1"]] }, "update");
+  assert.deepEqual(result, { ok: false, reason: "checksum_mismatch" });
+  assert.equal(book.ready, false);
+  assert.equal(book.getFeatures(), null);
+
+  // Further updates are refused until a snapshot arrives
+  assert.deepEqual(book.apply({ ...UPDATE, prevSeqId: 123457, seqId: 123458 }, "update"), { ok: false, reason: "no_snapshot" });
+  assert.equal(book.apply(SNAPSHOT, "snapshot").ok, true);
+});
+
+test("an update that skips a sequence number is a gap", () => {
+  const book = createOrderBook("BTC-USDT-SWAP");
+  book.apply(SNAPSHOT, "snapshot");
+
+  assert.deepEqual(book.apply({ ...UPDATE, prevSeqId: 123455 }, "update"), { ok: false, reason: "sequence_gap" });
+  assert.equal(book.ready, false);
+});
+
+test("book features: spread, imbalance and microprice", () => {
+  const book = createOrderBook("BTC-USDT-SWAP");
+  book.apply(SNAPSHOT, "snapshot");
+  const top = book.getFeatures(1);
+
+  // Best bid 3366.1 x 7, best ask 3366.8 x 9
+  assert.equal(top.mid, 3366.45);
+  assert.equal(top.spread.toFixed(8), "0.70000000");
+  assert.ok(Math.abs(top.spreadPercentage - (0.7 / 3366.45) * 100) < 1e-9);
+  // (7 - 9) / (7 + 9)
+  assert.equal(top.imbalance, -0.125);
+  // (3366.1 x 9 + 3366.8 x 7) / 16: below the mid, towards the bid with less size
+  assert.equal(top.microprice, 3366.40625);
+  assert.equal(top.timestamp, 1597026383085);
+
+  // Two levels: (7 + 6 - 9 - 8) / 30
+  assert.equal(book.getFeatures(2).imbalance, -4 / 30);
+});
+
+test("trade flow delta is taker buy minus sell volume within the window", () => {
+  const flow = createTradeFlow(1000);
+  flow.add({ side: "buy", size: 2, timestamp: 0 });
+  flow.add({ side: "sell", size: 0.5, timestamp: 500 });
+
+  assert.deepEqual(flow.getFlow(900), { buyVolume: 2, sellVolume: 0.5, delta: 1.5, trades: 2, windowMs: 1000 });
+
+  // The trade at 0 leaves the window at 1000
+  flow.add({ side: "buy", size: 1, timestamp: 1200 });
+  assert.deepEqual(flow.getFlow(1200), { buyVolume: 1, sellVolume: 0.5, delta: 0.5, trades: 2, windowMs: 1000 });
+  assert.equal(flow.getFlow(1600).delta, 1);
+  assert.deepEqual(flow.getFlow(5000), { buyVolume: 0, sellVolume: 0, delta: 0, trades: 0, windowMs: 1000 });
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for fills, fees, SL/TP triggers and liquidation in paper-broker.js
+ * Prices are chosen so every fill can be worked out by hand; the derivations are in
+ * the comments next to the expected values.
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+
+config.LOG_LEVEL = "error";
+config.PAPER_SLIPPAGE_PERCENTAGE = 0.1;
+config.PAPER_TAKER_FEE_PERCENTAGE = 0.05;
+config.PAPER_MAKER_FEE_PERCENTAGE = 0.02;
+config.PAPER_MAINTENANCE_MARGIN_PERCENTAGE = 0.4;
+
+const paperBroker = require("../paper-broker");
+const { setInstrument } = require("../instruments");
+
+const INST_ID = "BTC-USDT-SWAP";
+
+// 10 contracts of 0.01 BTC are 0.1 BTC
+const SIZE = "10";
+
+/**
+ * Start a fresh account at 10x with the last price at 1000
+ */
+async function reset() {
+  paperBroker.resetPaperBroker(1000);
+  setInstrument({ instId: INST_ID, ctVal: "0.01", ctMult: "1", ctValCcy: "BTC", lotSz: "1", minSz: "1", tickSz: "0.01" });
+  await paperBroker.setLeverage(INST_ID, "10");
+  await paperBroker.processTicker({ instId: INST_ID, price: 1000 });
+}
+
+/**
+ * Assert that two amounts are equal up to floating point rounding
+ * @param {number} actual - Actual amount
+ * @param {number} expected - Expected amount
+ */
+function assertAmount(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test("a long round trip pays slippage and the taker fee both ways", async () => {
+  await reset();
+  const order = await paperBroker.placeOrder(INST_ID, "BUY", SIZE, { stop: 900, target: 1200 });
+
+  // Bought at 1000 + 0.1% = 1001
+  assertAmount(order.price, 1001);
+
+  await paperBroker.processTicker({ instId: INST_ID, price: 1100 });
+  await paperBroker.closePosition(INST_ID, "long");
+  const closed = paperBroker.getLastClosedPosition(INST_ID);
+
+  // Sold at 1100 - 0.1% = 1098.9: (1098.9 - 1001) x 0.1 = 9.79, less fees of
+  // 0.1 x 1001 x 0.05% = 0.05005 and 0.1 x 1098.9 x 0.05% = 0.054945
+  assert.equal(closed.side, "long");
+  assert.equal(closed.reason, "close");
+  assertAmount(closed.closePrice, 1098.9);
+  assertAmount(closed.fees, 0.104995);
+  assertAmount(closed.realizedPnl, 9.685005);
+  assertAmount((await paperBroker.getAccountBalance()).equity, 1009.685005);
+  assert.deepEqual(paperBroker.fetchPositions([INST_ID]), []);
+});
+
+test("a short round trip pays slippage and the taker fee both ways", async () => {
+  await reset();
+  const order = await paperBroker.placeOrder(INST_ID, "SELL", SIZE, { stop: 1100, target: 800 });
+
+  // Sold at 1000 - 0.1% = 999
+  assertAmount(order.price, 999);
+
+  await paperBroker.processTicker({ instId: INST_ID, price: 900 });
+  await paperBroker.closePosition(INST_ID, "short");
+  const closed = paperBroker.getLastClosedPosition(INST_ID);
+
+  // Bought back at 900 + 0.1% = 900.9: (999 - 900.9) x 0.1 = 9.81, less fees of
+  // 0.1 x 999 x 0.05% = 0.04995 and 0.1 x 900.9 x 0.05% = 0.045045
+  assert.equal(closed.side, "short");
+  assertAmount(closed.closePrice, 900.9);
+  assertAmount(closed.fees, 0.094995);
+  assertAmount(closed.realizedPnl, 9.715005);
+  assertAmount((await paperBroker.getAccountBalance()).equity, 1009.715005);
+});
+
+test("a ticker through the stop-loss closes the position at market", async () => {
+  await reset();
+  await paperBroker.placeOrder(INST_ID, "BUY", SIZE, { stop: 950, target: 1100 });
+
+  // Above the stop nothing happens
+  await paperBroker.processTicker({ instId: INST_ID, price: 960 });
+  assert.equal(paperBroker.fetchPositions([INST_ID]).length, 1);
+
+  await paperBroker.processTicker({ instId: INST_ID, price: 940 });
+  const closed = paperBroker.getLastClosedPosition(INST_ID);
+
+  // Filled at the ticker with slippage, 940 - 0.1% = 939.06, as a taker:
+  // (939.06 - 1001) x 0.1 = -6.194, less fees of 0.05005 and 0.1 x 939.06 x 0.05% = 0.046953
+  assert.equal(closed.reason, "stop_loss");
+  assertAmount(closed.closePrice, 939.06);
+  assertAmount(closed.realizedPnl, -6.291003);
+  assert.deepEqual(paperBroker.fetchPositions([INST_ID]), []);
+  assert.deepEqual(await paperBroker.getPendingAlgoOrders(INST_ID, "oco"), []);
+});
+
+test("a ticker through the take-profit fills at the target as a maker", async () => {
+  await reset();
+  await paperBroker.placeOrder(INST_ID, "SELL", SIZE, { stop: 1050, target: 900 });
+
+  await paperBroker.processTicker({ instId: INST_ID, price: 890 });
+  const closed = paperBroker.getLastClosedPosition(INST_ID);
+
+  // Filled at the 900 target, not the ticker: (999 - 900) x 0.1 = 9.9, less fees of
+  // 0.04995 and 0.1 x 900 x 0.02% = 0.018
+  assert.equal(closed.reason, "take_profit");
+  assertAmount(closed.closePrice, 900);
+  assertAmount(closed.fees, 0.06795);
+  assertAmount(closed.realizedPnl, 9.83205);
+});
+
+test("a ticker through the liquidation price closes the position there and raises an alert", async (t) => {
+  await reset();
+  const alerts = [];
+  const onAlert = alert => alerts.push(alert);
+  paperBroker.tradeEmitter.on("alert", onAlert);
+  t.after(() => paperBroker.tradeEmitter.removeListener("alert", onAlert));
+
+  // The stop is below the liquidation price, so the liquidation comes first
+  await paperBroker.placeOrder(INST_ID, "BUY", SIZE, { stop: 800, target: 1200 });
+  const [row] = paperBroker.fetchPositions([INST_ID]);
+
+  // 1001 x (1 - 1 / 10 + 0.4%) = 904.904
+  assertAmount(parseFloat(row.liqPx), 904.904);
+
+  await paperBroker.processTicker({ instId: INST_ID, price: 900 });
+  const closed = paperBroker.getLastClosedPosition(INST_ID);
+
+  // Filled at the liquidation price: (904.904 - 1001) x 0.1 = -9.6096, less fees of
+  // 0.05005 and 0.1 x 904.904 x 0.05% = 0.0452452
+  assert.equal(closed.reason, "liquidation");
+  assertAmount(closed.closePrice, 904.904);
+  assertAmount(closed.realizedPnl, -9.7048952);
+  assert.deepEqual(paperBroker.fetchPositions([INST_ID]), []);
+  assert.deepEqual(await paperBroker.getPendingAlgoOrders(INST_ID, "oco"), []);
+
+  assert.equal(alerts.length, 1);
+  assert.equal(alerts[0].type, "liquidation");
+});
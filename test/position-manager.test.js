@@ -0,0 +1,124 @@
+/**
+ * Tests for position reconciliation in position-manager.js (against the paper broker)
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const config = require("../config");
+
+process.env.OKX_API_KEY = process.env.OKX_API_KEY || "key";
+process.env.OKX_SECRET_KEY = process.env.OKX_SECRET_KEY || "secret";
+process.env.OKX_PASSPHRASE = process.env.OKX_PASSPHRASE || "passphrase";
+config.PAPER_TRADING = true;
+config.LOG_LEVEL = "error";
+
+const { positionEmitter, syncPositions, applyPositions, getPosition, getOpenNotional, getLastClosedPosition } = require("../position-manager");
+const paperBroker = require("../paper-broker");
+const { setInstrument } = require("../instruments");
+
+test("syncPositions reports every instrument, changed or not", async () => {
+  applyPositions([], ["BTC-USDT-SWAP"]);
+  const synced = [];
+  const onSynced = positions => synced.push(positions);
+  positionEmitter.on("positionsSynced", onSynced);
+
+  try {
+    // Flat before and after: no positionChanged, but the sync is still reported
+    const positions = await syncPositions(["BTC-USDT-SWAP"]);
+
+    assert.equal(synced.length, 1);
+    assert.deepEqual(synced[0], positions);
+    assert.equal(positions[0].instId, "BTC-USDT-SWAP");
+    assert.equal(positions[0].side, null);
+  } finally {
+    positionEmitter.removeListener("positionsSynced", onSynced);
+  }
+});
+
+test("a flat push for one side leaves the other side open in long/short mode", (t) => {
+  applyPositions([], ["BTC-USDT-SWAP"]);
+  const closed = [];
+  const onClosed = event => closed.push(event);
+  positionEmitter.on("positionClosed", onClosed);
+  t.after(() => positionEmitter.removeListener("positionClosed", onClosed));
+
+  applyPositions([{ instId: "BTC-USDT-SWAP", posSide: "long", pos: "2", avgPx: "60000", notionalUsd: "1200" }]);
+  applyPositions([{ instId: "BTC-USDT-SWAP", posSide: "short", pos: "0" }]);
+
+  assert.equal(closed.length, 0);
+  assert.equal(getPosition("BTC-USDT-SWAP").side, "long");
+  assert.equal(getPosition("BTC-USDT-SWAP").size, 2);
+
+  // A position on an instrument the bot does not trade is not tracked
+  applyPositions([{ instId: "ETH-USDT-SWAP", posSide: "long", pos: "5", avgPx: "3000", notionalUsd: "1500" }]);
+  assert.equal(getPosition("ETH-USDT-SWAP").side, null);
+  assert.equal(getOpenNotional(), 1200);
+
+  applyPositions([{ instId: "BTC-USDT-SWAP", posSide: "long", pos: "0" }]);
+  assert.equal(closed.length, 1);
+  assert.equal(closed[0].previous.side, "long");
+  assert.equal(getPosition("BTC-USDT-SWAP").side, null);
+  assert.equal(getOpenNotional(), 0);
+});
+
+/**
+ * Serve positions-history from a local server in place of OKX
+ * @param {Function} rowsFor - Returns the rows for the nth request (from 1)
+ * @returns {Promise<Object>} { requests, close } - requests counts positions-history requests
+ */
+async function servePositionsHistory(rowsFor) {
+  const state = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    const send = data => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ code: "0", data }));
+    };
+    if (req.url.startsWith("/api/v5/public/time")) {
+      return send([{ ts: String(Date.now()) }]);
+    }
+    state.requests++;
+    send(rowsFor(state.requests));
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  config.OKX_API_URL = `http://127.0.0.1:${server.address().port}`;
+  state.close = () => new Promise(resolve => server.close(resolve));
+  return state;
+}
+
+test("getLastClosedPosition waits for the row of the position that closed", async (t) => {
+  const previousRow = { instId: "BTC-USDT-SWAP", posId: "p1", cTime: "1000", uTime: "2000", realizedPnl: "-5", direction: "long" };
+  const closedRow = { instId: "BTC-USDT-SWAP", posId: "p1", cTime: "3000", uTime: "4000", realizedPnl: "7", direction: "long" };
+  // OKX records the closed position on the third lookup; until then the newest row is the previous one
+  const okx = await servePositionsHistory(request => request < 3 ? [previousRow] : [closedRow, previousRow]);
+  config.PAPER_TRADING = false;
+  config.CLOSED_POSITION_LOOKUP_DELAY = 10;
+  t.after(() => {
+    config.PAPER_TRADING = true;
+    return okx.close();
+  });
+
+  const closed = await getLastClosedPosition("BTC-USDT-SWAP", { posId: "p1", openedAt: 3000 });
+  assert.equal(okx.requests, 3);
+  assert.equal(closed.realizedPnl, 7);
+  assert.equal(closed.closedAt, 4000);
+
+  // Never recorded: unresolved rather than the previous position's PnL
+  okx.requests = 0;
+  assert.equal(await getLastClosedPosition("BTC-USDT-SWAP", { posId: "p1", openedAt: 5000 }), null);
+  assert.equal(okx.requests, config.CLOSED_POSITION_LOOKUP_ATTEMPTS);
+});
+
+test("the paper broker only returns the closed position asked for", async () => {
+  paperBroker.resetPaperBroker(1000);
+  setInstrument({ instId: "BTC-USDT-SWAP", ctVal: "0.01", ctMult: "1", ctValCcy: "BTC", lotSz: "0.01", minSz: "0.01", tickSz: "0.1" });
+  await paperBroker.processTicker({ instId: "BTC-USDT-SWAP", price: 60000 });
+  await paperBroker.placeOrder("BTC-USDT-SWAP", "BUY", "1", { correlationId: "c1" });
+  const [row] = paperBroker.fetchPositions(["BTC-USDT-SWAP"]);
+  await paperBroker.closePosition("BTC-USDT-SWAP", "long");
+
+  const openedAt = parseInt(row.cTime);
+  assert.equal((await getLastClosedPosition("BTC-USDT-SWAP", { openedAt })).openedAt, openedAt);
+  assert.equal(await getLastClosedPosition("BTC-USDT-SWAP", { openedAt: openedAt - 1 }), null);
+  assert.equal(await getLastClosedPosition("BTC-USDT-SWAP", { since: Date.now() + 1000 }), null);
+});
@@ -0,0 +1,37 @@
+/**
+ * Tests for the performance metrics in report.js
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateMetrics } = require("../report");
+
+/**
+ * Build a closed long trade
+ * @param {number} realizedPnl - Realized PnL
+ * @param {number} exitTime - Exit timestamp
+ * @returns {Object} Trade as from journal.getTrades
+ */
+function trade(realizedPnl, exitTime) {
+  return { side: "long", entryTime: exitTime - 1000, entryPrice: 100, stopLoss: "90", exitTime, exitPrice: 100 + realizedPnl, realizedPnl, fees: 0, funding: 0 };
+}
+
+test("drawdown percentage needs a starting balance", () => {
+  // Peak 10 after the first trade, down 5 from there
+  const trades = [trade(10, 1000), trade(-5, 2000)];
+
+  const without = calculateMetrics(trades);
+  assert.equal(without.maxDrawdown, 5);
+  assert.equal(without.maxDrawdownPercentage, null);
+
+  // Relative to the peak equity 110
+  assert.equal(calculateMetrics(trades, { balance: 100 }).maxDrawdownPercentage.toFixed(4), "4.5455");
+});
+
+test("profit factor is null without losing trades and survives JSON", () => {
+  const metrics = calculateMetrics([trade(10, 1000), trade(5, 2000)]);
+
+  assert.equal(metrics.profitFactor, null);
+  assert.equal(JSON.parse(JSON.stringify(metrics)).profitFactor, null);
+  assert.equal(calculateMetrics([trade(10, 1000), trade(-5, 2000)]).profitFactor, 2);
+  assert.equal(calculateMetrics([]).profitFactor, null);
+});
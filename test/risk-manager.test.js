@@ -0,0 +1,76 @@
+/**
+ * Tests for halting and re-arming in risk-manager.js, and re-arming through the control API
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+
+process.env.API_SERVER_TOKEN = "test-token";
+config.LOG_LEVEL = "error";
+config.RISK_STATE_FILE = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "risk-")), "risk-state.json");
+config.MAX_CONSECUTIVE_LOSSES = 2;
+config.MAX_DAILY_LOSS = 0;
+config.MAX_TRADES_PER_HOUR = 0;
+config.MAX_LEVERAGE = 0;
+config.MAX_OPEN_NOTIONAL = 0;
+
+/**
+ * Load risk-manager.js afresh, as a restarted bot would
+ * @returns {Object} The module, with its state loaded from RISK_STATE_FILE
+ */
+function restart() {
+  delete require.cache[require.resolve("../risk-manager")];
+  const riskManager = require("../risk-manager");
+  riskManager.loadRiskState();
+  return riskManager;
+}
+
+test("a halt survives a restart until it is re-armed", () => {
+  let riskManager = restart();
+  riskManager.recordTradeResult(-1);
+  assert.equal(riskManager.checkEntry().allowed, true);
+  riskManager.recordTradeResult(-1);
+
+  assert.equal(riskManager.getRiskState().halted, true);
+  assert.equal(riskManager.checkEntry().allowed, false);
+
+  riskManager = restart();
+  assert.equal(riskManager.getRiskState().halted, true);
+  assert.equal(riskManager.checkEntry().allowed, false);
+
+  const state = riskManager.rearm();
+  assert.equal(state.halted, false);
+  assert.equal(state.consecutiveLosses, 0);
+  assert.equal(riskManager.checkEntry().allowed, true);
+
+  assert.equal(restart().getRiskState().halted, false);
+});
+
+test("POST /api/rearm re-arms the running bot", async (t) => {
+  const riskManager = restart();
+  riskManager.halt("test halt");
+
+  const apiServer = require("../api-server");
+  config.API_SERVER_HOST = "127.0.0.1";
+  config.API_SERVER_PORT = 0;
+  const server = apiServer.startApiServer({ getStatus: () => ({}), rearm: riskManager.rearm });
+  t.after(() => apiServer.stopApiServer());
+  await new Promise(resolve => server.once("listening", resolve));
+  const url = `http://127.0.0.1:${server.address().port}/api/rearm`;
+
+  assert.equal((await fetch(url, { method: "POST" })).status, 401);
+  assert.equal(riskManager.getRiskState().halted, true);
+
+  const response = await fetch(url, { method: "POST", headers: { Authorization: "Bearer test-token" } });
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.result.halted, false);
+
+  // The bot's own state is re-armed, so its next save keeps it that way
+  assert.equal(riskManager.getRiskState().halted, false);
+  assert.equal(restart().getRiskState().halted, false);
+});
@@ -1,122 +1,110 @@
-require("dotenv").config();
-const axios = require("axios");
-const crypto = require("crypto");
+const EventEmitter = require("events");
 const config = require("./config");
+const rest = require("./okx-rest");
+const { validateCredentials, createHeaders, createLoginArgs } = rest;
+const { RequestTimeoutError, ServiceUnavailableError, OrderNotFoundError, DuplicateOrderError, BelowMinSizeError, OkxError } = require("./okx-errors");
+const { getInstrument, notionalToContracts, formatContracts, roundPrice, roundToStep } = require("./instruments");
+const { getStopSettings, calculateExitLevels } = require("./stops");
+const { getExecutionSettings, getEntryClOrdId, executeEntry, UnresolvedExecutionError } = require("./execution");
+const { getOrderBook } = require("./okx-client");
+const { calculatePositionSize } = require("./sizing");
+const { getInstrumentConfig } = require("./portfolio");
+const { createLogger, createCorrelationId } = require("./logger");
 
-const apiKey = process.env.OKX_API_KEY;
-const secretKey = process.env.OKX_SECRET_KEY;
-const passphrase = process.env.OKX_PASSPHRASE;
+const logger = createLogger("trader");
 
-// Validate required environment variables
-if (!apiKey || !secretKey || !passphrase) {
-  console.error("🚨 ERROR: Missing required API credentials in .env file!");
-  console.error("Please ensure OKX_API_KEY, OKX_SECRET_KEY, and OKX_PASSPHRASE are set.");
-  process.exit(1);
-}
+// Local order book quotes older than this are replaced by the REST ticker
+const BOOK_QUOTE_MAX_AGE = 5000;
 
-/**
- * Generate OKX API signature
- * @param {string} timestamp - ISO timestamp
- * @param {string} method - HTTP method (GET/POST)
- * @param {string} requestPath - API endpoint path
- * @param {object|null} body - Request body for POST requests
- * @returns {string} Base64 encoded HMAC signature
- */
-function generateSignature(timestamp, method, requestPath, body = null) {
-  const message = timestamp + method + requestPath + (body ? JSON.stringify(body) : '');
-  return crypto.createHmac('sha256', secretKey).update(message).digest('base64');
-}
+// Algo order types that protect a position (SL/TP pairs, one-sided SL or TP, trailing stops)
+const PROTECTION_ORDER_TYPES = ["oco", "conditional", "move_order_stop"];
+
+// OKX cancels at most this many algo orders per request
+const CANCEL_ALGOS_BATCH = 10;
+
+// Checks for a market order's fill (and its realized PnL), and the delay between them in milliseconds
+const FILL_CHECK_ATTEMPTS = 10;
+const FILL_CHECK_DELAY = 200;
+
+// Lookups of a resent order OKX rejected as a duplicate, and the delay between them in milliseconds
+const DUPLICATE_LOOKUP_ATTEMPTS = 5;
+const DUPLICATE_LOOKUP_DELAY = 200;
+
+class TradeEmitter extends EventEmitter {}
+const tradeEmitter = new TradeEmitter();
 
 /**
- * Create headers for OKX API requests
- * @param {string} method - HTTP method (GET/POST)
- * @param {string} requestPath - API endpoint path
- * @param {object|null} body - Request body for POST requests
- * @returns {object} Headers object
+ * Get account equity and available balance for a currency
+ * @param {string} currency - Currency to check balance for (e.g., "USDT")
+ * @returns {Promise<object>} { equity, available } in the given currency
  */
-function createHeaders(method, requestPath, body = null) {
-  const timestamp = new Date().toISOString();
-  const signature = generateSignature(timestamp, method, requestPath, body);
-
-  const headers = {
-    "OK-ACCESS-KEY": apiKey,
-    "OK-ACCESS-SIGN": signature,
-    "OK-ACCESS-TIMESTAMP": timestamp,
-    "OK-ACCESS-PASSPHRASE": passphrase,
-    "Content-Type": "application/json"
-  };
+async function getAccountBalance(currency = "USDT") {
+  const balancePath = "/api/v5/account/balance";
+  const queryParams = currency ? `?ccy=${currency}` : '';
+  const accounts = await rest.get(balancePath + queryParams, { auth: true });
+
+  if (!accounts.length) {
+    throw new Error("Failed to fetch account balance");
+  }
 
-  // Add simulated trading header if enabled
-  if (config.USE_SIMULATED_TRADING) {
-    headers["x-simulated-trading"] = "1";
-    console.log("🧪 Using simulated trading mode (demo)");
+  // Find the currency in the balance data
+  for (const account of accounts) {
+    for (const detail of account.details) {
+      if (detail.ccy === currency) {
+        const available = parseFloat(detail.availEq || detail.availBal);
+        return {
+          equity: parseFloat(detail.eq || available),
+          available
+        };
+      }
+    }
   }
 
-  return headers;
+  return { equity: 0, available: 0 };
 }
 
 /**
  * Get account balance and calculate trade size as percentage of assets
  * @param {string} currency - Currency to check balance for (e.g., "USDT")
  * @param {number} percentage - Percentage of balance to use for trading
- * @returns {Promise<string>} Trade size
+ * @param {string} symbol - Trading pair symbol
+ * @returns {Promise<string>} Trade size in contracts
  */
-async function getTradeSize(currency = "USDT", percentage = 10) {
+async function getTradeSize(currency = "USDT", percentage = 10, symbol = config.TRADING_PAIR) {
   try {
-    const balancePath = "/api/v5/account/balance";
-    const queryParams = currency ? `?ccy=${currency}` : '';
-    const fullPath = balancePath + queryParams;
-    const headers = createHeaders("GET", fullPath, null);
-
-    const response = await axios.get(
-      `${config.OKX_API_URL}${fullPath}`,
-      { headers }
-    );
-
-    if (!response.data || !response.data.data || !response.data.data.length) {
-      console.error("🚨 Failed to fetch account balance");
-      return config.TRADE_SIZE; // Fall back to config value
-    }
-
-    // Find the currency in the balance data
-    let balance = 0;
-    for (const account of response.data.data) {
-      for (const detail of account.details) {
-        if (detail.ccy === currency) {
-          balance = parseFloat(detail.availEq || detail.availBal);
-          break;
-        }
-      }
-    }
+    const balance = (await getAccountBalance(currency)).available;
 
     if (balance <= 0) {
-      console.error(`🚨 No available balance found for ${currency}`);
+      logger.error("No available balance found", { currency });
       return config.TRADE_SIZE; // Fall back to config value
     }
 
     // Calculate trade size as percentage of balance
     const tradeSize = (balance * (percentage / 100)).toFixed(6);
-    console.log(`💰 Account Balance: ${balance} ${currency}`);
-    console.log(`📊 Using ${percentage}% for trade: ${tradeSize} ${currency}`);
+    logger.info("Trade size from balance", { balance, currency, percentage, tradeSize });
 
-    // For BTC-USDT-SWAP, we need to convert USDT value to BTC quantity
-    // This requires getting the current BTC price
-    const tickerPath = `/api/v5/market/ticker?instId=${config.TRADING_PAIR}`;
-    const marketData = await axios.get(`${config.OKX_API_URL}${tickerPath}`);
+    // For swaps, "sz" is a number of contracts: convert the USDT value using
+    // the current price and the instrument's contract value
+    const tickers = await rest.get(`/api/v5/market/ticker?instId=${symbol}`);
 
-    if (!marketData.data || !marketData.data.data || !marketData.data.data.length) {
-      console.error("🚨 Failed to fetch market price");
-      return tradeSize;
+    if (!tickers.length) {
+      logger.error("Failed to fetch market price", { instId: symbol });
+      return config.TRADE_SIZE; // Fall back to config value
     }
 
-    const btcPrice = parseFloat(marketData.data.data[0].last);
-    // Calculate BTC quantity based on USDT value
-    const btcQuantity = (tradeSize / btcPrice).toFixed(6);
-    console.log(`🔄 Converting to BTC: ${btcQuantity} BTC at price $${btcPrice}`);
+    const lastPrice = parseFloat(tickers[0].last);
+    const instrument = await getInstrument(symbol);
+    const contracts = notionalToContracts(instrument, parseFloat(tradeSize), lastPrice);
+    logger.info("Converted trade size to contracts", { instId: symbol, contracts, ctVal: instrument.ctVal, ctValCcy: instrument.ctValCcy, price: lastPrice });
 
-    return btcQuantity;
+    return contracts;
   } catch (error) {
-    console.error("🚨 Error calculating trade size:", error.response && error.response.data ? error.response.data : error.message);
+    // Never fall back to a default size when the computed order is too small
+    if (error instanceof BelowMinSizeError) {
+      logger.error("Trade size below the minimum order size", { instId: symbol, error });
+      throw error;
+    }
+    logger.error("Error calculating trade size", { instId: symbol, error });
     return config.TRADE_SIZE; // Fall back to config value
   }
 }
@@ -124,12 +112,14 @@ async function getTradeSize(currency = "USDT", percentage = 10) {
 /**
  * Set leverage for trading
  * @param {string} symbol - Trading pair symbol
- * @param {string} leverage - Leverage value
+ * @param {string} leverage - Leverage value (defaults to the instrument's LEVERAGE)
  * @returns {Promise<boolean>} Success status
  */
-async function setLeverage(symbol = config.TRADING_PAIR, leverage = config.LEVERAGE) {
+async function setLeverage(symbol = config.TRADING_PAIR, leverage = getInstrumentConfig(symbol).LEVERAGE) {
+  const tradeMode = getInstrumentConfig(symbol).TRADE_MODE;
+
   try {
-    console.log(`📈 Setting ${leverage}x leverage for ${symbol}...`);
+    logger.info("Setting leverage", { instId: symbol, leverage });
     
     // Update to correct API endpoint (account not trade)
     const leveragePath = "/api/v5/account/set-leverage";
@@ -138,7 +128,7 @@ async function setLeverage(symbol = config.TRADING_PAIR, leverage = config.LEVER
     const leverageBody = {
       instId: symbol,
       lever: leverage,
-      mgnMode: config.TRADE_MODE
+      mgnMode: tradeMode
     };
     
     // Add posSide parameter if using long/short position mode
@@ -147,175 +137,795 @@ async function setLeverage(symbol = config.TRADING_PAIR, leverage = config.LEVER
       // Note: You would need to make a separate call for short positions
     }
 
-    const headers = createHeaders("POST", leveragePath, leverageBody);
+    // Setting the same leverage twice is harmless, so it is retried like a GET
+    await rest.post(leveragePath, leverageBody, { auth: true, idempotent: true });
 
-    const response = await axios.post(
-      `${config.OKX_API_URL}${leveragePath}`,
-      leverageBody,
-      { headers }
-    );
+    logger.info("Leverage set", { instId: symbol, leverage, tradeMode });
+    return true;
+  } catch (error) {
+    logger.error("Error setting leverage", { instId: symbol, error });
+    return false;
+  }
+}
 
-    if (response.data && response.data.code === "0") {
-      console.log(`📈 Leverage set to ${leverage}x for ${symbol} in ${config.TRADE_MODE} mode`);
-      return true;
-    } else {
-      console.error("🚨 Failed to set leverage:", response.data);
+/**
+ * Emit and log an alert that needs operator attention
+ * @param {string} type - Alert type (e.g. "unprotected_position")
+ * @param {string} message - Human readable message
+ * @param {object} details - Extra context (including the trade's correlationId)
+ */
+function raiseAlert(type, message, details = {}) {
+  logger.error("ALERT", { alertType: type, alert: message, ...details });
+  tradeEmitter.emit("alert", { type, message, details, timestamp: Date.now() });
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get pending algo (TP/SL) orders for an instrument
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} ordType - Algo order type ("oco" for attached TP+SL, "conditional" for one-sided)
+ * @returns {Promise<Array>} Pending algo orders
+ */
+async function getPendingAlgoOrders(symbol = config.TRADING_PAIR, ordType = "oco") {
+  return rest.get(`/api/v5/trade/orders-algo-pending?instId=${symbol}&ordType=${ordType}`, { auth: true });
+}
+
+/**
+ * Look up an order by its client order ID
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} clOrdId - Client order ID
+ * @returns {Promise<object|null>} The order, or null if OKX has no such order
+ */
+async function findOrder(symbol, clOrdId) {
+  try {
+    const orders = await rest.get(`/api/v5/trade/order?instId=${symbol}&clOrdId=${clOrdId}`, { auth: true });
+    return orders[0] || null;
+  } catch (error) {
+    if (error instanceof OrderNotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Submit an order under its client order ID (orderBody.clOrdId)
+ * When the outcome of the request is unknown (timeout, outage), the order is looked
+ * up by clOrdId and only sent again if OKX never received it, so a retry can
+ * never open a second position. If the first request lands in between, OKX rejects
+ * the resend as a duplicate and the order is looked up again.
+ * @param {object} orderBody - Body for /api/v5/trade/order, including clOrdId
+ * @param {object} log - Logger carrying the trade's correlation ID
+ * @returns {Promise<object>} Order result row ({ ordId, clOrdId, sCode, sMsg })
+ */
+async function submitOrder(orderBody, log = logger) {
+  const orderPath = "/api/v5/trade/order";
+
+  try {
+    const [result] = await rest.post(orderPath, orderBody, { auth: true });
+    return result;
+  } catch (error) {
+    if (!(error instanceof RequestTimeoutError || error instanceof ServiceUnavailableError)) {
+      throw error;
+    }
+
+    log.warn("Order outcome unknown, looking it up by clOrdId", { clOrdId: orderBody.clOrdId, error });
+    const existing = await findOrder(orderBody.instId, orderBody.clOrdId);
+    if (existing) {
+      log.info("Order was received by OKX", { clOrdId: orderBody.clOrdId, orderId: existing.ordId, state: existing.state });
+      return { ordId: existing.ordId, clOrdId: existing.clOrdId, sCode: "0", sMsg: "" };
+    }
+
+    log.warn("Order was not received by OKX, sending it again", { clOrdId: orderBody.clOrdId });
+    try {
+      const [result] = await rest.post(orderPath, orderBody, { auth: true });
+      return result;
+    } catch (resendError) {
+      if (!(resendError instanceof DuplicateOrderError)) {
+        throw resendError;
+      }
+
+      // The first request turned up after all: OKX rejects the duplicate clOrdId
+      for (let attempt = 1; attempt <= DUPLICATE_LOOKUP_ATTEMPTS; attempt++) {
+        const order = await findOrder(orderBody.instId, orderBody.clOrdId);
+        if (order) {
+          log.info("Order was received by OKX after all", { clOrdId: orderBody.clOrdId, orderId: order.ordId, state: order.state });
+          return { ordId: order.ordId, clOrdId: order.clOrdId, sCode: "0", sMsg: "" };
+        }
+        await sleep(DUPLICATE_LOOKUP_DELAY);
+      }
+      throw resendError;
+    }
+  }
+}
+
+/**
+ * Create the exchange adapter the execution algorithms send their child orders through
+ * Quotes come from the local order book when ORDER_BOOK_CHANNEL is enabled and the
+ * book is fresh, otherwise from the REST ticker.
+ * @param {object} log - Logger carrying the trade's correlation ID
+ * @returns {object} Adapter for execution.executeEntry
+ */
+function createExecutionExchange(log = logger) {
+  return {
+    async getQuote(symbol) {
+      const book = getOrderBook(symbol);
+      if (book && book.features && rest.serverTime() - book.features.timestamp < BOOK_QUOTE_MAX_AGE) {
+        return { bid: book.features.bestBid, ask: book.features.bestAsk };
+      }
+
+      const tickers = await rest.get(`/api/v5/market/ticker?instId=${symbol}`);
+      if (!tickers.length) {
+        throw new Error("Failed to fetch market data");
+      }
+      return { bid: parseFloat(tickers[0].bidPx), ask: parseFloat(tickers[0].askPx) };
+    },
+    submitOrder: orderBody => submitOrder(orderBody, log),
+    getOrder: findOrder,
+    amendOrder: (symbol, clOrdId, price) => rest.post("/api/v5/trade/amend-order", { instId: symbol, clOrdId, newPx: price }, { auth: true }),
+    cancelOrder: (symbol, clOrdId) => rest.post("/api/v5/trade/cancel-order", { instId: symbol, clOrdId }, { auth: true })
+  };
+}
+
+/**
+ * Place a stop-loss/take-profit pair (OKX oco algo order) for a filled entry
+ * Used after post_only, ioc and twap entries, which fill over several orders;
+ * market entries attach their SL/TP to the entry order instead.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} side - Entry side (BUY/SELL); the SL/TP is placed on the opposite side
+ * @param {string} size - Filled contracts
+ * @param {string} posSide - "long" or "short"
+ * @param {string} stopLoss - Stop-loss trigger price
+ * @param {string} takeProfit - Take-profit trigger price
+ * @param {string} algoClOrdId - Client ID of the algo order
+ * @returns {Promise<string>} Algo ID
+ */
+async function placeProtection(symbol, side, size, posSide, stopLoss, takeProfit, algoClOrdId) {
+  const protectionBody = {
+    instId: symbol,
+    tdMode: getInstrumentConfig(symbol).TRADE_MODE,
+    side: side.toLowerCase() === "buy" ? "sell" : "buy",
+    ordType: "oco",
+    sz: size,
+    reduceOnly: true,
+    algoClOrdId,
+    tpTriggerPx: takeProfit,
+    tpOrdPx: "-1",            // Market price
+    tpTriggerPxType: "last",
+    slTriggerPx: stopLoss,
+    slOrdPx: "-1",            // Market price
+    slTriggerPxType: "last"
+  };
+
+  if (config.POSITION_MODE === "long_short_mode") {
+    protectionBody.posSide = posSide;
+  }
+
+  const [result] = await rest.post("/api/v5/trade/order-algo", protectionBody, { auth: true });
+  return result.algoId;
+}
+
+/**
+ * Poll until the TP/SL attached to an entry order shows up as a live algo order
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} algoClOrdId - Client ID given to the attached algo order
+ * @param {object} log - Logger carrying the trade's correlation ID
+ * @returns {Promise<object|null>} The algo order, or null if it could not be confirmed
+ */
+async function verifyProtection(symbol, algoClOrdId, log = logger) {
+  for (let attempt = 1; attempt <= config.PROTECTION_VERIFY_ATTEMPTS; attempt++) {
+    await sleep(config.PROTECTION_VERIFY_DELAY);
+
+    try {
+      const algoOrders = await getPendingAlgoOrders(symbol, "oco");
+      const algoOrder = algoOrders.find(algo => algo.algoClOrdId === algoClOrdId);
+      if (algoOrder) {
+        return algoOrder;
+      }
+    } catch (error) {
+      log.error("Error verifying protective orders", { error });
+    }
+
+    log.info("Waiting for protective orders", { attempt, maxAttempts: config.PROTECTION_VERIFY_ATTEMPTS });
+  }
+
+  return null;
+}
+
+/**
+ * Place an exchange-managed trailing stop (OKX move_order_stop)
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} side - Entry side (BUY/SELL); the stop is placed on the opposite side
+ * @param {string} size - Position size in contracts
+ * @param {string} posSide - "long" or "short"
+ * @param {number} callbackRatio - Trailing distance as a ratio (0.01 = 1%)
+ * @param {string} algoClOrdId - Client ID of the trailing stop
+ * @param {object} log - Logger carrying the trade's correlation ID
+ * @returns {Promise<string|null>} Algo ID, or null if the order was rejected
+ */
+async function placeTrailingStop(symbol, side, size, posSide, callbackRatio, algoClOrdId, log = logger) {
+  try {
+    const algoPath = "/api/v5/trade/order-algo";
+    const trailingBody = {
+      instId: symbol,
+      tdMode: getInstrumentConfig(symbol).TRADE_MODE,
+      side: side === "BUY" ? "sell" : "buy",
+      ordType: "move_order_stop",
+      sz: size,
+      callbackRatio: callbackRatio.toString(),
+      reduceOnly: true,
+      algoClOrdId
+    };
+
+    if (config.POSITION_MODE === "long_short_mode") {
+      trailingBody.posSide = posSide;
+    }
+
+    const [result] = await rest.post(algoPath, trailingBody, { auth: true });
+
+    log.info("Trailing stop set", { callbackPercentage: callbackRatio * 100, algoId: result.algoId });
+    return result.algoId;
+  } catch (error) {
+    log.error("Error placing trailing stop", { error });
+    return null;
+  }
+}
+
+/**
+ * Cancel algo orders of an instrument, in batches of CANCEL_ALGOS_BATCH
+ * An order that triggers or is canceled meanwhile is logged and skipped.
+ * @param {string} symbol - Trading pair symbol
+ * @param {Array} algoOrders - Algo orders to cancel (with algoId)
+ * @param {object} log - Logger carrying the trade's correlation ID
+ * @returns {Promise<void>}
+ */
+async function cancelAlgoOrders(symbol, algoOrders, log = logger) {
+  for (let i = 0; i < algoOrders.length; i += CANCEL_ALGOS_BATCH) {
+    const batch = algoOrders.slice(i, i + CANCEL_ALGOS_BATCH);
+    try {
+      await rest.post("/api/v5/trade/cancel-algos", batch.map(algo => ({ instId: symbol, algoId: algo.algoId })), { auth: true });
+    } catch (error) {
+      log.warn("Error cancelling protective orders", { algoIds: batch.map(algo => algo.algoId), error });
+    }
+  }
+
+  if (algoOrders.length) {
+    log.info("Protective orders cancelled", { instId: symbol, algoIds: algoOrders.map(algo => algo.algoId) });
+  }
+}
+
+/**
+ * List the protective algo orders (SL/TP and trailing stops) of a position
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} posSide - "long" or "short"; in long/short position mode only that side's orders are listed
+ * @returns {Promise<Array>} Pending protective algo orders
+ */
+async function getProtection(symbol = config.TRADING_PAIR, posSide = null) {
+  const protection = [];
+  for (const ordType of PROTECTION_ORDER_TYPES) {
+    const algoOrders = await getPendingAlgoOrders(symbol, ordType);
+    protection.push(...algoOrders.filter(algo => config.POSITION_MODE !== "long_short_mode" || !posSide || algo.posSide === posSide));
+  }
+  return protection;
+}
+
+/**
+ * Cancel the protective algo orders (SL/TP and trailing stops) of an instrument
+ * They belong to the position they were placed for, so they are cancelled whenever
+ * that position changes: after a close and before a new entry. Otherwise reduce-only
+ * orders of an earlier position could close the next one. A reduced position gets its
+ * new orders first and only then loses the old ones (see reducePosition).
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} posSide - "long" or "short"; in long/short position mode only that side's orders are cancelled
+ * @param {object} log - Logger carrying the trade's correlation ID
+ * @returns {Promise<Array>} The algo orders that were pending
+ */
+async function cancelProtection(symbol = config.TRADING_PAIR, posSide = null, log = logger) {
+  const stale = await getProtection(symbol, posSide);
+  await cancelAlgoOrders(symbol, stale, log);
+  return stale;
+}
+
+/**
+ * Wait for a market order to fill
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} clOrdId - Client order ID of the order
+ * @param {object} log - Logger carrying the trade's correlation ID
+ * @returns {Promise<object|null>} The filled order, or null if no fill was confirmed
+ */
+async function waitForFill(symbol, clOrdId, log = logger) {
+  for (let attempt = 1; attempt <= FILL_CHECK_ATTEMPTS; attempt++) {
+    try {
+      const order = await findOrder(symbol, clOrdId);
+      if (order && order.state === "filled") {
+        return order;
+      }
+    } catch (error) {
+      log.warn("Error checking order fill", { clOrdId, attempt, error });
+    }
+    await sleep(FILL_CHECK_DELAY);
+  }
+  return null;
+}
+
+/**
+ * Close a position whose protective orders could not be confirmed and raise an alert
+ * Also used when entry orders could not be canceled, so the size to protect is unknown.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} posSide - "long" or "short"
+ * @param {string} message - What could not be confirmed
+ * @param {object} details - Alert details (including the trade's correlationId)
+ * @param {object} log - Logger carrying the trade's correlation ID
+ * @returns {Promise<Error>} Error for the caller to throw
+ */
+async function flattenUnprotected(symbol, posSide, message, details, log = logger) {
+  log.error("Position not protected, flattening it", { orderId: details.orderId, reason: message });
+
+  let flattened = false;
+  try {
+    flattened = await closePosition(symbol, posSide);
+  } catch (closeError) {
+    log.error("Failed to flatten unprotected position", { orderId: details.orderId, error: closeError });
+  }
+
+  raiseAlert("unprotected_position", flattened
+    ? `${message}. The position was closed.`
+    : `${message}. Closing the position FAILED, manual action required!`,
+  { ...details, symbol, flattened });
+
+  return new Error(`${message}${flattened ? "; position was closed" : "; position could not be closed"}`);
+}
+
+/**
+ * Close the entire position on an instrument at market
+ * The close is reduce-only by nature (OKX close-position); the position's protective
+ * orders are cancelled afterwards.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} posSide - "long" or "short" (only used in long/short position mode)
+ * @returns {Promise<boolean>} Success status
+ */
+async function closePosition(symbol = config.TRADING_PAIR, posSide = null) {
+  const closePath = "/api/v5/trade/close-position";
+  const closeBody = {
+    instId: symbol,
+    mgnMode: getInstrumentConfig(symbol).TRADE_MODE,
+    autoCxl: true // Cancel pending orders that would block the close
+  };
+
+  if (config.POSITION_MODE === "long_short_mode" && posSide) {
+    closeBody.posSide = posSide;
+  }
+
+  try {
+    await rest.post(closePath, closeBody, { auth: true });
+  } catch (error) {
+    // A rejection means nothing was closed; timeouts leave the outcome unknown and are thrown
+    if (error instanceof OkxError && error.okxCode) {
+      logger.error("Failed to close position", { instId: symbol, error });
       return false;
     }
+    throw error;
+  }
+
+  logger.info("Position closed", { instId: symbol });
+
+  try {
+    await cancelProtection(symbol, posSide);
   } catch (error) {
-    console.error("🚨 Error setting leverage:", error.response && error.response.data ? error.response.data : error.message);
-    return false;
+    // Left for the next entry on this instrument, which cancels them first
+    logger.error("Failed to cancel protective orders of the closed position", { instId: symbol, error });
   }
+
+  return true;
 }
 
 /**
- * Place a futures market order with SL & TP
+ * Open a position: place a futures entry order with SL & TP
+ * Only call it without a position on the order's side, or in the other direction;
+ * use reversePosition to turn a position around. Protective orders left over from an
+ * earlier position are cancelled before the entry.
+ * The strategy's EXECUTION_MODE selects how the entry is worked (see execution.js).
+ * Market entries attach the SL & TP to the order; the other modes place them for
+ * the filled size once the entry is done, from the average fill price. Either way
+ * they are verified; if they cannot be confirmed the position is flattened and an
+ * alert is raised.
+ * Leverage, margin mode, stops and sizing use the instrument's settings from config.INSTRUMENTS.
  * @param {string} symbol - Trading pair symbol
  * @param {string} side - Order side (BUY/SELL)
- * @param {string} size - Order size
+ * @param {string} size - Order size in contracts
+ * @param {object} options - Signal context
+ * @param {string} options.strategy - Strategy name, selects the stop and execution settings
+ * @param {object} options.indicators - Indicator values for ATR/Supertrend stops
+ * @param {number} options.stop - Stop-loss price supplied by the strategy (optional)
+ * @param {number} options.target - Take-profit price supplied by the strategy (optional)
+ * @param {number} options.maxNotional - Notional cap from the risk manager
+ * @param {string} options.correlationId - Correlation ID of the signal, added to every log entry of the order
  * @returns {Promise<object>} Order details
  */
-async function placeOrder(symbol = config.TRADING_PAIR, side, size = null) {
-  try {
-    console.log(`🔄 Preparing ${side} order for ${symbol}...`);
+async function placeOrder(symbol = config.TRADING_PAIR, side, size = null, options = {}) {
+  const correlationId = options.correlationId || createCorrelationId();
+  const log = logger.child({ correlationId, instId: symbol });
 
-    // Dynamically calculate trade size if not provided
-    if (!size) {
-      size = await getTradeSize(config.USE_PERCENTAGE_OF_BALANCE_CURRENCY, config.USE_PERCENTAGE_OF_BALANCE);
-    }
+  try {
+    log.info("Preparing order", { side });
 
-    console.log(`💱 Order size: ${size} for ${symbol}`);
+    const settings = getInstrumentConfig(symbol);
+    const instrument = await getInstrument(symbol);
 
     // Ensure leverage is set correctly
-    await setLeverage(symbol, config.LEVERAGE);
+    await setLeverage(symbol, settings.LEVERAGE);
 
     // Get latest price
-    const tickerPath = `/api/v5/market/ticker?instId=${symbol}`;
-    const marketData = await axios.get(`${config.OKX_API_URL}${tickerPath}`);
+    const tickers = await rest.get(`/api/v5/market/ticker?instId=${symbol}`);
 
-    if (!marketData.data || !marketData.data.data || !marketData.data.data.length) {
+    if (!tickers.length) {
       throw new Error("Failed to fetch market data");
     }
 
-    const lastPrice = parseFloat(marketData.data.data[0].last);
-    console.log(`📊 Current price: $${lastPrice}`);
+    const lastPrice = parseFloat(tickers[0].last);
+    log.info("Current price", { price: lastPrice });
 
     // Define position side
     const posSide = side.toLowerCase() === "buy" ? "long" : "short";
 
-    // Calculate SL & TP levels based on configuration
-    const slPercent = config.STOP_LOSS_PERCENTAGE / 100;
-    const tpPercent = config.TAKE_PROFIT_PERCENTAGE / 100;
-
+    // Calculate SL & TP levels using the strategy's stop settings
     // For BUY/LONG: SL is below entry, TP is above entry
     // For SELL/SHORT: SL is above entry, TP is below entry
-    const stopLoss = side === "BUY"
-      ? (lastPrice * (1 - slPercent)).toFixed(2)
-      : (lastPrice * (1 + slPercent)).toFixed(2);
-
-    const takeProfit = side === "BUY"
-      ? (lastPrice * (1 + tpPercent)).toFixed(2)
-      : (lastPrice * (1 - tpPercent)).toFixed(2);
+    const stopSettings = getStopSettings(options.strategy || settings.STRATEGY, settings);
+    const executionSettings = getExecutionSettings(options.strategy || settings.STRATEGY, settings);
+    let exits = calculateExitLevels(posSide, lastPrice, options.indicators || {}, stopSettings, {
+      stop: options.stop,
+      target: options.target
+    });
 
-    console.log(`🛑 Stop Loss: ${stopLoss} (${config.STOP_LOSS_PERCENTAGE}% from entry)`);
-    console.log(`🎯 Take Profit: ${takeProfit} (${config.TAKE_PROFIT_PERCENTAGE}% from entry)`);
+    let stopLoss = roundPrice(instrument, exits.stopLoss);
+    let takeProfit = roundPrice(instrument, exits.takeProfit);
 
-    // API paths
-    const orderPath = "/api/v5/trade/order";
-
-    // Place Futures Market Order
-    const orderBody = {
-      instId: symbol,
-      tdMode: config.TRADE_MODE,  // "cross" or "isolated"
-      side: side.toLowerCase(),
-      posSide: posSide,           // "long" or "short"
-      ordType: "market",
-      sz: size,
-      lever: config.LEVERAGE
-    };
-
-    const orderHeaders = createHeaders("POST", orderPath, orderBody);
+    log.info("Exit levels calculated", {
+      stopLoss,
+      stopMode: exits.stopMode,
+      stopDistancePercentage: exits.risk / lastPrice * 100,
+      takeProfit,
+      takeProfitMode: stopSettings.TAKE_PROFIT_MODE
+    });
 
-    const order = await axios.post(
-      `${config.OKX_API_URL}${orderPath}`,
-      orderBody,
-      { headers: orderHeaders }
-    );
+    // Dynamically calculate trade size if not provided, using the stop distance
+    let sizing = null;
+    if (!size) {
+      let balance = null;
+      try {
+        balance = await getAccountBalance(settings.USE_PERCENTAGE_OF_BALANCE_CURRENCY);
+      } catch (error) {
+        log.error("Error fetching balance for sizing", { error });
+      }
 
-    if (!order.data || !order.data.data || !order.data.data.length) {
-      throw new Error("Order placement failed: Invalid response");
+      if (balance && balance.available > 0) {
+        sizing = calculatePositionSize({
+          equity: balance.equity,
+          available: balance.available,
+          entryPrice: lastPrice,
+          stopLoss: exits.stopLoss,
+          atr: options.indicators ? options.indicators.atr : null,
+          leverage: settings.LEVERAGE,
+          instrument,
+          maxNotional: options.maxNotional,
+          settings
+        });
+        size = sizing.contracts;
+      } else {
+        log.error("No available balance found, using the default size", { size: settings.TRADE_SIZE });
+        size = settings.TRADE_SIZE; // Fall back to config value
+      }
     }
 
-    console.log(`✅ Futures Market Order Placed: ${side} ${size} of ${symbol} at $${lastPrice}`);
+    // Round to the lot size and reject orders below the minimum size
+    size = formatContracts(instrument, size);
+
+    log.info("Order size", { contracts: size });
+
+    // Client IDs: the entry's makes resubmission idempotent, the TP/SL's lets
+    // the resulting algo order be found once the entry fills
+    const clOrdId = getEntryClOrdId(correlationId);
+    const algoClOrdId = `sltp${correlationId}`;
+    let orderId;
+
+    // A trailing stop that outlived its position (its SL/TP fired) would reduce this one
+    await cancelProtection(symbol, posSide, log);
+    let entryPrice = lastPrice;
+    let execution = null;
+    let protectionPlaced = true;
+
+    if (executionSettings.EXECUTION_MODE === "market") {
+      // Place Futures Market Order with SL & TP attached, so protection is created atomically with the entry
+      const orderBody = {
+        instId: symbol,
+        tdMode: settings.TRADE_MODE,  // "cross" or "isolated"
+        side: side.toLowerCase(),
+        ordType: "market",
+        sz: size,
+        clOrdId,
+        attachAlgoOrds: [{
+          attachAlgoClOrdId: algoClOrdId,
+          tpTriggerPx: takeProfit,
+          tpOrdPx: "-1",            // Market price
+          tpTriggerPxType: "last",
+          slTriggerPx: stopLoss,
+          slOrdPx: "-1",            // Market price
+          slTriggerPxType: "last"
+        }]
+      };
+
+      // Add posSide parameter if using long/short position mode
+      if (config.POSITION_MODE === "long_short_mode") {
+        orderBody.posSide = posSide;
+      }
 
-    // Get Order ID
-    const orderId = order.data.data[0].ordId;
-    console.log(`🔑 Order ID: ${orderId}`);
+      const orderResult = await submitOrder(orderBody, log);
 
-    // Place Stop-Loss Order
-    const slOrderBody = {
-      instId: symbol,
-      tdMode: config.TRADE_MODE,
-      side: side === "BUY" ? "sell" : "buy",
-      posSide: posSide,
-      ordType: "conditional",
-      sz: size,
-      tpTriggerPx: "",
-      tpOrdPx: "",
-      slTriggerPx: stopLoss,
-      slOrdPx: "-1",   // Market price
-      triggerPxType: "last",
-    };
+      // Get Order ID
+      orderId = orderResult.ordId;
+      log.info("Market order placed", { side, size, price: lastPrice, orderId, clOrdId, algoClOrdId });
+    } else {
+      const childOrder = { instId: symbol, tdMode: settings.TRADE_MODE, side: side.toLowerCase() };
+      if (config.POSITION_MODE === "long_short_mode") {
+        childOrder.posSide = posSide;
+      }
 
-    const slOrderHeaders = createHeaders("POST", orderPath, slOrderBody);
+      try {
+        execution = await executeEntry({
+          exchange: createExecutionExchange(log),
+          instrument,
+          order: childOrder,
+          size,
+          correlationId,
+          settings: executionSettings,
+          log
+        });
+      } catch (error) {
+        // Orders that may still fill leave the position size unknown: close whatever is open
+        if (error instanceof UnresolvedExecutionError) {
+          throw await flattenUnprotected(symbol, posSide, error.message,
+            { correlationId, side, size, filled: error.filled, clOrdIds: error.clOrdIds }, log);
+        }
+        throw error;
+      }
 
-    const slOrder = await axios.post(
-      `${config.OKX_API_URL}${orderPath}`,
-      slOrderBody,
-      { headers: slOrderHeaders }
-    );
+      orderId = execution.orders.find(child => child.filled > 0).ordId;
+      size = roundToStep(execution.filled, instrument.lotSz, "round");
+      entryPrice = execution.averagePrice;
+
+      // Stops and targets relative to the entry follow the actual fill price
+      exits = calculateExitLevels(posSide, entryPrice, options.indicators || {}, stopSettings, {
+        stop: options.stop,
+        target: options.target
+      });
+      stopLoss = roundPrice(instrument, exits.stopLoss);
+      takeProfit = roundPrice(instrument, exits.takeProfit);
+
+      try {
+        const algoId = await placeProtection(symbol, side, size, posSide, stopLoss, takeProfit, algoClOrdId);
+        log.info("Protection placed", { algoId, algoClOrdId, size, stopLoss, takeProfit });
+      } catch (error) {
+        log.error("Error placing protective orders", { algoClOrdId, error });
+        protectionPlaced = false;
+      }
+    }
 
-    console.log(`🛑 Stop-Loss Set at $${stopLoss}`);
+    // Confirm the SL & TP exist; never leave a leveraged position unprotected
+    const algoOrder = protectionPlaced ? await verifyProtection(symbol, algoClOrdId, log) : null;
 
-    // Place Take-Profit Order
-    const tpOrderBody = {
-      instId: symbol,
-      tdMode: config.TRADE_MODE,
-      side: side === "BUY" ? "sell" : "buy",
-      posSide: posSide,
-      ordType: "conditional",
-      sz: size,
-      tpTriggerPx: takeProfit,
-      tpOrdPx: "-1",  // Market price
-      slTriggerPx: "",
-      slOrdPx: "",
-      triggerPxType: "last",
-    };
+    if (!algoOrder) {
+      throw await flattenUnprotected(symbol, posSide,
+        `Stop-loss/take-profit for order ${orderId} on ${symbol} could not be confirmed`,
+        { correlationId, side, size, orderId, algoClOrdId, stopLoss, takeProfit }, log);
+    }
 
-    const tpOrderHeaders = createHeaders("POST", orderPath, tpOrderBody);
+    log.info("Protection confirmed", { orderId, algoId: algoOrder.algoId, stopLoss, takeProfit });
 
-    const tpOrder = await axios.post(
-      `${config.OKX_API_URL}${orderPath}`,
-      tpOrderBody,
-      { headers: tpOrderHeaders }
-    );
+    // Trailing mode: the attached stop is the initial stop, the exchange trails from there
+    let trailingAlgoId = null;
+    if (exits.trailing) {
+      trailingAlgoId = await placeTrailingStop(symbol, side, size, posSide, exits.trailing.callbackRatio, `trail${correlationId}`, log);
 
-    console.log(`🎯 Take-Profit Set at $${takeProfit}`);
+      if (!trailingAlgoId) {
+        raiseAlert("trailing_stop_failed",
+          `Trailing stop for order ${orderId} on ${symbol} could not be placed; the initial stop at $${stopLoss} remains`,
+          { correlationId, symbol, side, size, orderId, stopLoss });
+      }
+    }
 
     return {
+      correlationId,
       orderId,
+      clOrdId,
+      algoId: algoOrder.algoId,
+      trailingAlgoId,
       symbol,
       side,
       size,
-      price: lastPrice,
+      price: entryPrice,
       stopLoss,
       takeProfit,
+      sizing,
+      execution: execution && {
+        mode: execution.mode,
+        requested: execution.requested,
+        filled: execution.filled,
+        averagePrice: execution.averagePrice,
+        fellBack: execution.fellBack,
+        orders: execution.orders.length
+      },
       timestamp: Date.now()
     };
   } catch (error) {
-    console.error("🚨 Order Error:", error.response && error.response.data ? error.response.data : error.message);
+    log.error("Order error", { side, error });
     throw error; // Re-throw so calling code can handle it
   }
 }
 
-module.exports = { placeOrder, setLeverage, getTradeSize };
+/**
+ * Reduce a position at market and re-protect the remainder
+ * Sends a reduce-only market order for `size` contracts (rounded down to the lot size)
+ * and reads back its fill price and realized PnL. The remainder keeps the stop-loss,
+ * take-profit and trailing distance of the current protective orders: new orders are
+ * placed for the new size and verified like an entry's before the old ones are cancelled,
+ * so the position is never left without a stop. If the new SL/TP cannot be confirmed the
+ * old orders (reduce-only, for the larger size) stay and an alert is raised. A remainder
+ * below the instrument's minimum order size is closed too.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} posSide - Side of the position, "long" or "short"
+ * @param {number} size - Contracts to close
+ * @param {object} options - Signal context
+ * @param {number} options.positionSize - Current position size in contracts
+ * @param {string} options.correlationId - Correlation ID of the signal
+ * @returns {Promise<object>} { correlationId, orderId, algoId, trailingAlgoId, symbol, side, size, remaining, price, realizedPnl, fees, stopLoss, takeProfit, timestamp };
+ *   price, realizedPnl and fees are null when the fill could not be confirmed, orderId is null when the whole position was closed
+ */
+async function reducePosition(symbol = config.TRADING_PAIR, posSide, size, options = {}) {
+  const correlationId = options.correlationId || createCorrelationId();
+  const log = logger.child({ correlationId, instId: symbol });
+  const side = posSide === "long" ? "SELL" : "BUY";
+
+  try {
+    const settings = getInstrumentConfig(symbol);
+    const instrument = await getInstrument(symbol);
+    const positionSize = parseFloat(options.positionSize);
+    size = formatContracts(instrument, Math.min(size, positionSize));
+    const remaining = roundToStep(positionSize - parseFloat(size), instrument.lotSz, "round");
+
+    if (parseFloat(remaining) < parseFloat(instrument.minSz)) {
+      log.info("Remainder below the minimum order size, closing the position", { size, remaining, minSz: instrument.minSz });
+      if (!await closePosition(symbol, posSide)) {
+        throw new Error(`Closing the ${posSide} position on ${symbol} was rejected`);
+      }
+      return { correlationId, orderId: null, algoId: null, trailingAlgoId: null, symbol, side, size: roundToStep(positionSize, instrument.lotSz, "round"), remaining: "0", price: null, realizedPnl: null, fees: null, stopLoss: null, takeProfit: null, timestamp: Date.now() };
+    }
+
+    // Current protection: its levels are carried over to the remainder, then it is cancelled
+    const protection = await getProtection(symbol, posSide);
+    const sltp = protection.find(algo => algo.ordType === "oco");
+    const trailing = protection.find(algo => algo.ordType === "move_order_stop");
+
+    const orderBody = {
+      instId: symbol,
+      tdMode: settings.TRADE_MODE,
+      side: side.toLowerCase(),
+      ordType: "market",
+      sz: size,
+      clOrdId: `reduce${correlationId}`
+    };
+
+    if (config.POSITION_MODE === "long_short_mode") {
+      orderBody.posSide = posSide;
+    } else {
+      orderBody.reduceOnly = true;
+    }
+
+    const orderResult = await submitOrder(orderBody, log);
+    const orderId = orderResult.ordId;
+    log.info("Reduce order placed", { side, size, remaining, orderId, clOrdId: orderBody.clOrdId });
+
+    // OKX reports the PnL of the closed contracts on the order, and fees as a negative number
+    const fill = await waitForFill(symbol, orderBody.clOrdId, log);
+    const price = fill ? parseFloat(fill.avgPx) : null;
+    const realizedPnl = fill ? parseFloat(fill.pnl) + parseFloat(fill.fee) : null;
+    const fees = fill ? -parseFloat(fill.fee) : null;
+    if (fill) {
+      log.info("Reduce order filled", { orderId, price, realizedPnl, fees });
+    } else {
+      log.warn("Reduce order fill not confirmed, realized PnL unknown", { orderId });
+    }
+
+    const result = { correlationId, orderId, algoId: null, trailingAlgoId: null, symbol, side, size, remaining, price, realizedPnl, fees, stopLoss: null, takeProfit: null };
+    const entrySide = posSide === "long" ? "BUY" : "SELL";
+
+    if (sltp) {
+      const algoClOrdId = `sltp${correlationId}`;
+      const { slTriggerPx: stopLoss, tpTriggerPx: takeProfit } = sltp;
+      let algoOrder = null;
+
+      try {
+        await placeProtection(symbol, entrySide, remaining, posSide, stopLoss, takeProfit, algoClOrdId);
+        algoOrder = await verifyProtection(symbol, algoClOrdId, log);
+      } catch (error) {
+        log.error("Error placing protective orders", { algoClOrdId, error });
+      }
+
+      if (!algoOrder) {
+        raiseAlert("protection_resize_failed",
+          `Stop-loss/take-profit for the reduced ${posSide} position on ${symbol} could not be confirmed; the orders for the full position remain`,
+          { correlationId, symbol, side, size, remaining, orderId, algoClOrdId, algoIds: protection.map(algo => algo.algoId) });
+        return { ...result, algoId: sltp.algoId, trailingAlgoId: trailing ? trailing.algoId : null, stopLoss, takeProfit, timestamp: Date.now() };
+      }
+
+      log.info("Protection confirmed", { orderId, algoId: algoOrder.algoId, size: remaining, stopLoss, takeProfit });
+      Object.assign(result, { algoId: algoOrder.algoId, stopLoss, takeProfit });
+    } else {
+      raiseAlert("unprotected_position", `The reduced ${posSide} position on ${symbol} had no stop-loss/take-profit to carry over`,
+        { correlationId, symbol, side, size, remaining, orderId });
+    }
+
+    // A trailing stop that cannot be resized is kept: it is reduce-only, so the larger size is harmless
+    const kept = [];
+    if (trailing) {
+      result.trailingAlgoId = await placeTrailingStop(symbol, entrySide, remaining, posSide, parseFloat(trailing.callbackRatio), `trail${correlationId}`, log);
+
+      if (!result.trailingAlgoId) {
+        log.warn("Trailing stop could not be resized, keeping the current one", { algoId: trailing.algoId });
+        result.trailingAlgoId = trailing.algoId;
+        kept.push(trailing);
+      }
+    }
+
+    await cancelAlgoOrders(symbol, protection.filter(algo => !kept.includes(algo)), log);
+
+    return { ...result, timestamp: Date.now() };
+  } catch (error) {
+    log.error("Reduce error", { side, error });
+    throw error;
+  }
+}
+
+/**
+ * Reverse a position: close it, then open one on the other side
+ * The close cancels the old position's protective orders, and the entry is sized and
+ * protected from scratch, so it never nets against the old position.
+ * @param {string} symbol - Trading pair symbol
+ * @param {string} side - Side of the new position's entry (BUY/SELL)
+ * @param {string} size - Order size in contracts (null to size dynamically)
+ * @param {object} options - Signal context, as for placeOrder
+ * @returns {Promise<object>} Order details of the new position, as from placeOrder
+ */
+async function reversePosition(symbol = config.TRADING_PAIR, side, size = null, options = {}) {
+  const posSide = side.toLowerCase() === "buy" ? "short" : "long";
+
+  if (!await closePosition(symbol, posSide)) {
+    throw new Error(`Closing the ${posSide} position on ${symbol} was rejected, not reversing`);
+  }
+
+  return placeOrder(symbol, side, size, options);
+}
+
+module.exports = {
+  placeOrder,
+  closePosition,
+  reducePosition,
+  reversePosition,
+  cancelProtection,
+  getPendingAlgoOrders,
+  setLeverage,
+  getAccountBalance,
+  getTradeSize,
+  validateCredentials,
+  createHeaders,
+  createLoginArgs,
+  tradeEmitter
+};
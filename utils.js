@@ -0,0 +1,113 @@
+/**
+ * Shared helpers for OKX Scalping Bot
+ */
+
+const TIMEFRAME_UNITS = {
+  m: 60 * 1000,
+  H: 60 * 60 * 1000,
+  D: 24 * 60 * 60 * 1000,
+  W: 7 * 24 * 60 * 60 * 1000,
+  M: 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert an OKX bar size (e.g. "15m", "4h", "4H", "1D") to milliseconds
+ * @param {string} timeframe - Bar size
+ * @returns {number} Bar duration in milliseconds
+ */
+function timeframeToMs(timeframe) {
+  const match = /^(\d+)([mhHdDwWM])(utc)?$/.exec(String(timeframe));
+
+  if (!match) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+
+  // Lowercase "m" means minutes, uppercase "M" means months; other units are case-insensitive
+  const unit = match[2] === "m" || match[2] === "M" ? match[2] : match[2].toUpperCase();
+
+  return parseInt(match[1]) * TIMEFRAME_UNITS[unit];
+}
+
+/**
+ * Normalize a timeframe to the bar format OKX expects (e.g. "4h" -> "4H", "1d" -> "1D")
+ * @param {string} timeframe - Bar size
+ * @returns {string} OKX bar string
+ */
+function toOkxBar(timeframe) {
+  const match = /^(\d+)([mhHdDwWM])(utc)?$/.exec(String(timeframe));
+
+  if (!match) {
+    throw new Error(`Unsupported timeframe: ${timeframe}`);
+  }
+
+  const unit = match[2] === "m" || match[2] === "M" ? match[2] : match[2].toUpperCase();
+
+  return match[1] + unit + (match[3] || "");
+}
+
+/**
+ * Aggregate candles into a higher timeframe (e.g. 15m candles into 4H candles)
+ * Bars are aligned to multiples of the timeframe since the epoch. Incomplete bars
+ * at the start and end of the data are dropped.
+ * @param {Array} candles - Candles sorted by ascending timestamp
+ * @param {string} sourceTimeframe - Bar size of the input candles
+ * @param {string} timeframe - Bar size to aggregate into
+ * @returns {Array} Aggregated candles sorted by ascending timestamp
+ */
+function resampleCandles(candles, sourceTimeframe, timeframe) {
+  const sourceDuration = timeframeToMs(sourceTimeframe);
+  const duration = timeframeToMs(timeframe);
+  const resampled = [];
+
+  for (const candle of candles) {
+    const timestamp = Math.floor(candle.timestamp / duration) * duration;
+    const current = resampled[resampled.length - 1];
+
+    if (current && current.timestamp === timestamp) {
+      current.high = Math.max(current.high, candle.high);
+      current.low = Math.min(current.low, candle.low);
+      current.close = candle.close;
+      current.volume += candle.volume;
+    } else if (resampled.length || timestamp === candle.timestamp) {
+      resampled.push({ ...candle, timestamp, timeframe: toOkxBar(timeframe), confirmed: true });
+    }
+  }
+
+  // The last bar is only complete if the data reaches its close
+  const lastCandle = candles[candles.length - 1];
+  const lastBar = resampled[resampled.length - 1];
+  if (lastBar && lastBar.timestamp + duration > lastCandle.timestamp + sourceDuration) {
+    resampled.pop();
+  }
+
+  return resampled;
+}
+
+/**
+ * Parse command line arguments of the form --name value
+ * An option without a value (e.g. --json) is set to true.
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        args[argv[i].slice(2)] = true;
+      } else {
+        args[argv[i].slice(2)] = value;
+        i++;
+      }
+    }
+  }
+  return args;
+}
+
+module.exports = {
+  timeframeToMs,
+  toOkxBar,
+  resampleCandles,
+  parseArgs
+};